@@ -0,0 +1,160 @@
+import { BlockType } from "./types.js";
+import { preferKnownTags } from "./tags.js";
+
+/* --- AI SERVICE ---
+ * Prompts and result handling for AI features. Everything here talks to a provider
+ * from providers.js, so the mock provider can stand in for a real model.
+ */
+const STRING = { type: 'string' };
+const STRING_LIST = { type: 'array', items: STRING };
+
+// Pasted or stored images arrive as data URLs; providers want mime type and base64 separately
+export const parseDataUrl = (dataUrl) => {
+    const [, mimeType, data] = (dataUrl || '').match(/^data:([^;,]+);base64,(.*)$/) || [];
+    return mimeType ? { mimeType, data } : null;
+};
+
+// `knownTags` are the tags already in use, most used first; suggestions lean towards them
+export const analyzeContent = async (provider, content, type, { knownTags = [] } = {}) => {
+    if (!provider) return { title: 'Untitled', summary: '', tags: [] };
+
+    const isImage = type === BlockType.IMAGE;
+    const properties = { title: STRING, summary: STRING, tags: STRING_LIST };
+    let prompt;
+    let image = null;
+
+    if (isImage) {
+        image = parseDataUrl(content);
+        if (!image) return { title: 'Untitled', summary: 'Image could not be read.', tags: ['error'] };
+        properties.text = STRING;
+        properties.colors = STRING_LIST;
+        prompt = `Analyze this image.
+
+    Return JSON with:
+    1. title (short, max 6 words)
+    2. summary (1 sentence describing what it shows)
+    3. tags (array of 3-5 lowercase single words)
+    4. text (all legible text in the image, verbatim; empty string if none)
+    5. colors (array of 3-5 dominant colours as hex codes like "#1a2b3c")`;
+    } else {
+        const textPreview = content.length > 5000 ? content.substring(0, 5000) : content;
+        prompt = `Analyze this ${type}:
+    Content: ${textPreview}
+
+    Return JSON with:
+    1. title (short, max 6 words)
+    2. summary (1 sentence)
+    3. tags (array of 3-5 lowercase single words)`;
+        if (type === BlockType.CODE) {
+            properties.language = STRING;
+            prompt += `\n    4. language (the programming language, lowercase, e.g. "javascript")`;
+        }
+    }
+
+    if (knownTags.length) {
+        prompt += `\n\n    Prefer tags from this list when they fit, and only invent a new tag when none does: ${knownTags.slice(0, 100).join(', ')}`;
+    }
+
+    try {
+        const result = await provider.generateJSON({ prompt, image, schema: { type: 'object', properties } });
+        result.tags = preferKnownTags(Array.isArray(result.tags) ? result.tags.map(String) : [], knownTags);
+        if (isImage) result.colors = (result.colors || []).filter(c => /^#[0-9a-f]{6}$/i.test(c)).map(c => c.toLowerCase());
+        return result;
+    } catch (e) {
+        console.error("AI Error", e);
+        return { title: 'Untitled', summary: 'Analysis failed or Key invalid.', tags: ['error'], error: e };
+    }
+};
+
+/* --- CONNECTIONS --- */
+const INSIGHT_SCHEMA = { type: 'object', properties: { insight: STRING, blockIds: STRING_LIST } };
+const MAX_BLOCKS_PER_CALL = 20;
+const MAX_CHUNKS = 6;
+
+// Images and attachments hold a stored-file ref in `content`, so they are described by their metadata and text
+const blockSnippet = (b) => (b.type === BlockType.IMAGE || b.type === BlockType.ATTACHMENT
+    ? [b.description, b.fileName, b.extractedText].filter(Boolean).join(' ')
+    : b.content).substring(0, 150);
+
+const describeBlocks = (blocks) => blocks.map(b => `[${b.id}] ${b.title || 'Untitled'}: ${blockSnippet(b)}`).join('\n---\n');
+
+// Evenly spaced sample, so old and new blocks are both represented
+const sample = (items, n) => items.length <= n ? items : Array.from({ length: n }, (_, i) => items[Math.floor(i * items.length / n)]);
+
+// Keeps only ids of blocks the model was actually shown
+const cleanInsight = (result, allowed) => ({
+    text: String(result.insight || '').trim(),
+    blockIds: [...new Set((result.blockIds || []).map(String))].filter(id => allowed.has(id))
+});
+
+const askForInsight = async (provider, blocks) => cleanInsight(await provider.generateJSON({
+    prompt: `Here is a set of notes/blocks, each starting with its [id]:\n${describeBlocks(blocks)}\n\nTask: Find a hidden theme, interesting connection, or insight that links several of these items together. Be brief and insightful.
+
+    Return JSON with:
+    1. insight (the insight text)
+    2. blockIds (array of the ids of the blocks the insight draws on)`,
+    schema: INSIGHT_SCHEMA
+}), new Set(blocks.map(b => b.id)));
+
+/**
+ * Finds an insight across `blocks` and returns `{ text, blockIds }`, or `{ error }`.
+ * Large sets are sampled and split into chunks; the per-chunk insights are then combined.
+ */
+export const findConnections = async (provider, blocks) => {
+    if (!provider) return { error: "Please configure an AI provider in Settings first." };
+
+    try {
+        if (blocks.length <= MAX_BLOCKS_PER_CALL) return await askForInsight(provider, blocks);
+
+        const pool = sample(blocks, MAX_BLOCKS_PER_CALL * MAX_CHUNKS);
+        const partials = [];
+        // One chunk at a time to stay clear of rate limits
+        for (let i = 0; i < pool.length; i += MAX_BLOCKS_PER_CALL) {
+            const partial = await askForInsight(provider, pool.slice(i, i + MAX_BLOCKS_PER_CALL));
+            if (partial.text) partials.push(partial);
+        }
+        if (partials.length <= 1) return partials[0] || { text: '', blockIds: [] };
+
+        const summary = partials.map((p, i) => `Insight ${i + 1} (cites ${p.blockIds.join(', ') || 'nothing'}): ${p.text}`).join('\n---\n');
+        return cleanInsight(await provider.generateJSON({
+            prompt: `These insights were each found in a different part of a large collection of notes:\n${summary}\n\nTask: Combine them into one brief insight about the collection as a whole.
+
+    Return JSON with:
+    1. insight (the combined insight text)
+    2. blockIds (array of the cited block ids that best support it)`,
+            schema: INSIGHT_SCHEMA
+        }), new Set(partials.flatMap(p => p.blockIds)));
+    } catch(e) {
+        console.error(e);
+        return { error: "Could not generate connections. Check your AI settings." };
+    }
+};
+
+/* --- ORGANIZING --- */
+/**
+ * Names proposed channels for clusters of blocks. Returns one `Group/Name` string per cluster,
+ * reusing existing group names where they fit; falls back to `fallbacks` on failure.
+ */
+export const nameClusters = async (provider, clusters, existingGroups, fallbacks) => {
+    if (!provider || !clusters.length) return fallbacks;
+
+    const described = clusters.map((blocks, i) => `Cluster ${i + 1}:\n${describeBlocks(blocks.slice(0, 8))}`).join('\n===\n');
+    try {
+        const result = await provider.generateJSON({
+            prompt: `These clusters of notes will each become a channel:\n${described}\n\nExisting channel groups: ${existingGroups.join(', ') || 'none'}.
+    Task: Name a channel for each cluster, in the form "Group/Name". Reuse an existing group when it fits.
+
+    Return JSON with:
+    1. names (array with exactly one "Group/Name" string per cluster, in order)`,
+            schema: { type: 'object', properties: { names: STRING_LIST } }
+        });
+        const names = Array.isArray(result.names) ? result.names : [];
+        return fallbacks.map((fallback, i) => {
+            const name = String(names[i] || '').trim();
+            return name.includes('/') ? name : fallback;
+        });
+    } catch(e) {
+        console.error("Cluster naming failed", e);
+        return fallbacks;
+    }
+};
@@ -0,0 +1,142 @@
+import { BlockType, INBOX_ID, withChannelIds, isValidId } from "./types.js";
+
+/* --- BACKUP FORMAT --- */
+export const BACKUP_VERSION = 2;
+
+// Only persistent data goes into a backup; settings and runtime fields (AI keys, editingBlockId, ...) stay behind.
+export const serializeBackup = (state) => ({
+    version: BACKUP_VERSION,
+    exportedAt: Date.now(),
+    channels: state.channels,
+    blocks: state.blocks,
+    insights: state.insights || []
+});
+
+const fail = (msg) => { throw new Error(`Invalid backup: ${msg}`); };
+
+const validateChannel = (c, i) => {
+    if (!c || typeof c !== 'object') fail(`channel #${i + 1} is not an object`);
+    if (!isValidId(c.id)) fail(`channel #${i + 1} has no valid id`);
+    if (typeof c.title !== 'string') fail(`channel "${c.id}" has no title`);
+    if (c.blockOrder !== undefined && !(Array.isArray(c.blockOrder) && c.blockOrder.every(isValidId))) fail(`channel "${c.id}" has a malformed block order`);
+    return {
+        ...c,
+        slug: typeof c.slug === 'string' ? c.slug : c.title.toLowerCase(),
+        createdAt: Number(c.createdAt) || Date.now()
+    };
+};
+
+const validateInsight = (ins, i) => {
+    if (!ins || typeof ins !== 'object' || !isValidId(ins.id)) fail(`insight #${i + 1} has no valid id`);
+    if (typeof ins.text !== 'string') fail(`insight "${ins.id}" has no text`);
+    if (ins.channelId && !isValidId(ins.channelId)) fail(`insight "${ins.id}" has a malformed channel`);
+    if (ins.blockIds !== undefined && !(Array.isArray(ins.blockIds) && ins.blockIds.every(isValidId))) fail(`insight "${ins.id}" has malformed blocks`);
+    return {
+        ...ins,
+        channelId: ins.channelId || null,
+        blockIds: ins.blockIds || [],
+        createdAt: Number(ins.createdAt) || Date.now()
+    };
+};
+
+const validateBlock = (b, i) => {
+    if (!b || typeof b !== 'object') fail(`block #${i + 1} is not an object`);
+    if (!isValidId(b.id)) fail(`block #${i + 1} has no valid id`);
+    if (!Object.values(BlockType).includes(b.type)) fail(`block "${b.id}" has unknown type "${b.type}"`);
+    if (typeof b.content !== 'string') fail(`block "${b.id}" has no content`);
+    if (b.tags !== undefined && !Array.isArray(b.tags)) fail(`block "${b.id}" has malformed tags`);
+    if (b.channelIds !== undefined && !(Array.isArray(b.channelIds) && b.channelIds.every(isValidId))) fail(`block "${b.id}" has malformed channels`);
+    if (b.channelId && !isValidId(b.channelId)) fail(`block "${b.id}" has a malformed channel`);
+    return {
+        ...withChannelIds(b),
+        title: b.title || '',
+        description: b.description || '',
+        tags: (b.tags || []).map(String),
+        createdAt: Number(b.createdAt) || Date.now()
+    };
+};
+
+// Accepts both versioned backups and the legacy format, which was a raw dump of `state`.
+export const parseBackup = (text) => {
+    let data;
+    try { data = JSON.parse(text); } catch(e) { fail('file is not valid JSON'); }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) fail('expected an object');
+    const version = data.version === undefined ? 0 : data.version;
+    if (typeof version !== 'number' || version > BACKUP_VERSION) fail(`unsupported version "${data.version}"`);
+    if (!Array.isArray(data.channels)) fail('missing "channels" list');
+    if (!Array.isArray(data.blocks)) fail('missing "blocks" list');
+    if (data.insights !== undefined && !Array.isArray(data.insights)) fail('malformed "insights" list');
+
+    return {
+        version,
+        channels: data.channels.map(validateChannel),
+        blocks: data.blocks.map(validateBlock),
+        insights: (data.insights || []).map(validateInsight)
+    };
+};
+
+/* --- MERGE --- */
+const CHANNEL_FIELDS = ['title', 'vertical', 'slug', 'description', 'cover', 'order', 'blockOrder'];
+const BLOCK_FIELDS = ['type', 'content', 'language', 'fileName', 'preview', 'title', 'description', 'tags', 'channelIds', 'extractedText', 'colors'];
+
+const differs = (a, b, fields) => fields.some(f => JSON.stringify(a[f]) !== JSON.stringify(b[f]));
+
+// Compares a backup against the current stash. Records sharing an id but with different fields are conflicts.
+export const diffBackup = (current, incoming) => {
+    const result = { added: [], conflicts: [], identical: [] };
+    const scan = (kind, local, remote, fields) => {
+        const byId = new Map(local.map(x => [x.id, x]));
+        remote.forEach(item => {
+            const mine = byId.get(item.id);
+            if (!mine) result.added.push({ kind, item });
+            else if (differs(mine, item, fields)) result.conflicts.push({ kind, id: item.id, mine, theirs: item });
+            else result.identical.push({ kind, item });
+        });
+    };
+    scan('channel', current.channels, incoming.channels, CHANNEL_FIELDS);
+    scan('block', current.blocks, incoming.blocks, BLOCK_FIELDS);
+    return result;
+};
+
+// Drops memberships of channels that aren't in `channels`; blocks left unconnected go to the Inbox
+export const fixMemberships = (blocks, channels) => {
+    const known = new Set(channels.map(c => c.id));
+    return blocks.map(b => {
+        const ids = b.channelIds.filter(id => known.has(id));
+        return ids.length === b.channelIds.length ? b : { ...b, channelIds: ids.length ? ids : [INBOX_ID] };
+    });
+};
+
+// `resolutions` maps "<kind>:<id>" to 'mine' or 'theirs'; unresolved conflicts keep the local copy.
+export const mergeBackup = (current, incoming, resolutions = {}) => {
+    const diff = diffBackup(current, incoming);
+    const channels = [...current.channels];
+    const blocks = [...current.blocks];
+    const stats = { added: 0, updated: 0, skipped: diff.identical.length };
+
+    diff.added.forEach(({ kind, item }) => {
+        if (kind === 'channel') channels.push(item);
+        else blocks.push(item);
+        stats.added++;
+    });
+
+    diff.conflicts.forEach(({ kind, id, theirs }) => {
+        if (resolutions[`${kind}:${id}`] !== 'theirs') { stats.skipped++; return; }
+        const list = kind === 'channel' ? channels : blocks;
+        const idx = list.findIndex(x => x.id === id);
+        list[idx] = { ...list[idx], ...theirs };
+        stats.updated++;
+    });
+
+    const fixed = fixMemberships(blocks, channels);
+
+    // Insights never change after they are created, so they are simply unioned
+    const insightIds = new Set((current.insights || []).map(i => i.id));
+    const newInsights = incoming.insights.filter(i => !insightIds.has(i.id));
+    const insights = [...(current.insights || []), ...newInsights].sort((a, b) => b.createdAt - a.createdAt);
+    stats.added += newInsights.length;
+    stats.skipped += incoming.insights.length - newInsights.length;
+
+    return { channels, blocks: fixed.sort((a, b) => b.createdAt - a.createdAt), insights, stats };
+};
@@ -0,0 +1,126 @@
+/* --- CHANNEL TREE ---
+ * A channel's `vertical` is the path of the groups it sits in: "Design/UI" for "Design/UI/Buttons".
+ * Groups have no records of their own, they exist while a channel is in them. Channels carry an
+ * `order`; a group sits in the sidebar where its first channel does.
+ */
+const splitPath = (name) => String(name || '').split('/').map(p => p.trim()).filter(Boolean);
+
+const parentOf = (path) => path.split('/').slice(0, -1).join('/');
+
+// Whether a channel is in the group at `path`, directly or through a subgroup
+export const inGroup = (c, path) => !!c.vertical && (c.vertical === path || c.vertical.startsWith(`${path}/`));
+
+export const channelLabel = (c) => c.vertical ? `${c.vertical}/${c.title}` : c.title;
+
+// "Design/UI/Buttons" -> { title: 'Buttons', vertical: 'Design/UI' }
+export const parseChannelName = (name) => {
+    const parts = splitPath(name);
+    const title = parts.pop() || '';
+    return { title, vertical: parts.length ? parts.join('/') : undefined };
+};
+
+/* --- SLUGS --- */
+export const slugify = (text) => String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-|-$/g, '');
+
+// A slug for `title` that no other channel uses: "snippets", then "snippets-2", ...
+export const uniqueSlug = (title, channels, ownId) => {
+    const taken = new Set(channels.filter(c => c.id !== ownId).map(c => c.slug));
+    const base = slugify(title) || 'channel';
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    return slug;
+};
+
+// Gives every channel whose slug is missing or already used by an earlier one a fresh slug.
+// Returns the channels that changed.
+export const dedupeSlugs = (channels) => {
+    const seen = new Set();
+    const changed = [];
+    channels.forEach(c => {
+        if (!c.slug || seen.has(c.slug)) {
+            c.slug = uniqueSlug(c.title, channels, c.id);
+            changed.push(c);
+        }
+        seen.add(c.slug);
+    });
+    return changed;
+};
+
+/* --- ORDER --- */
+// Channels from before manual ordering keep their creation order
+const orderOf = (c) => c.order ?? c.createdAt;
+
+export const sortChannels = (channels) => [...channels].sort((a, b) => orderOf(a) - orderOf(b));
+
+export const nextOrder = (channels) => channels.reduce((max, c) => Math.max(max, orderOf(c)), 0) + 1;
+
+/**
+ * The sidebar tree: `{ path, name, items }` where items are `{ kind: 'channel', channel }` and
+ * `{ kind: 'group', path, name, items }`, in order.
+ */
+export const channelTree = (channels) => {
+    const root = { path: '', name: '', items: [] };
+    const groups = new Map([['', root]]);
+    const groupNode = (path) => {
+        if (groups.has(path)) return groups.get(path);
+        const node = { kind: 'group', path, name: path.split('/').pop(), items: [] };
+        groups.set(path, node);
+        groupNode(parentOf(path)).items.push(node);
+        return node;
+    };
+    sortChannels(channels).forEach(c => groupNode(c.vertical || '').items.push({ kind: 'channel', channel: c }));
+    return root;
+};
+
+// Runs `fn` over the channels and returns the ones whose order or group it changed
+const changedBy = (channels, fn) => {
+    const before = new Map(channels.map(c => [c.id, `${c.order}|${c.vertical || ''}`]));
+    fn();
+    return channels.filter(c => before.get(c.id) !== `${c.order}|${c.vertical || ''}`);
+};
+
+/**
+ * Moves a channel, or a group with everything in it, next to a target and renumbers the order of
+ * every channel. `item` and `target` are `{ channelId }` or `{ group: path }`; `place` is 'before',
+ * 'after' or, when the target is a group, 'into' (at its end). Returns the channels that changed,
+ * or null when the move is impossible, such as a group into itself.
+ */
+export const moveInTree = (channels, item, target, place) => {
+    const sorted = sortChannels(channels);
+    const moving = item.group !== undefined ? sorted.filter(c => inGroup(c, item.group)) : sorted.filter(c => c.id === item.channelId);
+    const rest = sorted.filter(c => !moving.includes(c));
+    const anchor = target.group !== undefined ? rest.filter(c => inGroup(c, target.group)) : rest.filter(c => c.id === target.channelId);
+    if (!moving.length || !anchor.length) return null;
+
+    const parent = target.group === undefined ? anchor[0].vertical || '' : place === 'into' ? target.group : parentOf(target.group);
+    if (item.group !== undefined && (parent === item.group || parent.startsWith(`${item.group}/`))) return null;
+    const at = place === 'before' ? rest.indexOf(anchor[0]) : rest.indexOf(anchor[anchor.length - 1]) + 1;
+
+    return changedBy(channels, () => {
+        moving.forEach(c => {
+            if (item.group === undefined) { c.vertical = parent || undefined; return; }
+            const name = item.group.split('/').pop();
+            c.vertical = (parent ? `${parent}/${name}` : name) + c.vertical.slice(item.group.length);
+        });
+        [...rest.slice(0, at), ...moving, ...rest.slice(at)].forEach((c, i) => { c.order = i; });
+    });
+};
+
+// Renames or moves a group: "Design/UI" -> "Design/Interface" keeps everything inside it
+export const renameGroup = (channels, path, newPath) => {
+    const target = splitPath(newPath).join('/');
+    if (!target || target === path) return [];
+    return changedBy(channels, () => channels.filter(c => inGroup(c, path)).forEach(c => {
+        c.vertical = target + c.vertical.slice(path.length);
+    }));
+};
+
+// Removes one level: what was in the group moves up into its parent
+export const dissolveGroup = (channels, path) => changedBy(channels, () => channels.filter(c => inGroup(c, path)).forEach(c => {
+    c.vertical = [parentOf(path), c.vertical.slice(path.length + 1)].filter(Boolean).join('/') || undefined;
+}));
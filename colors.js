@@ -0,0 +1,82 @@
+/* --- COLOURS ---
+ * Palettes are lists of "#rrggbb" strings. The colour filter groups them into named swatches.
+ */
+export const SWATCHES = {
+    red: '#e5484d', orange: '#f76b15', yellow: '#ffd60a', green: '#30a46c', teal: '#12a594', blue: '#0090ff',
+    purple: '#8e4ec6', pink: '#d6409f', brown: '#8d5b3a', black: '#111111', gray: '#8b8d98', white: '#f5f5f5'
+};
+
+export const hexToRgb = (hex) => {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+export const rgbToHex = ([r, g, b]) => `#${[r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+
+// Weighted RGB distance ("redmean"), close enough to perceived difference for grouping colours
+const distance = ([r1, g1, b1], [r2, g2, b2]) => {
+    const rm = (r1 + r2) / 2;
+    return Math.sqrt((2 + rm / 256) * (r1 - r2) ** 2 + 4 * (g1 - g2) ** 2 + (2 + (255 - rm) / 256) * (b1 - b2) ** 2);
+};
+
+const toHsl = ([r, g, b]) => {
+    [r, g, b] = [r / 255, g / 255, b / 255];
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if (!d) return [0, 0, l];
+    const s = d / (1 - Math.abs(2 * l - 1));
+    const h = max === r ? ((g - b) / d + 6) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+    return [h * 60, s, l];
+};
+
+// The named swatch a colour belongs to
+export const swatchOf = (hex) => {
+    const [h, s, l] = toHsl(hexToRgb(hex));
+    if (l < 0.12) return 'black';
+    if (l > 0.92) return 'white';
+    if (s < 0.15) return l < 0.25 ? 'black' : l > 0.8 ? 'white' : 'gray';
+    if (h >= 15 && h < 45 && l < 0.4) return 'brown';
+    if (h < 15 || h >= 345) return 'red';
+    if (h < 40) return 'orange';
+    if (h < 65) return 'yellow';
+    if (h < 165) return 'green';
+    if (h < 195) return 'teal';
+    if (h < 255) return 'blue';
+    if (h < 290) return 'purple';
+    return 'pink';
+};
+
+// Whether a palette holds `value`: a swatch name, or a hex colour matched loosely
+export const paletteMatches = (colors, value) => {
+    const palette = (colors || []).filter(c => /^#[0-9a-f]{6}$/i.test(c));
+    if (/^#?[0-9a-f]{6}$/i.test(value)) {
+        const target = hexToRgb(`#${value.replace('#', '')}`);
+        return palette.some(c => distance(hexToRgb(c), target) < 120);
+    }
+    return palette.some(c => swatchOf(c) === value);
+};
+
+/**
+ * The `count` most common colours in RGBA pixel data, most common first. Transparent pixels are
+ * ignored and near-identical colours are counted as one.
+ */
+export const dominantColors = (data, count = 5) => {
+    const buckets = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue;
+        const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+        const bucket = buckets.get(key) || [0, 0, 0, 0];
+        bucket[0] += data[i]; bucket[1] += data[i + 1]; bucket[2] += data[i + 2]; bucket[3]++;
+        buckets.set(key, bucket);
+    }
+    const clusters = [];
+    [...buckets.values()].sort((a, b) => b[3] - a[3]).slice(0, 256).forEach(([r, g, b, n]) => {
+        const rgb = [r / n, g / n, b / n];
+        const near = clusters.find(c => distance(c.rgb, rgb) < 60);
+        if (near) near.n += n;
+        else clusters.push({ rgb, n });
+    });
+    return clusters.sort((a, b) => b.n - a.n).slice(0, count).map(c => rgbToHex(c.rgb));
+};
@@ -0,0 +1,34 @@
+/* --- FUZZY MATCHING ---
+ * For the command palette. Every query character has to appear in the label, in order;
+ * consecutive characters and characters at the start of a word score higher.
+ */
+const WORD_BREAK = /[\s/_.:#-]/;
+
+// Null when `query` does not match `text`
+export const fuzzyScore = (query, text) => {
+    const q = query.toLowerCase().replace(/\s+/g, '');
+    const t = text.toLowerCase();
+    let score = 0;
+    let from = 0;
+    let run = 0;
+    for (const ch of q) {
+        const at = t.indexOf(ch, from);
+        if (at === -1) return null;
+        run = at === from ? run + 1 : 0;
+        score += 1 + run * 2 + (at === 0 || WORD_BREAK.test(t[at - 1]) ? 3 : 0) - Math.min(at - from, 10) * 0.1;
+        from = at + 1;
+    }
+    // Shorter labels win ties
+    return score - t.length * 0.01;
+};
+
+// Commands are `{ label, ... }`; the best matches come first. Without a query the given order is kept.
+export const rankCommands = (commands, query, limit = 50) => {
+    if (!query.trim()) return commands.slice(0, limit);
+    return commands
+        .map(command => ({ command, score: fuzzyScore(query, command.label) }))
+        .filter(m => m.score !== null)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(m => m.command);
+};
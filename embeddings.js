@@ -0,0 +1,93 @@
+import { BlockType } from "./types.js";
+
+/* --- EMBEDDERS ---
+ * An embedder is `{ id, embed(texts) => Promise<number[][]> }`. The id is stored with every
+ * vector, so vectors from different embedders are never compared with each other.
+ */
+
+// FNV-1a, used both for feature hashing and for detecting changed block text
+export const textHash = (str) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+const normalize = (v) => {
+    const norm = Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+    return norm ? v.map(x => x / norm) : v;
+};
+
+// Deterministic, offline embedder: hashed bag of words plus character trigrams.
+// Much weaker than a model, but good enough for tests and for using the app without a key.
+export const createLocalEmbedder = ({ dimensions = 256 } = {}) => {
+    const embedOne = (text) => {
+        const v = new Array(dimensions).fill(0);
+        const add = (feature, weight) => {
+            const h = textHash(feature);
+            v[h % dimensions] += (h & 0x80000000 ? -1 : 1) * weight;
+        };
+        (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).forEach(word => {
+            add(`w:${word}`, 1);
+            const padded = ` ${word} `;
+            for (let i = 0; i < padded.length - 2; i++) add(`t:${padded.slice(i, i + 3)}`, 0.5);
+        });
+        return normalize(v);
+    };
+    return {
+        id: `local-hash-${dimensions}`,
+        embed: async (texts) => texts.map(embedOne)
+    };
+};
+
+// Wraps any provider from providers.js that can embed
+export const createProviderEmbedder = (provider) => ({
+    id: provider.embeddingId,
+    embed: async (texts) => (await provider.embed(texts)).map(normalize)
+});
+
+/* --- VECTOR INDEX --- */
+export const cosine = (a, b) => {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot; // vectors are stored normalized
+};
+
+// The text a block is embedded from; images contribute only their metadata
+export const blockText = (b) => [
+    b.title,
+    b.description,
+    (b.tags || []).join(' '),
+    b.type === BlockType.IMAGE || b.type === BlockType.ATTACHMENT ? b.fileName : b.content,
+    b.extractedText
+].filter(Boolean).join('\n').slice(0, 8000);
+
+// In-memory index of `{ blockId, embedderId, textHash, vector }` entries
+export const createVectorIndex = () => {
+    const entries = new Map();
+    return {
+        get: (blockId) => entries.get(blockId),
+        set: (entry) => { entries.set(entry.blockId, entry); },
+        delete: (blockId) => { entries.delete(blockId); },
+        clear: () => entries.clear(),
+
+        isFresh: (b, embedderId) => {
+            const e = entries.get(b.id);
+            return !!e && e.embedderId === embedderId && e.textHash === textHash(blockText(b));
+        },
+
+        // Nearest entries to `vector` among the given block ids, best first
+        nearest: (vector, embedderId, { k = 5, exclude = null, among = null, minScore = 0 } = {}) => {
+            const scored = [];
+            entries.forEach(e => {
+                if (e.embedderId !== embedderId || e.blockId === exclude) return;
+                if (among && !among.has(e.blockId)) return;
+                const score = cosine(vector, e.vector);
+                if (score >= minScore) scored.push({ blockId: e.blockId, score });
+            });
+            return scored.sort((a, b) => b.score - a.score).slice(0, k);
+        }
+    };
+};
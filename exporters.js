@@ -0,0 +1,249 @@
+import { BlockType } from "./types.js";
+import { escapeHtml } from "./search.js";
+import { renderMarkdown, highlightCode } from "./markdown.js";
+import { safeUrl } from "./sanitize.js";
+import { formatSize } from "./files.js";
+import { slugify, channelLabel, sortChannels } from "./channels.js";
+
+/* --- EXPORTS ---
+ * Channels as files for people without the app: a static website and a Markdown bundle. Both
+ * come out as `{ path, data }` lists for createZip. Stored images and files are handed in as
+ * `assets`, a Map from image ref to `{ path, blob }`; the exports never load anything from the network.
+ */
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/avif': 'avif', 'image/svg+xml': 'svg', 'application/pdf': 'pdf' };
+
+// Characters that file systems refuse, or that Obsidian reads as link syntax
+const fileSafe = (name) => name.replace(/[\\/:*?"<>|#^[\]\u0000-\u001f]/g, '-').replace(/^[.\s]+|[.\s]+$/g, '').slice(0, 80);
+
+// Where a stored image or file goes in the export: `n` keeps names unique, attachments keep their file name
+export const assetPath = (n, blob, fileName) => fileName
+    ? `assets/${n}-${fileSafe(fileName) || 'file'}`
+    : `assets/${n}.${EXTENSIONS[blob.type] || 'bin'}`;
+
+// A code block as a fenced Markdown snippet, ready to paste into docs or chats
+export const fencedCode = (b) => {
+    const fence = b.content.includes('```') ? '~~~' : '```';
+    return `${fence}${b.language || ''}\n${b.content}\n${fence}`;
+};
+
+const blockName = (b) => (b.title ||
+    (b.type === BlockType.ATTACHMENT ? b.fileName : b.type === BlockType.IMAGE ? '' : (b.content || '').split('\n').find(l => l.trim())?.replace(/^[#>*+\s-]+/, '')) ||
+    `Untitled ${b.type}`).trim().slice(0, 80);
+
+// `make(name, n)` for the n-th name already taken; the first one is `name` itself
+const uniqueNames = (blocks, base, make) => {
+    const taken = new Set();
+    return new Map(blocks.map(b => {
+        let name = base(b);
+        for (let n = 2; taken.has(name.toLowerCase()); n++) name = make(base(b), n);
+        taken.add(name.toLowerCase());
+        return [b.id, name];
+    }));
+};
+
+// Each exported channel with its blocks, newest first, in sidebar order
+const channelSections = ({ channels, blocks }) => sortChannels(channels).map(c => ({
+    channel: c,
+    blocks: blocks.filter(b => b.channelIds.includes(c.id)).sort((a, b) => b.createdAt - a.createdAt)
+}));
+
+const isoDate = (t) => new Date(t).toISOString();
+
+/* --- STATIC SITE --- */
+const SITE_CSS = `*{box-sizing:border-box}
+body{margin:0;background:#0a0a0a;color:#d4d4d4;font:15px/1.6 ui-sans-serif,system-ui,-apple-system,"Segoe UI",sans-serif}
+a{color:#fff}
+header,main,footer,article{max-width:1100px;margin:0 auto;padding:24px}
+article{max-width:760px}
+h1{color:#fff;font-size:28px;margin:0 0 8px}
+h2{color:#737373;font:700 12px ui-monospace,monospace;text-transform:uppercase;letter-spacing:.1em;margin:32px 0 12px}
+.cover{width:100%;max-height:260px;object-fit:cover;display:block}
+.meta{color:#737373;font:12px ui-monospace,monospace}
+.tag{display:inline-block;border:1px solid #262626;padding:0 6px;margin:0 4px 4px 0}
+input[type=search]{width:100%;margin-top:16px;padding:10px 12px;background:#171717;border:1px solid #404040;color:#fff;font:14px ui-monospace,monospace}
+.grid{list-style:none;padding:0;margin:0;display:grid;grid-template-columns:repeat(auto-fill,minmax(220px,1fr));gap:16px}
+.card a{display:block;height:100%;background:#171717;border:1px solid #262626;text-decoration:none;color:inherit;overflow:hidden}
+.card a:hover{border-color:#737373}
+.card img{width:100%;display:block}
+.card .body{padding:12px}
+.card .title{color:#fff;font-weight:600;margin:0 0 4px}
+.card .snippet{color:#a3a3a3;font-size:13px;margin:0;overflow:hidden;display:-webkit-box;-webkit-line-clamp:4;-webkit-box-orient:vertical;white-space:pre-wrap}
+.content{margin-top:24px}
+.content img{max-width:100%}
+.text{white-space:pre-wrap}
+pre{background:#171717;border:1px solid #262626;padding:16px;overflow-x:auto;font:13px/1.5 ui-monospace,monospace}
+blockquote{border-left:2px solid #404040;margin:0;padding-left:16px;color:#a3a3a3}
+details{margin-top:24px;color:#a3a3a3}
+.tok-kw{color:#c084fc}.tok-string{color:#86efac}.tok-number{color:#fdba74}.tok-comment{color:#737373;font-style:italic}
+[hidden]{display:none!important}
+footer{color:#525252;font:12px ui-monospace,monospace}`;
+
+// Hides the cards whose text doesn't contain every word typed, and the sections left empty
+const SEARCH_SCRIPT = `const input = document.getElementById('search');
+const cards = [...document.querySelectorAll('[data-search]')];
+input.addEventListener('input', () => {
+    const terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    let shown = 0;
+    cards.forEach(card => {
+        card.hidden = !terms.every(t => card.dataset.search.includes(t));
+        if (!card.hidden) shown++;
+    });
+    document.querySelectorAll('section').forEach(s => { s.hidden = !s.querySelector('[data-search]:not([hidden])'); });
+    document.getElementById('no-results').hidden = shown > 0;
+});`;
+
+const page = (title, body, root) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+const searchText = (b) => [b.title, b.description, (b.tags || []).join(' '), b.fileName, b.extractedText,
+    b.type === BlockType.IMAGE ? '' : (b.content || '').slice(0, 5000)].filter(Boolean).join(' ').toLowerCase();
+
+// An image's src inside the site, from a page `root` levels below it
+const imageSrc = (ref, assets, root) => assets.has(ref) ? root + assets.get(ref).path : safeUrl(ref, { image: true });
+
+const cardHtml = (b, href, assets) => {
+    const image = b.type === BlockType.IMAGE ? (b.thumbnail || b.content) : b.preview;
+    const snippet = b.type === BlockType.LINK ? b.content : [BlockType.TEXT, BlockType.MARKDOWN, BlockType.CODE].includes(b.type) ? b.content : b.description;
+    const src = image && imageSrc(image, assets, '');
+    return `<li class="card" data-search="${escapeHtml(searchText(b))}"><a href="${href}">
+${src ? `<img src="${escapeHtml(src)}" alt="" loading="lazy">` : ''}<div class="body">
+${b.title ? `<p class="title">${escapeHtml(b.title)}</p>` : ''}${snippet ? `<p class="snippet">${escapeHtml(snippet.slice(0, 400))}</p>` : ''}
+<span class="meta">${escapeHtml(b.type)}</span></div></a></li>`;
+};
+
+const contentHtml = (b, assets) => {
+    switch (b.type) {
+        case BlockType.IMAGE: {
+            const src = imageSrc(b.content, assets, '../');
+            return src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(b.title || '')}">` : '';
+        }
+        case BlockType.LINK: {
+            const url = safeUrl(b.content);
+            return url ? `<p><a href="${escapeHtml(url)}" rel="noopener">${escapeHtml(b.content)}</a></p>` : `<p class="text">${escapeHtml(b.content)}</p>`;
+        }
+        case BlockType.MARKDOWN: return `<div class="markdown">${renderMarkdown(b.content)}</div>`;
+        case BlockType.CODE: return `<pre><code>${highlightCode(b.content, b.language)}</code></pre>`;
+        case BlockType.ATTACHMENT: {
+            const file = assets.get(b.content);
+            const preview = b.preview && imageSrc(b.preview, assets, '../');
+            return `${preview ? `<img src="${escapeHtml(preview)}" alt="">` : ''}
+<p>${file ? `<a href="../${escapeHtml(file.path)}" download>${escapeHtml(b.fileName || 'Download')}</a>` : escapeHtml(b.fileName || '')}
+<span class="meta">${b.size ? formatSize(b.size) : ''}${b.pageCount ? ` &middot; ${b.pageCount} pages` : ''}</span></p>`;
+        }
+        default: return `<p class="text">${escapeHtml(b.content)}</p>`;
+    }
+};
+
+const blockPage = (b, channels, assets) => {
+    const labels = channels.filter(c => b.channelIds.includes(c.id)).map(channelLabel);
+    return page(blockName(b), `<article>
+<p class="meta"><a href="../index.html">&larr; All blocks</a></p>
+<h1>${escapeHtml(blockName(b))}</h1>
+<p class="meta">${escapeHtml(b.type)} &middot; ${new Date(b.createdAt).toLocaleDateString()}${labels.length ? ` &middot; ${escapeHtml(labels.join(', '))}` : ''}</p>
+${(b.tags || []).length ? `<p class="meta">${b.tags.map(t => `<span class="tag">#${escapeHtml(t)}</span>`).join('')}</p>` : ''}
+${b.description ? `<p>${escapeHtml(b.description)}</p>` : ''}
+<div class="content">${contentHtml(b, assets)}</div>
+${b.extractedText ? `<details><summary>Text in ${b.type === BlockType.IMAGE ? 'image' : 'file'}</summary><p class="text">${escapeHtml(b.extractedText)}</p></details>` : ''}
+</article>`, '../');
+};
+
+/**
+ * A website for `channels`: an index page with every block and a search box, one page per block
+ * under blocks/, and the images and files under assets/. `title`, `description` and `cover` head
+ * the index page.
+ */
+export const buildSite = ({ title, description, cover, channels, blocks, assets, exportedAt = Date.now() }) => {
+    const sections = channelSections({ channels, blocks }).filter(s => s.blocks.length);
+    const names = uniqueNames(blocks, b => slugify(blockName(b)).slice(0, 60) || 'block', (name, n) => `${name}-${n}`);
+    const href = (b) => `blocks/${names.get(b.id)}.html`;
+    const coverSrc = cover && imageSrc(cover, assets, '');
+
+    const index = page(title, `${coverSrc ? `<img class="cover" src="${escapeHtml(coverSrc)}" alt="">` : ''}
+<header>
+<h1>${escapeHtml(title)}</h1>
+${description ? `<p>${escapeHtml(description)}</p>` : ''}
+<p class="meta">${blocks.length} block${blocks.length === 1 ? '' : 's'}</p>
+<input type="search" id="search" placeholder="Search..." autocomplete="off">
+</header>
+<main>
+${sections.map(({ channel, blocks: list }) => `<section>
+${sections.length > 1 ? `<h2>${escapeHtml(channelLabel(channel))}</h2>` : ''}
+<ul class="grid">
+${list.map(b => cardHtml(b, href(b), assets)).join('\n')}
+</ul>
+</section>`).join('\n')}
+<p id="no-results" class="meta" hidden>No blocks match.</p>
+</main>
+<footer>Exported from My Stash on ${new Date(exportedAt).toLocaleDateString()}</footer>
+<script>
+${SEARCH_SCRIPT}
+</script>`, '');
+
+    return [
+        { path: 'index.html', data: index },
+        { path: 'style.css', data: SITE_CSS },
+        ...blocks.map(b => ({ path: href(b), data: blockPage(b, channels, assets) })),
+        ...[...assets.values()].map(a => ({ path: a.path, data: a.blob }))
+    ];
+};
+
+/* --- MARKDOWN BUNDLE --- */
+// JSON strings and arrays are valid YAML, which saves escaping by hand
+const frontMatter = (fields) => `---\n${Object.entries(fields)
+    .filter(([, v]) => v !== undefined && v !== '' && !(Array.isArray(v) && !v.length))
+    .map(([k, v]) => `${k}: ${JSON.stringify(v)}`)
+    .join('\n')}\n---\n`;
+
+const markdownBody = (b, assets, root) => {
+    const src = (ref) => assets.has(ref) ? root + assets.get(ref).path : ref;
+    switch (b.type) {
+        case BlockType.IMAGE: return `![${b.title || ''}](<${src(b.content)}>)`;
+        case BlockType.LINK: return `[${b.title || b.content}](<${b.content}>)`;
+        case BlockType.CODE: return fencedCode(b);
+        case BlockType.ATTACHMENT: return `${b.preview ? `![](<${src(b.preview)}>)\n\n` : ''}[${b.fileName || 'File'}](<${src(b.content)}>)`;
+        default: return b.content;
+    }
+};
+
+/**
+ * One Markdown file with front matter per block, in a folder per channel ("Design/UI/Buttons/"),
+ * and the images and files under assets/. A block in several exported channels is written once,
+ * in the first of them; its front matter lists all of them.
+ */
+export const buildMarkdownBundle = ({ channels, blocks, assets }) => {
+    const files = [];
+    const written = new Set();
+    channelSections({ channels, blocks }).forEach(({ channel, blocks: list }) => {
+        const folder = channelLabel(channel).split('/').map(p => fileSafe(p) || 'Untitled').join('/');
+        const root = '../'.repeat(folder.split('/').length);
+        const fresh = list.filter(b => !written.has(b.id));
+        const names = uniqueNames(fresh, b => fileSafe(blockName(b)) || 'Untitled', (name, n) => `${name} ${n}`);
+        fresh.forEach(b => {
+            written.add(b.id);
+            const meta = frontMatter({
+                title: b.title || undefined,
+                type: b.type,
+                created: isoDate(b.createdAt),
+                updated: b.updatedAt ? isoDate(b.updatedAt) : undefined,
+                tags: b.tags || [],
+                channels: channels.filter(c => b.channelIds.includes(c.id)).map(channelLabel),
+                url: b.type === BlockType.LINK ? b.content : undefined,
+                language: b.language,
+                description: b.description || undefined
+            });
+            files.push({ path: `${folder}/${names.get(b.id)}.md`, data: `${meta}\n${markdownBody(b, assets, root)}\n` });
+        });
+    });
+    return [...files, ...[...assets.values()].map(a => ({ path: a.path, data: a.blob }))];
+};
@@ -0,0 +1,82 @@
+import { BlockType } from "./types.js";
+// The worker ships with the app (as its own file) so PDFs can be read offline
+import pdfWorkerUrl from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+
+/* --- FILE CAPTURE ---
+ * Decides what kind of block a dropped file becomes and reads what the block needs from it.
+ */
+const CODE_EXTENSIONS = {
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript', ts: 'typescript', tsx: 'typescript',
+    py: 'python', css: 'css', scss: 'css', html: 'html', htm: 'html', json: 'json', sql: 'sql',
+    sh: 'bash', bash: 'bash', zsh: 'bash', go: 'go', rs: 'rust', java: 'java', kt: 'java', c: 'java', cpp: 'java', cs: 'java'
+};
+const MARKDOWN_EXTENSIONS = new Set(['md', 'markdown', 'mdown', 'mkd']);
+const TEXT_EXTENSIONS = new Set(['txt', 'text', 'log', 'csv', 'tsv', 'yml', 'yaml', 'toml', 'ini']);
+
+const extension = (name) => (name.match(/\.([^.]+)$/) || [])[1]?.toLowerCase() || '';
+
+export const titleFromFileName = (name) => name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim() || name;
+
+/**
+ * The block type a file becomes, plus the code language where one applies:
+ * `{ type, language? }`. PDFs and unknown files become attachments.
+ */
+export const fileBlockType = (file) => {
+    const ext = extension(file.name);
+    if (file.type.startsWith('image/')) return { type: BlockType.IMAGE };
+    if (MARKDOWN_EXTENSIONS.has(ext) || file.type === 'text/markdown') return { type: BlockType.MARKDOWN };
+    if (CODE_EXTENSIONS[ext]) return { type: BlockType.CODE, language: CODE_EXTENSIONS[ext] };
+    if (TEXT_EXTENSIONS.has(ext) || file.type.startsWith('text/')) return { type: BlockType.TEXT };
+    return { type: BlockType.ATTACHMENT };
+};
+
+export const isPdf = (file) => file.type === 'application/pdf' || extension(file.name) === 'pdf';
+
+export const formatSize = (bytes) =>
+    bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} B`;
+
+/* --- PDF --- */
+let pdfjs = null;
+
+// pdf.js is large, so it is only fetched the first time a PDF is dropped
+const loadPdfJs = async () => {
+    if (!pdfjs) {
+        pdfjs = await import("pdfjs-dist");
+        pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+    }
+    return pdfjs;
+};
+
+const canvasToBlob = (canvas) => new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+/**
+ * Renders the first page of a PDF and extracts its text.
+ * Resolves to `{ preview: Blob | null, text, pageCount }`.
+ */
+export const readPdf = async (blob, { previewWidth = 600, maxPages = 50, maxChars = 100000 } = {}) => {
+    const lib = await loadPdfJs();
+    const doc = await lib.getDocument({ data: new Uint8Array(await blob.arrayBuffer()) }).promise;
+    try {
+        const first = await doc.getPage(1);
+        const base = first.getViewport({ scale: 1 });
+        const viewport = first.getViewport({ scale: previewWidth / base.width });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(viewport.width);
+        canvas.height = Math.round(viewport.height);
+        await first.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        const preview = await canvasToBlob(canvas);
+
+        const pages = [];
+        let length = 0;
+        for (let n = 1; n <= Math.min(doc.numPages, maxPages) && length < maxChars; n++) {
+            const page = n === 1 ? first : await doc.getPage(n);
+            const content = await page.getTextContent();
+            const text = content.items.map(item => (item.str || '') + (item.hasEOL ? '\n' : '')).join('').trim();
+            pages.push(text);
+            length += text.length;
+        }
+        return { preview, text: pages.join('\n\n').slice(0, maxChars), pageCount: doc.numPages };
+    } finally {
+        doc.destroy();
+    }
+};
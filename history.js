@@ -0,0 +1,88 @@
+/* --- UNDO HISTORY ---
+ * An entry is `{ label, changes }`; every change is `{ store, id, before, after, index }` where
+ * `before`/`after` are record copies and `null` means "did not exist". Entries only hold the
+ * records an action touched, so undoing one action leaves unrelated later changes alone.
+ */
+
+export const copyRecord = (record) => JSON.parse(JSON.stringify(record));
+
+// Record store -> Map(id -> JSON), in array order
+export const snapshotStores = (stores) => Object.fromEntries(
+    Object.entries(stores).map(([name, records]) => [name, new Map(records.map(r => [r.id, JSON.stringify(r)]))])
+);
+
+export const diffSnapshots = (before, after) => {
+    const changes = [];
+    Object.keys(after).forEach(store => {
+        const prev = before[store] || new Map();
+        const next = after[store];
+        const beforeIds = [...prev.keys()];
+        const afterIds = [...next.keys()];
+        new Set([...beforeIds, ...afterIds]).forEach(id => {
+            if (prev.get(id) === next.get(id)) return;
+            changes.push({
+                store,
+                id,
+                before: prev.has(id) ? JSON.parse(prev.get(id)) : null,
+                after: next.has(id) ? JSON.parse(next.get(id)) : null,
+                // Where a removed record goes back when the change is reverted, and vice versa
+                index: prev.has(id) ? beforeIds.indexOf(id) : afterIds.indexOf(id)
+            });
+        });
+    });
+    return changes;
+};
+
+/**
+ * Writes one side (`'before'` or `'after'`) of `changes` into `stores` (name -> array of records).
+ * Existing record objects are updated in place. Returns `{ put, removed }`, per store, for persisting.
+ */
+export const applyChanges = (stores, changes, side) => {
+    const put = {};
+    const removed = {};
+    changes.forEach(change => {
+        const list = stores[change.store];
+        const record = change[side];
+        const i = list.findIndex(r => r.id === change.id);
+        if (!record) {
+            if (i !== -1) list.splice(i, 1);
+            (removed[change.store] = removed[change.store] || []).push(change.id);
+            return;
+        }
+        const copy = copyRecord(record);
+        if (i !== -1) {
+            Object.keys(list[i]).forEach(k => { delete list[i][k]; });
+            Object.assign(list[i], copy);
+            (put[change.store] = put[change.store] || []).push(list[i]);
+        } else {
+            list.splice(Math.min(change.index, list.length), 0, copy);
+            (put[change.store] = put[change.store] || []).push(copy);
+        }
+    });
+    return { put, removed };
+};
+
+// Undo and redo stacks. `onDrop(entries)` hears about entries that can no longer be reached.
+export const createHistory = ({ limit = 100, onDrop = () => {} } = {}) => {
+    const undoStack = [];
+    const redoStack = [];
+    return {
+        push: (entry) => {
+            const dropped = redoStack.splice(0);
+            undoStack.push(entry);
+            if (undoStack.length > limit) dropped.push(...undoStack.splice(0, undoStack.length - limit));
+            if (dropped.length) onDrop(dropped);
+        },
+        undo: () => {
+            const entry = undoStack.pop();
+            if (entry) redoStack.push(entry);
+            return entry || null;
+        },
+        redo: () => {
+            const entry = redoStack.pop();
+            if (entry) undoStack.push(entry);
+            return entry || null;
+        },
+        entries: () => [...undoStack, ...redoStack]
+    };
+};
@@ -0,0 +1,68 @@
+import { dominantColors } from "./colors.js";
+
+/* --- IMAGE PIPELINE ---
+ * Images are processed once, on the way in. What gets stored is a downscaled copy, redrawn so
+ * EXIF and other metadata are dropped; the grid shows a small thumbnail instead of the full copy.
+ */
+const MAX_SIDE = 2048;
+const THUMB_SIDE = 480;
+const PALETTE_SIDE = 64;
+// Redrawing would flatten animations and rasterize vectors, so these are stored as they came
+const KEEP_AS_IS = new Set(['image/gif', 'image/svg+xml']);
+
+// SHA-256 of the bytes, as hex. The same image pasted twice hashes the same.
+export const hashBlob = async (blob) => {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const drawScaled = (bitmap, maxSide) => {
+    const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return canvas;
+};
+
+const toBlob = (canvas, type, quality) => new Promise(resolve => canvas.toBlob(resolve, type, quality));
+
+// WebP where the browser can encode it. Elsewhere toBlob hands back a PNG, often several times the
+// size of the photo it replaces, so JPEG is used there; PNGs stay PNG, as they may be transparent.
+const encode = async (canvas, quality, fallback) => {
+    let blob = await toBlob(canvas, 'image/webp', quality);
+    if (blob && blob.type !== 'image/webp') blob = await toBlob(canvas, fallback, quality);
+    if (!blob) throw new Error('Could not encode image');
+    return blob;
+};
+
+// EXIF lives near the start: a JPEG's APP1 segment, a PNG's eXIf chunk or a WebP's EXIF chunk
+const hasExif = async (blob) => /exif/i.test(new TextDecoder('latin1').decode(await blob.slice(0, 65536).arrayBuffer()));
+
+/**
+ * Resolves to `{ stored, thumbnail, original, hash, colors }`. `thumbnail` is null when the image is
+ * already small; `original` is the untouched input, kept only with `keepOriginal`. Images the
+ * browser cannot decode are stored as they are, without thumbnail or palette.
+ */
+export const processImage = async (blob, { keepOriginal = false } = {}) => {
+    const hash = await hashBlob(blob);
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+    } catch(e) {
+        console.error("Could not decode image, storing it unprocessed", e);
+        return { stored: blob, thumbnail: null, original: null, hash, colors: [] };
+    }
+    try {
+        const fallback = blob.type === 'image/png' ? 'image/png' : 'image/jpeg';
+        let stored = KEEP_AS_IS.has(blob.type) ? blob : await encode(drawScaled(bitmap, MAX_SIDE), 0.85, fallback);
+        // A re-encode that came out larger only pays off when it drops metadata
+        if (stored.size > blob.size && !(await hasExif(blob))) stored = blob;
+        const thumbnail = Math.max(bitmap.width, bitmap.height) > THUMB_SIDE ? await encode(drawScaled(bitmap, THUMB_SIDE), 0.8, fallback) : null;
+        const small = drawScaled(bitmap, PALETTE_SIDE);
+        const pixels = small.getContext('2d').getImageData(0, 0, small.width, small.height).data;
+        return { stored, thumbnail, original: keepOriginal && stored !== blob ? blob : null, hash, colors: dominantColors(pixels) };
+    } finally {
+        bitmap.close();
+    }
+};
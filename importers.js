@@ -0,0 +1,208 @@
+import { BlockType } from "./types.js";
+import { fileBlockType, titleFromFileName } from "./files.js";
+
+/* --- IMPORTERS ---
+ * Turn other apps' exports into import items: `{ type, content, title, description, tags, createdAt,
+ * channel }`, where `channel` is a "Group/Name" path or '' for the Inbox. Items that still need work
+ * carry it along: `file` for files from a folder, `imageUrl` for pictures to download.
+ * Parsers hand control back to the browser every few hundred entries so big exports don't freeze the page.
+ */
+const BATCH = 300;
+const breathe = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] !== '#') return ENTITIES[code.toLowerCase()] ?? m;
+    const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+});
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]*>/g, '')).trim();
+
+// A "/" inside a folder or channel name would read as another group level
+const pathPart = (name) => name.replace(/\//g, '-').trim();
+
+// Two URLs that only differ in case of the host, "www.", a trailing slash, the fragment or
+// tracking parameters point at the same page
+export const urlKey = (url) => {
+    try {
+        const u = new URL(url);
+        [...u.searchParams.keys()].filter(k => /^(utm_|fbclid$|gclid$)/.test(k)).forEach(k => u.searchParams.delete(k));
+        const path = u.pathname.replace(/\/+$/, '');
+        return `${u.protocol}//${u.host.toLowerCase().replace(/^www\./, '')}${path}${u.search}`;
+    } catch(e) {
+        return url.trim();
+    }
+};
+
+// What two blocks with the same content share; null for blocks that can't be compared this way
+export const duplicateKey = (b) => {
+    if (b.type === BlockType.LINK) return `link:${urlKey(b.content)}`;
+    if (b.type === BlockType.IMAGE && /^https?:/i.test(b.content || b.imageUrl || '')) return `image:${urlKey(b.content || b.imageUrl)}`;
+    if ([BlockType.TEXT, BlockType.MARKDOWN, BlockType.CODE].includes(b.type) && b.content) return `text:${b.content.trim()}`;
+    return null;
+};
+
+/* --- BROWSER BOOKMARKS ---
+ * The Netscape bookmark file every browser exports: folders are <H3> headings followed by a <DL>
+ * list, bookmarks are <A> tags with an optional <DD> description after them.
+ */
+const BOOKMARK_TOKEN = /<h3\b[^>]*>([\s\S]*?)<\/h3>|<a\b([^>]*)>([\s\S]*?)<\/a>|<(\/?)dl\b[^>]*>|<dd>([^<]*)/gi;
+
+const attribute = (attrs, name) => {
+    const m = attrs.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return m ? decodeEntities(m[1] ?? m[2] ?? m[3]) : '';
+};
+
+export const parseBookmarks = async (html) => {
+    const items = [];
+    const folders = [];
+    let heading = null;
+    let last = null;
+    let skipped = 0;
+    let seen = 0;
+    for (const [, folder, attrs, text, closing, description] of html.matchAll(BOOKMARK_TOKEN)) {
+        if (folder !== undefined) {
+            heading = pathPart(stripTags(folder));
+            last = null;
+        } else if (attrs !== undefined) {
+            const href = attribute(attrs, 'href');
+            last = null;
+            // Bookmarklets and browser-internal places can't be opened from here
+            if (!/^https?:/i.test(href)) { skipped++; continue; }
+            const added = Number(attribute(attrs, 'add_date'));
+            last = {
+                type: BlockType.LINK,
+                content: href,
+                title: stripTags(text),
+                description: '',
+                tags: attribute(attrs, 'tags').split(',').filter(Boolean),
+                createdAt: added ? added * 1000 : Date.now(),
+                channel: folders.filter(Boolean).join('/')
+            };
+            items.push(last);
+        } else if (closing !== undefined) {
+            if (closing) folders.pop();
+            else { folders.push(heading); heading = null; }
+        } else if (last) {
+            last.description = decodeEntities(description).trim();
+            last = null;
+        }
+        if (++seen % BATCH === 0) await breathe();
+    }
+    return { items, skipped };
+};
+
+/* --- MARKDOWN FOLDERS --- */
+const yamlValue = (raw) => {
+    const value = raw.trim();
+    if (/^\[.*\]$/.test(value)) return value.slice(1, -1).split(',').map(yamlValue).filter(Boolean);
+    return value.replace(/^(["'])(.*)\1$/, '$2');
+};
+
+// Front matter between "---" lines at the top; only flat keys and simple lists are understood
+export const splitFrontMatter = (text) => {
+    const m = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!m) return { data: {}, body: text };
+    const data = {};
+    let listKey = null;
+    m[1].split(/\r?\n/).forEach(line => {
+        const item = line.match(/^\s*-\s+(.*)$/);
+        if (item && listKey) { data[listKey].push(yamlValue(item[1])); return; }
+        const pair = line.match(/^([\w-]+):\s*(.*)$/);
+        if (!pair) return;
+        const key = pair[1].toLowerCase();
+        listKey = pair[2].trim() ? null : key;
+        data[key] = pair[2].trim() ? yamlValue(pair[2]) : [];
+    });
+    return { data, body: text.slice(m[0].length) };
+};
+
+const asList = (value) => Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,\s]+/) : [];
+
+/**
+ * Files picked with a folder input. Each file lands in a channel named after its folder path,
+ * "Notes/Design/grid.md" in "Notes/Design". Text, Markdown and code are read here; images and
+ * other binaries are left for the caller to store. Hidden files and folders are skipped.
+ */
+export const parseMarkdownFolder = async (files) => {
+    const items = [];
+    let skipped = 0;
+    for (const [i, file] of files.entries()) {
+        const parts = (file.webkitRelativePath || file.name).split('/');
+        if (parts.some(p => p.startsWith('.'))) { skipped++; continue; }
+        const channel = parts.slice(0, -1).map(pathPart).join('/');
+        const { type, language } = fileBlockType(file);
+        const item = { type, title: titleFromFileName(file.name), description: '', tags: [], createdAt: file.lastModified || Date.now(), channel };
+        if (type === BlockType.IMAGE || type === BlockType.ATTACHMENT) {
+            items.push({ ...item, content: '', file });
+        } else {
+            const text = await file.text();
+            if (!text.trim()) { skipped++; continue; }
+            const { data, body } = type === BlockType.MARKDOWN ? splitFrontMatter(text) : { data: {}, body: text };
+            const heading = body.match(/^#\s+(.+)$/m);
+            const date = Date.parse(data.date || data.created || '');
+            items.push({
+                ...item,
+                content: body.trim(),
+                title: data.title || (heading ? heading[1].trim() : item.title),
+                description: data.description || data.summary || '',
+                tags: asList(data.tags),
+                createdAt: Number.isNaN(date) ? item.createdAt : date,
+                ...(language ? { language } : {})
+            });
+        }
+        if ((i + 1) % BATCH === 0) await breathe();
+    }
+    return { items, skipped };
+};
+
+/* --- ARE.NA ---
+ * The JSON Are.na's API returns for a channel (`{ title, contents: [...] }`), a list of those, or
+ * `{ channels: [...] }`. Text, link and image blocks map directly; attachments and embeds become
+ * links to their source.
+ */
+const arenaItem = (b, channel) => {
+    const base = {
+        title: b.title || b.generated_title || '',
+        description: b.description || '',
+        tags: [],
+        createdAt: Date.parse(b.connected_at || b.created_at) || Date.now(),
+        channel
+    };
+    const source = b.source && b.source.url;
+    switch (b.class) {
+        case 'Text': return b.content ? { ...base, type: BlockType.TEXT, content: b.content } : null;
+        case 'Link': return source ? { ...base, type: BlockType.LINK, content: source } : null;
+        case 'Image': {
+            const url = b.image && ((b.image.original && b.image.original.url) || (b.image.display && b.image.display.url));
+            return url ? { ...base, type: BlockType.IMAGE, content: '', imageUrl: url } : null;
+        }
+        case 'Attachment': {
+            const url = b.attachment && b.attachment.url;
+            return url ? { ...base, type: BlockType.LINK, content: url, title: base.title || b.attachment.file_name || '' } : null;
+        }
+        case 'Media': return source ? { ...base, type: BlockType.LINK, content: source } : null;
+        default: return null;
+    }
+};
+
+export const parseArena = async (text) => {
+    let data;
+    try { data = JSON.parse(text); } catch(e) { throw new Error('Not an Are.na export: the file is not valid JSON'); }
+    const channels = Array.isArray(data) ? data : Array.isArray(data.channels) ? data.channels : [data];
+    if (!channels.every(c => c && Array.isArray(c.contents))) throw new Error('Not an Are.na export: expected channels with "contents"');
+    const items = [];
+    let skipped = 0;
+    for (const c of channels) {
+        const channel = pathPart(c.title || c.slug || 'Are.na');
+        for (const [i, b] of c.contents.entries()) {
+            const item = arenaItem(b, channel);
+            if (item) items.push(item);
+            else skipped++;
+            if ((i + 1) % BATCH === 0) await breathe();
+        }
+    }
+    return { items, skipped };
+};
@@ -0,0 +1,132 @@
+import { escapeHtml } from "./search.js";
+
+/* --- CODE HIGHLIGHTING ---
+ * A small tokenizer, not a parser: comments, strings, numbers and keywords get a `tok-*` class.
+ * Everything it emits is escaped text inside <span>s.
+ */
+const KEYWORDS = {
+    javascript: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield',
+    python: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield',
+    css: 'important inherit initial unset auto none',
+    sql: 'select from where and or not insert into values update set delete create table drop alter join left right inner outer on group by order having limit as distinct null is in like',
+    bash: 'if then else elif fi for while do done case esac function in return export local echo',
+    go: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var nil true false',
+    rust: 'as break const continue crate else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while',
+    java: 'abstract boolean break case catch class const continue default do double else enum extends final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws try void while true false',
+    json: 'true false null'
+};
+const ALIASES = { js: 'javascript', jsx: 'javascript', ts: 'javascript', typescript: 'javascript', tsx: 'javascript', py: 'python', sh: 'bash', shell: 'bash', zsh: 'bash', scss: 'css', rs: 'rust', golang: 'go', kotlin: 'java', c: 'java', cpp: 'java', csharp: 'java' };
+export const LANGUAGES = ['javascript', 'typescript', 'python', 'css', 'html', 'json', 'sql', 'bash', 'go', 'rust', 'java', 'markdown', 'text'];
+
+const languageKey = (language) => {
+    const l = (language || '').toLowerCase().trim();
+    return ALIASES[l] || l;
+};
+
+const HASH_COMMENTS = new Set(['python', 'bash']);
+
+export const highlightCode = (code, language) => {
+    const lang = languageKey(language);
+    if (lang === 'html' || lang === 'xml') {
+        return escapeHtml(code).replace(/(&lt;\/?)([\w-]+)/g, '$1<span class="tok-kw">$2</span>')
+            .replace(/(&lt;!--[\s\S]*?--&gt;)/g, '<span class="tok-comment">$1</span>');
+    }
+    const keywords = new Set((KEYWORDS[lang] || '').split(' ').filter(Boolean));
+    const comment = HASH_COMMENTS.has(lang) ? '#[^\\n]*' : lang === 'sql' ? '--[^\\n]*' : '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+    const re = new RegExp(`(${comment})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b\\d[\\d_.]*(?:e[+-]?\\d+)?\\b)|([A-Za-z_$][\\w$-]*)`, 'g');
+    let out = '';
+    let last = 0;
+    for (const m of code.matchAll(re)) {
+        out += escapeHtml(code.slice(last, m.index));
+        const [text, isComment, isString, isNumber, word] = m;
+        const cls = isComment ? 'comment' : isString ? 'string' : isNumber ? 'number' : word && keywords.has(lang === 'sql' ? word.toLowerCase() : word) ? 'kw' : null;
+        out += cls ? `<span class="tok-${cls}">${escapeHtml(text)}</span>` : escapeHtml(text);
+        last = m.index + text.length;
+    }
+    return out + escapeHtml(code.slice(last));
+};
+
+/* --- MARKDOWN ---
+ * Escape-first renderer for the common subset: headings, paragraphs, lists, quotes, rules,
+ * fenced code, emphasis, inline code and links. Raw HTML in the source is shown as text.
+ */
+const SAFE_LINK = /^(https?:|mailto:|#|\/)/i;
+
+const renderInline = (text) => {
+    // Code spans and link markup are set aside first, so emphasis never reaches into them
+    const held = [];
+    const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+    const link = (url, label) => `${hold(`<a href="${url}" target="_blank" rel="noopener">`)}${label}${hold('</a>')}`;
+    // NUL marks the held parts, so any already in the text would be taken for one
+    const html = escapeHtml(text.replace(/\u0000/g, ''))
+        .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`))
+        .replace(/!?\[([^\]]*)\]\(([^)\s]+)\)/g, (all, label, url) => SAFE_LINK.test(url) ? link(url, label || hold(url)) : all)
+        .replace(/(^|[\s(])(https?:\/\/[^\s<)]*[^\s<).,;:!?])/g, (_, before, url) => before + link(url, hold(url)))
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/(^|[^\w*])([*_])(?=\S)([\s\S]*?\S)\2(?![\w*])/g, '$1<em>$3</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    // Held parts can contain other held parts (a link label holding its URL)
+    const release = (s) => s.replace(/\u0000(\d+)\u0000/g, (_, i) => release(held[i]));
+    return release(html);
+};
+
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+
+export const renderMarkdown = (source) => {
+    const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+    const out = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        const fence = line.match(/^\s*(```|~~~)\s*([\w+#-]*)/);
+        if (fence) {
+            const body = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+            i++;
+            out.push(`<pre><code>${highlightCode(body.join('\n'), fence[2])}</code></pre>`);
+            continue;
+        }
+        if (!line.trim()) { i++; continue; }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+        if (heading) {
+            out.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+            i++;
+            continue;
+        }
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) { out.push('<hr>'); i++; continue; }
+
+        if (/^\s*>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+            out.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            const ordered = !!item[2];
+            const items = [];
+            while (i < lines.length) {
+                const m = lines[i].match(LIST_ITEM);
+                if (m && !!m[2] === ordered) { items.push(m[3]); i++; }
+                else if (items.length && /^\s{2,}\S/.test(lines[i])) { items[items.length - 1] += `\n${lines[i++].trim()}`; }
+                else break;
+            }
+            const tag = ordered ? 'ol' : 'ul';
+            out.push(`<${tag}>${items.map(t => {
+                const task = t.match(/^\[([ xX])\]\s+(.*)$/s);
+                return task
+                    ? `<li><input type="checkbox" disabled ${task[1] === ' ' ? '' : 'checked'}> ${renderInline(task[2])}</li>`
+                    : `<li>${renderInline(t)}</li>`;
+            }).join('')}</${tag}>`);
+            continue;
+        }
+
+        const para = [];
+        while (i < lines.length && lines[i].trim() && !/^(#{1,6}\s|\s*>|\s*(```|~~~))/.test(lines[i]) && !LIST_ITEM.test(lines[i])) para.push(lines[i++]);
+        out.push(`<p>${para.map(renderInline).join('<br>')}</p>`);
+    }
+    return out.join('\n');
+};
@@ -0,0 +1,99 @@
+import { INBOX_ID } from "./types.js";
+import { cosine } from "./embeddings.js";
+
+/* --- CHANNEL PROFILES ---
+ * A channel is summarized by the mean vector of its blocks and how often each tag occurs in it.
+ * Suggestions and Inbox clustering both compare against these profiles.
+ */
+const mean = (vectors) => {
+    if (!vectors.length) return null;
+    const out = new Array(vectors[0].length).fill(0);
+    vectors.forEach(v => v.forEach((x, i) => { out[i] += x; }));
+    const norm = Math.sqrt(out.reduce((s, x) => s + x * x, 0));
+    return norm ? out.map(x => x / norm) : out;
+};
+
+export const channelProfiles = (blocks, channels, vectorIndex, embedderId) => channels
+    .filter(c => c.id !== INBOX_ID)
+    .map(c => {
+        const members = blocks.filter(b => b.channelIds.includes(c.id));
+        const vectors = members.map(b => vectorIndex.get(b.id)).filter(e => e && e.embedderId === embedderId).map(e => e.vector);
+        const tagCounts = new Map();
+        members.forEach(b => b.tags.forEach(t => tagCounts.set(t.toLowerCase(), (tagCounts.get(t.toLowerCase()) || 0) + 1)));
+        return { channelId: c.id, size: members.length, centroid: mean(vectors), tagCounts };
+    })
+    .filter(p => p.size > 0);
+
+// Share of the channel's blocks carrying each draft tag, averaged over the draft tags
+const tagAffinity = (tags, profile) => {
+    if (!tags.length) return 0;
+    return tags.reduce((sum, t) => sum + (profile.tagCounts.get(t.toLowerCase()) || 0) / profile.size, 0) / tags.length;
+};
+
+/**
+ * Ranks channels for a draft `{ vector, tags }`. Content similarity dominates; shared tags
+ * break ties and cover blocks that have tags but little text.
+ */
+export const suggestChannels = (draft, profiles, { k = 3, minScore = 0.15 } = {}) => profiles
+    .map(p => {
+        const similarity = draft.vector && p.centroid ? cosine(draft.vector, p.centroid) : 0;
+        return { channelId: p.channelId, score: 0.7 * similarity + 0.3 * tagAffinity(draft.tags || [], p) };
+    })
+    .filter(s => s.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+
+/* --- CLUSTERING --- */
+// Greedy leader clustering: each block joins the closest cluster above `threshold` or starts a new one
+export const clusterVectors = (items, { threshold = 0.45 } = {}) => {
+    const clusters = [];
+    items.forEach(item => {
+        let best = null;
+        let bestScore = threshold;
+        clusters.forEach(c => {
+            const score = cosine(item.vector, c.centroid);
+            if (score >= bestScore) { best = c; bestScore = score; }
+        });
+        if (best) {
+            best.items.push(item);
+            best.centroid = mean(best.items.map(i => i.vector));
+        } else {
+            clusters.push({ items: [item], centroid: item.vector });
+        }
+    });
+    return clusters.sort((a, b) => b.items.length - a.items.length);
+};
+
+const titleCase = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+// Offline fallback name for a proposed channel: the cluster's most common tag
+export const fallbackClusterName = (blocks, group = 'Sorted') => {
+    const counts = new Map();
+    blocks.forEach(b => b.tags.forEach(t => counts.set(t.toLowerCase(), (counts.get(t.toLowerCase()) || 0) + 1)));
+    const top = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    return `${group}/${top ? titleCase(top[0]) : 'Misc'}`;
+};
+
+/**
+ * Groups Inbox blocks and maps every group to an existing channel (when its profile is close
+ * enough) or to a proposed new `Group/Name` channel. Returns
+ * `[{ blockIds, channelId | null, proposedName | null, score }]`.
+ */
+export const proposeInboxClusters = (inboxBlocks, profiles, vectorIndex, embedderId, { matchScore = 0.35, threshold } = {}) => {
+    const items = inboxBlocks
+        .map(b => ({ block: b, entry: vectorIndex.get(b.id) }))
+        .filter(x => x.entry && x.entry.embedderId === embedderId)
+        .map(x => ({ id: x.block.id, vector: x.entry.vector, block: x.block }));
+
+    return clusterVectors(items, { threshold }).map(cluster => {
+        const blocks = cluster.items.map(i => i.block);
+        const tags = blocks.flatMap(b => b.tags);
+        const [best] = suggestChannels({ vector: cluster.centroid, tags }, profiles, { k: 1, minScore: matchScore });
+        return {
+            blockIds: blocks.map(b => b.id),
+            channelId: best ? best.channelId : null,
+            proposedName: best ? null : fallbackClusterName(blocks),
+            score: best ? best.score : 0
+        };
+    });
+};
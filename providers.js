@@ -0,0 +1,166 @@
+import { GoogleGenAI, Type } from "@google/genai";
+
+/* --- AI PROVIDERS ---
+ * Every adapter implements the same small interface:
+ *   generateText({ prompt, image })          -> Promise<string>
+ *   generateJSON({ prompt, image, schema })  -> Promise<object>
+ *   embed(texts)                             -> Promise<number[][]>   (optional)
+ * `image` is `{ mimeType, data }` with base64 data; `schema` is a plain JSON-schema subset
+ * (object / array / string properties).
+ */
+export const PROVIDERS = {
+    gemini: { label: 'Google Gemini', model: 'gemini-3-flash-preview', embeddingModel: 'text-embedding-004', usesKey: true, needsKey: true },
+    // The key is optional here: self-hosted OpenAI-compatible servers often run without one
+    openai: { label: 'OpenAI-compatible', model: 'gpt-4o-mini', embeddingModel: 'text-embedding-3-small', endpoint: 'https://api.openai.com/v1', usesKey: true },
+    local: { label: 'Local server (Ollama)', model: 'llama3.2', embeddingModel: 'nomic-embed-text', endpoint: 'http://localhost:11434' },
+    mock: { label: 'Mock (offline, for testing)', model: 'mock' }
+};
+
+export const DEFAULT_AI_SETTINGS = { provider: 'gemini', endpoint: '', model: '', embeddingModel: '', apiKey: '' };
+
+// A provider is usable once it has what it needs to make a call
+export const isConfigured = (settings) => {
+    const def = PROVIDERS[settings.provider];
+    return !!def && (!def.needsKey || !!settings.apiKey);
+};
+
+const httpError = async (label, res) => {
+    const err = new Error(`${label} request failed (${res.status}): ${(await res.text()).slice(0, 200)}`);
+    err.status = res.status;
+    return err;
+};
+
+const schemaPrompt = (prompt, schema) => `${prompt}\n\nRespond with JSON only, matching this schema:\n${JSON.stringify(schema)}`;
+
+/* --- GEMINI --- */
+const toGeminiSchema = (schema) => {
+    const out = { type: Type[schema.type.toUpperCase()] };
+    if (schema.properties) out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+    if (schema.items) out.items = toGeminiSchema(schema.items);
+    return out;
+};
+
+const createGeminiProvider = ({ apiKey, model, embeddingModel }) => {
+    const ai = new GoogleGenAI({ apiKey });
+    const contents = (prompt, image) => image
+        ? [{ role: 'user', parts: [{ inlineData: image }, { text: prompt }] }]
+        : prompt;
+    return {
+        id: `gemini:${model}`,
+        generateText: async ({ prompt, image }) => (await ai.models.generateContent({ model, contents: contents(prompt, image) })).text,
+        generateJSON: async ({ prompt, image, schema }) => {
+            const response = await ai.models.generateContent({
+                model,
+                contents: contents(prompt, image),
+                config: { responseMimeType: "application/json", responseSchema: toGeminiSchema(schema) }
+            });
+            return JSON.parse(response.text);
+        },
+        embed: async (texts) => {
+            const response = await ai.models.embedContent({ model: embeddingModel, contents: texts });
+            return response.embeddings.map(e => e.values);
+        },
+        embeddingId: `gemini:${embeddingModel}`
+    };
+};
+
+/* --- OPENAI-COMPATIBLE --- */
+const createOpenAIProvider = ({ endpoint, apiKey, model, embeddingModel }) => {
+    const base = endpoint.replace(/\/+$/, '');
+    const post = async (path, body) => {
+        const res = await fetch(`${base}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+            body: JSON.stringify(body)
+        });
+        if (!res.ok) throw await httpError('OpenAI-compatible', res);
+        return res.json();
+    };
+    const messages = (prompt, image) => [{
+        role: 'user',
+        content: image
+            ? [{ type: 'text', text: prompt }, { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }]
+            : prompt
+    }];
+    const chat = async (prompt, image, extra = {}) =>
+        (await post('/chat/completions', { model, messages: messages(prompt, image), ...extra })).choices[0].message.content;
+    return {
+        id: `openai:${base}:${model}`,
+        generateText: ({ prompt, image }) => chat(prompt, image),
+        generateJSON: async ({ prompt, image, schema }) =>
+            JSON.parse(await chat(schemaPrompt(prompt, schema), image, { response_format: { type: 'json_object' } })),
+        embed: async (texts) => (await post('/embeddings', { model: embeddingModel, input: texts })).data.map(d => d.embedding),
+        embeddingId: `openai:${base}:${embeddingModel}`
+    };
+};
+
+/* --- LOCAL SERVER (Ollama API) --- */
+const createLocalProvider = ({ endpoint, model, embeddingModel }) => {
+    const base = endpoint.replace(/\/+$/, '');
+    const post = async (path, body) => {
+        const res = await fetch(`${base}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...body, stream: false })
+        });
+        if (!res.ok) throw await httpError('Local model server', res);
+        return res.json();
+    };
+    const chat = async (prompt, image, extra = {}) => (await post('/api/chat', {
+        model,
+        messages: [{ role: 'user', content: prompt, ...(image ? { images: [image.data] } : {}) }],
+        ...extra
+    })).message.content;
+    return {
+        id: `local:${base}:${model}`,
+        generateText: ({ prompt, image }) => chat(prompt, image),
+        generateJSON: async ({ prompt, image, schema }) => JSON.parse(await chat(schemaPrompt(prompt, schema), image, { format: schema })),
+        embed: async (texts) => (await post('/api/embed', { model: embeddingModel, input: texts })).embeddings,
+        embeddingId: `local:${base}:${embeddingModel}`
+    };
+};
+
+/* --- MOCK --- */
+// Common words plus the instruction vocabulary of our own prompts
+const STOPWORDS = new Set(('a an and are as at be by for from has in is it of on or that the this to was were with ' +
+    'analyze content return json title summary tags short max words sentence array lowercase single').split(' '));
+
+// Deterministic, network-free provider. By default it fills the requested schema from the prompt's
+// own words; pass `respond({ prompt, image, schema })` to script exact answers.
+export const createMockProvider = ({ respond } = {}) => {
+    const words = (prompt) => (prompt.toLowerCase().match(/[\p{L}]{3,}/gu) || []).filter(w => !STOPWORDS.has(w));
+    const topWords = (prompt, n) => {
+        const counts = new Map();
+        words(prompt).forEach(w => counts.set(w, (counts.get(w) || 0) + 1));
+        return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, n).map(([w]) => w);
+    };
+    const fill = (schema, prompt, key) => {
+        if (schema.type === 'object') return Object.fromEntries(Object.entries(schema.properties || {}).map(([k, v]) => [k, fill(v, prompt, k)]));
+        if (schema.type === 'array') return schema.items.type === 'string' ? topWords(prompt, 4) : [];
+        if (schema.type === 'string') return key === 'title' ? topWords(prompt, 3).join(' ') : `Mock ${key || 'answer'}: ${topWords(prompt, 5).join(', ')}`;
+        return null;
+    };
+    return {
+        id: 'mock',
+        generateText: async (req) => respond ? respond(req) : `Mock insight: ${topWords(req.prompt, 5).join(', ')}`,
+        generateJSON: async (req) => respond ? respond(req) : fill(req.schema, req.prompt)
+    };
+};
+
+export const createProvider = (settings) => {
+    if (!isConfigured(settings)) return null;
+    const def = PROVIDERS[settings.provider];
+    const opts = {
+        apiKey: settings.apiKey,
+        endpoint: settings.endpoint || def.endpoint || '',
+        model: settings.model || def.model,
+        embeddingModel: settings.embeddingModel || def.embeddingModel
+    };
+    switch (settings.provider) {
+        case 'gemini': return createGeminiProvider(opts);
+        case 'openai': return createOpenAIProvider(opts);
+        case 'local': return createLocalProvider(opts);
+        case 'mock': return createMockProvider();
+        default: return null;
+    }
+};
@@ -0,0 +1,98 @@
+/* --- TASK QUEUE ---
+ * Runs `worker(item)` over a list of items with limited concurrency. Failed items are retried
+ * with exponential backoff; a rate-limit error also holds back every other worker until the
+ * backoff has passed. The queue can be paused, resumed and cancelled.
+ */
+export const createTaskQueue = ({
+    worker,
+    concurrency = 2,
+    retries = 3,
+    baseDelay = 1000,
+    isRateLimited = () => false,
+    onUpdate = () => {}
+}) => {
+    const waiting = [];
+    const status = { total: 0, done: 0, failed: 0, running: 0, paused: false, cancelled: false, backoffUntil: 0 };
+    let timer = null;
+    let finished = false;
+    let finish;
+    const whenDone = new Promise(resolve => { finish = resolve; });
+
+    const snapshot = () => ({ ...status, remaining: waiting.length });
+    const emit = () => onUpdate(snapshot());
+
+    const settle = () => {
+        if (finished || status.running || (waiting.length && !status.cancelled)) return;
+        finished = true;
+        clearTimeout(timer);
+        emit();
+        finish(snapshot());
+    };
+
+    const schedule = (ms) => {
+        clearTimeout(timer);
+        timer = setTimeout(pump, Math.max(ms, 0));
+    };
+
+    const pump = () => {
+        if (status.cancelled) return settle();
+        if (status.paused) return;
+        const now = Date.now();
+        if (status.backoffUntil > now) return schedule(status.backoffUntil - now);
+
+        while (status.running < concurrency) {
+            const idx = waiting.findIndex(t => t.notBefore <= now);
+            if (idx === -1) break;
+            run(waiting.splice(idx, 1)[0]);
+        }
+        // Everything left is waiting out a retry delay
+        if (status.running < concurrency && waiting.length) {
+            schedule(Math.min(...waiting.map(t => t.notBefore)) - now);
+        }
+        settle();
+    };
+
+    const run = async (task) => {
+        status.running++;
+        emit();
+        try {
+            await worker(task.item, { isCancelled: () => status.cancelled });
+            status.done++;
+        } catch (e) {
+            if (status.cancelled) {
+                // Dropped, not failed
+            } else if (task.attempts < retries) {
+                task.attempts++;
+                const delay = baseDelay * 2 ** (task.attempts - 1);
+                if (isRateLimited(e)) status.backoffUntil = Math.max(status.backoffUntil, Date.now() + delay * 2);
+                task.notBefore = Date.now() + delay;
+                waiting.push(task);
+            } else {
+                console.error("Task failed after retries", task.item, e);
+                status.failed++;
+            }
+        }
+        status.running--;
+        emit();
+        pump();
+    };
+
+    return {
+        add: (items) => {
+            items.forEach(item => waiting.push({ item, attempts: 0, notBefore: 0 }));
+            status.total += items.length;
+            emit();
+            pump();
+        },
+        pause: () => { status.paused = true; clearTimeout(timer); emit(); },
+        resume: () => { status.paused = false; emit(); pump(); },
+        cancel: () => {
+            status.cancelled = true;
+            waiting.length = 0;
+            emit();
+            settle();
+        },
+        status: snapshot,
+        done: () => whenDone
+    };
+};
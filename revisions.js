@@ -0,0 +1,76 @@
+/* --- REVISIONS ---
+ * Before a block's content or metadata changes, its current version is saved as a revision:
+ * `{ id, blockId, savedAt, reason, version }`. `reason` says what replaced it ('edit', 'ai' or
+ * 'restore'); `version` holds the revised fields as they were, plus the time they were written.
+ */
+export const REVISED_FIELDS = ['type', 'content', 'thumbnail', 'original', 'hash', 'language', 'title', 'description', 'tags', 'extractedText', 'colors'];
+
+export const versionOf = (b) => ({
+    ...Object.fromEntries(REVISED_FIELDS.map(f => [f, b[f] ?? (f === 'tags' || f === 'colors' ? [] : '')])),
+    at: b.updatedAt || b.createdAt
+});
+
+export const sameVersion = (a, b) => REVISED_FIELDS.every(f => JSON.stringify(a[f]) === JSON.stringify(b[f]));
+
+export const createRevision = (b, reason) => ({
+    id: `r_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    blockId: b.id,
+    savedAt: Date.now(),
+    reason,
+    version: versionOf(b)
+});
+
+/* --- TEXT DIFF --- */
+const MAX_CELLS = 4e6;
+
+// Words and the whitespace between them, so joining the tokens gives back the text
+const words = (text) => text.match(/\s+|[^\s]+/g) || [];
+const lines = (text) => text.match(/[^\n]*\n|[^\n]+/g) || [];
+
+// Longest-common-subsequence diff over two token lists
+const diffTokens = (a, b) => {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const table = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+            table[i][j] = midA[i] === midB[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const ops = a.slice(0, start).map(text => ({ op: 'equal', text }));
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+        if (i < midA.length && j < midB.length && midA[i] === midB[j]) { ops.push({ op: 'equal', text: midA[i] }); i++; j++; }
+        else if (i < midA.length && (j === midB.length || table[i + 1][j] >= table[i][j + 1])) { ops.push({ op: 'delete', text: midA[i] }); i++; }
+        else { ops.push({ op: 'insert', text: midB[j] }); j++; }
+    }
+    a.slice(endA).forEach(text => ops.push({ op: 'equal', text }));
+    return ops;
+};
+
+/**
+ * Diffs two texts word by word (line by line when they are too long for that). Returns
+ * `[{ op: 'equal' | 'insert' | 'delete', text }]` with neighbouring parts of the same kind merged.
+ */
+export const diffText = (before, after) => {
+    let a = words(before || '');
+    let b = words(after || '');
+    if (a.length * b.length > MAX_CELLS) { a = lines(before || ''); b = lines(after || ''); }
+    const ops = a.length * b.length > MAX_CELLS
+        ? [{ op: 'delete', text: before }, { op: 'insert', text: after }]
+        : diffTokens(a, b);
+    return ops.reduce((out, part) => {
+        const last = out[out.length - 1];
+        if (last && last.op === part.op) last.text += part.text;
+        else if (part.text) out.push({ ...part });
+        return out;
+    }, []);
+};
@@ -0,0 +1,82 @@
+/* --- SANITIZING ---
+ * Every piece of HTML built from user content passes through `sanitizeHtml` before it reaches
+ * innerHTML. Renderers already escape their input; this allowlist is the backstop if one slips.
+ */
+const ALLOWED_TAGS = {
+    A: ['href', 'target', 'rel'],
+    P: [], BR: [], HR: [], STRONG: [], EM: [], DEL: [], INS: [], MARK: [],
+    CODE: [], PRE: [], SPAN: ['class'],
+    H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+    UL: [], OL: [], LI: [], BLOCKQUOTE: [],
+    INPUT: ['type', 'disabled', 'checked']
+};
+// Removed together with their contents; any other unknown element is unwrapped
+const DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'SVG', 'MATH', 'LINK', 'META', 'BASE', 'FORM', 'TEXTAREA', 'SELECT', 'BUTTON']);
+
+const LINK_SCHEMES = /^(https?:|mailto:|blob:)/i;
+const IMAGE_SOURCES = /^(https?:|blob:|data:image\/(png|jpe?g|gif|webp|avif|bmp);)/i;
+
+/**
+ * Returns `url` if it is safe to use as a link (or, with `image`, as an image source),
+ * otherwise an empty string. Relative and fragment URLs are allowed for links.
+ */
+export const safeUrl = (url, { image = false } = {}) => {
+    const value = String(url ?? '').trim();
+    // Browsers ignore control characters and whitespace inside schemes ("java\nscript:")
+    const compact = value.replace(/[\u0000- ]/g, '');
+    if (image) return IMAGE_SOURCES.test(compact) ? value : '';
+    if (LINK_SCHEMES.test(compact) || /^[/#?]/.test(compact)) return value;
+    return /^[^:]*$/.test(compact) && compact ? value : '';
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const cleanElement = (el) => {
+    [...el.childNodes].forEach(child => {
+        if (child.nodeType === Node.COMMENT_NODE) { child.remove(); return; }
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+        const tag = child.tagName.toUpperCase();
+        if (DROPPED_TAGS.has(tag)) { child.remove(); return; }
+        cleanElement(child);
+        if (!ALLOWED_TAGS[tag] || (tag === 'INPUT' && child.getAttribute('type') !== 'checkbox')) {
+            child.replaceWith(...child.childNodes);
+            return;
+        }
+        [...child.attributes].forEach(attr => {
+            const name = attr.name.toLowerCase();
+            const keep = ALLOWED_TAGS[tag].includes(name) &&
+                (name !== 'href' || safeUrl(attr.value)) &&
+                (name !== 'class' || /^(tok-[a-z]+\s*)+$/.test(attr.value));
+            if (!keep) child.removeAttribute(attr.name);
+        });
+        if (tag === 'A') child.setAttribute('rel', 'noopener noreferrer');
+        if (tag === 'INPUT') child.setAttribute('disabled', '');
+    });
+};
+
+// Wraps matches of `highlights` in text nodes with <mark>
+const markText = (root, highlights) => {
+    if (!highlights.length) return;
+    const re = new RegExp(`(${[...highlights].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`, 'gi');
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    nodes.forEach(node => {
+        const parts = node.nodeValue.split(re);
+        if (parts.length < 2) return;
+        node.replaceWith(...parts.map((part, i) => {
+            if (i % 2 === 0) return document.createTextNode(part);
+            const mark = document.createElement('mark');
+            mark.textContent = part;
+            return mark;
+        }));
+    });
+};
+
+export const sanitizeHtml = (html, { highlights = [] } = {}) => {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    cleanElement(template.content);
+    markText(template.content, highlights);
+    return template.innerHTML;
+};
@@ -1,99 +1,1286 @@
-import { GoogleGenAI, Type } from "@google/genai";
-import { BlockType } from "./types.js";
+import { BlockType, INBOX_ID, withChannelIds } from "./types.js";
+import { serializeBackup, parseBackup, diffBackup, mergeBackup, fixMemberships } from "./backup.js";
+import {
+    openStorage, loadStash, readLegacyStash, putBlocks, deleteBlocks, putChannels, deleteChannels, setMeta,
+    replaceStash, storeImage, storeInlineImages, deleteImages, isImageRef, imageUrl, imageBlob, imageDataUrl, blockImageRefs, inlineBlockImages, blobFields, isDataUrl,
+    loadEmbeddings, putEmbeddings, deleteEmbeddings, putInsights, deleteInsights, putTrash, deleteTrash, pruneImages,
+    putRevisions, loadRevisions, pruneRevisions, putDefaultChannels, IMAGE_REF_PREFIX, saveImage, hasImage,
+    onLocalChange, countPendingChanges, loadPendingChanges, markChangesPushed, markAllChangesDirty, applyRemoteChanges,
+    loadLock, isLockEnabled, unlockStorage, lockStorage, enableLock, disableLock, changePassphrase, whenStored
+} from "./storage.js";
+import { parseQuery, searchBlocks, highlight, escapeHtml } from "./search.js";
+import { createLocalEmbedder, createProviderEmbedder, createVectorIndex, blockText, textHash } from "./embeddings.js";
+import { PROVIDERS, DEFAULT_AI_SETTINGS, createProvider, isConfigured } from "./providers.js";
+import { analyzeContent, findConnections, nameClusters } from "./ai.js";
+import { channelProfiles, suggestChannels, proposeInboxClusters } from "./organize.js";
+import { createTaskQueue } from "./queue.js";
+import { renderMarkdown, highlightCode, LANGUAGES } from "./markdown.js";
+import { sanitizeHtml, safeUrl } from "./sanitize.js";
+import { createHistory, snapshotStores, diffSnapshots, applyChanges, copyRecord } from "./history.js";
+import { REVISED_FIELDS, versionOf, sameVersion, createRevision, diffText } from "./revisions.js";
+import { fileBlockType, isPdf, readPdf, titleFromFileName, formatSize } from "./files.js";
+import { processImage, hashBlob } from "./images.js";
+import { SWATCHES, swatchOf } from "./colors.js";
+import { normalizeTag, normalizeTags, parseTagInput, tagCounts, completeTag } from "./tags.js";
+import { rankCommands } from "./commands.js";
+import { parseBookmarks, parseMarkdownFolder, parseArena, duplicateKey } from "./importers.js";
+import { buildSite, buildMarkdownBundle, assetPath, fencedCode } from "./exporters.js";
+import { createZip } from "./zip.js";
+import { newId, fromChange, createSyncClient } from "./sync.js";
+import { encryptBackup, decryptBackup, isEncryptedBackup } from "./vault.js";
+import { createIcons, icons } from "lucide";
+import { channelLabel, parseChannelName, slugify, uniqueSlug, dedupeSlugs, nextOrder, sortChannels, channelTree, inGroup, moveInTree, renameGroup, dissolveGroup } from "./channels.js";
 
 /* --- STATE & DATA --- */
 const DEFAULT_CHANNELS = [
-    { id: 'c_inbox', title: 'Inbox', slug: 'inbox', createdAt: Date.now() },
+    { id: INBOX_ID, title: 'Inbox', slug: 'inbox', createdAt: Date.now() },
     { id: 'c_design', title: 'Patterns', slug: 'patterns', vertical: 'Design', createdAt: Date.now() },
     { id: 'c_code', title: 'Snippets', slug: 'snippets', vertical: 'Code', createdAt: Date.now() },
 ];
 
+// Icons are bundled with the app; this renders every data-lucide element, as the CDN build's global did
+const lucide = { createIcons: () => createIcons({ icons }) };
+
 let state = {
     blocks: [],
     channels: DEFAULT_CHANNELS,
+    insights: [], // saved Connect results: { id, channelId, text, blockIds, createdAt }
+    trash: [], // deleted blocks and channels: { id, kind: 'block' | 'channel', record, deletedAt, memberIds?, movedToInbox? }
     activeChannelId: 'c_inbox',
-    apiKey: localStorage.getItem('gemini_api_key') || '',
+    ai: { ...DEFAULT_AI_SETTINGS },
     editingBlockId: null // track if we are in edit mode
 };
 
+// Backup parsed from the import modal, waiting for the user to pick replace or merge, and an
+// encrypted one waiting for its passphrase
+let pendingImport = null;
+let encryptedImport = null;
+
+// Bookmarks, a Markdown folder or an Are.na export read in the import modal, and whether it is being imported
+let pendingSourceImport = null;
+let sourceImporting = false;
+
+// Semantic search: vectors for every block, plus the embedded search box text
+const vectorIndex = createVectorIndex();
+const localEmbedder = createLocalEmbedder();
+const MIN_SIMILARITY = 0.2;
+let searchMode = 'keyword';
+let semanticQuery = { text: '', vector: null, embedderId: null };
+let semanticTimer = null;
+const expandedRelated = new Set();
+
+// The running "Tag untagged blocks" job, if any
+let backfillJob = null;
+
+// Dropped files still being turned into blocks; files dropped meanwhile join the same job
+let dropJob = null;
+
+// Sync server settings ({ url, token }, empty url when sync is off), how far this device has pulled, and what the sidebar shows
+let syncSettings = { url: '', token: '' };
+let deviceId = null;
+let syncCursor = 0;
+let syncStatus = { state: 'off', pending: 0, lastSynced: null, error: '' };
+let syncing = false;
+let syncQueued = false;
+let syncTimer = null;
+
+// Passphrase lock: minutes of inactivity before it locks (0 for never), when the user last did
+// something, and what resolves the lock screen
+let autoLockMinutes = 15;
+let lastActivity = Date.now();
+let unlockResolver = null;
+
+// The browser's install offer, kept for the Install button, and whether the add modal holds content
+// sent by the bookmarklet's popup, which closes once it is saved or dismissed
+let installPrompt = null;
+let capturing = false;
+
+// Channel suggestion for the add/edit modal, and the pending "Organize Inbox" proposal
+let suggestionTimer = null;
+let organizeProposal = null;
+
+const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+let toastTimer = null;
+
+// Image refs held only by revisions, and the revisions shown in the edit modal
+let revisionImages = new Set();
+let blockRevisions = [];
+let selectedRevisionId = null;
+let modalAutoFilled = false; // the open edit was filled in by Auto-Tag
+let sortOrder = 'created'; // the sort of channels that have no view settings of their own
+// Per channel ('all' for All Blocks): { view, sort, tableSort: { key, dir } | null }
+let viewSettings = {};
+let draggedBlockId = null;
+let keepOriginals = false; // store each image's untouched upload next to the processed copy
+let showAllTags = false;
+let tagSuggestions = []; // completions shown under #edit-tags, and the highlighted one
+let tagSuggestionIndex = 0;
+
+// Multi-select: selected block ids, the block a shift-click range starts from, and the ids
+// the grid currently shows, in order
+const selectedIds = new Set();
+let selectionAnchor = null;
+let viewIds = [];
+// Sidebar: collapsed group paths, the channel or group being dragged, and the channel open in the
+// channel modal with its cover as edited so far
+let collapsedGroups = new Set();
+let draggedChannelItem = null;
+let editingChannelId = null;
+let channelCoverDraft = null;
+// The card to focus after the next render, when the focused one is about to go away
+let pendingFocusId = null;
+let paletteItems = []; // what the command palette currently lists, and the highlighted entry
+let paletteIndex = 0;
+
 /* --- STORAGE --- */
-const loadState = () => {
-    const stored = localStorage.getItem('my_stash_v1');
-    if (stored) {
-        try {
-            const parsed = JSON.parse(stored);
-            state = { ...state, ...parsed, apiKey: localStorage.getItem('gemini_api_key') || '', editingBlockId: null };
-        } catch(e) { console.error("State load error", e); }
+// AI settings live in localStorage; the old Gemini-only key is picked up once
+const loadAISettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem('ai_settings') || 'null');
+        if (stored) return { ...DEFAULT_AI_SETTINGS, ...stored };
+    } catch(e) { console.error("AI settings load error", e); }
+    return { ...DEFAULT_AI_SETTINGS, apiKey: localStorage.getItem('gemini_api_key') || '' };
+};
+
+// Under a passphrase lock they move into the stash, where the API key is encrypted with everything else
+const saveAISettings = () => {
+    if (isLockEnabled()) {
+        persist(setMeta('aiSettings', state.ai));
+        localStorage.removeItem('ai_settings');
+    } else {
+        localStorage.setItem('ai_settings', JSON.stringify(state.ai));
+        persist(setMeta('aiSettings', null));
+    }
+    localStorage.removeItem('gemini_api_key');
+};
+
+const showStorageError = (e) => {
+    console.error("Storage error", e);
+    document.getElementById('storage-text').textContent = e.message;
+    document.getElementById('storage-banner').classList.remove('hidden');
+};
+
+// Writes are incremental and fire-and-forget; failures surface in the storage banner.
+const persist = (promise) => promise.catch(showStorageError);
+
+const loadState = async () => {
+    state.ai = loadAISettings();
+    try {
+        await openStorage();
+        if (await loadLock()) await waitForUnlock();
+        const stored = await loadStash();
+        deviceId = stored.meta.deviceId;
+        if (stored.meta.aiSettings) state.ai = { ...DEFAULT_AI_SETTINGS, ...stored.meta.aiSettings };
+        if (stored.meta.autoLockMinutes !== undefined) autoLockMinutes = stored.meta.autoLockMinutes;
+        if (stored.channels.length) {
+            state = { ...state, blocks: stored.blocks, channels: stored.channels, insights: stored.insights, trash: stored.trash };
+            if (stored.meta.activeChannelId !== undefined) state.activeChannelId = stored.meta.activeChannelId;
+            if (stored.meta.sortOrder) sortOrder = stored.meta.sortOrder;
+            viewSettings = stored.meta.viewSettings || {};
+            keepOriginals = !!stored.meta.keepOriginals;
+            collapsedGroups = new Set(stored.meta.collapsedGroups || []);
+            syncSettings = stored.meta.syncSettings || syncSettings;
+            syncCursor = stored.meta.syncCursor || 0;
+            const reslugged = dedupeSlugs(state.channels);
+            if (reslugged.length) persist(putChannels(reslugged));
+            (await loadEmbeddings()).forEach(vectorIndex.set);
+            purgeExpiredTrash();
+            try {
+                const blockIds = new Set([...state.blocks, ...state.trash.flatMap(t => heldBlocks('trash', t))].map(b => b.id));
+                revisionImages = await pruneRevisions(blockIds);
+                // Undo history is not kept across reloads, so images only it could bring back are gone for good
+                persist(pruneImages(imagesInUse()));
+            } catch(e) { showStorageError(e); }
+        } else {
+            persist(putDefaultChannels(state.channels));
+        }
+    } catch(e) {
+        showStorageError(e);
+        const legacy = readLegacyStash();
+        if (legacy) state = { ...state, blocks: (legacy.blocks || []).map(withChannelIds), channels: legacy.channels || state.channels };
     }
+    ensureInbox();
 };
 
-const saveState = () => {
-    const toSave = { ...state };
-    delete toSave.apiKey;
-    delete toSave.editingBlockId;
-    localStorage.setItem('my_stash_v1', JSON.stringify(toSave));
+// The Inbox catches blocks that lose their last channel, so it must always exist.
+const ensureInbox = () => {
+    if (state.channels.some(c => c.id === INBOX_ID)) return;
+    const inbox = { ...DEFAULT_CHANNELS[0], createdAt: Date.now() };
+    state.channels.unshift(inbox);
+    persist(putChannels([inbox]));
 };
 
+const inChannel = (b, channelId) => !channelId || b.channelIds.includes(channelId);
+
+// Blocks held by a record of any store: the block itself, or a block waiting in the Trash
+const heldBlocks = (store, r) => !r ? [] : store === 'blocks' ? [r] : store === 'trash' && r.kind === 'block' ? [r.record] : [];
+
+// Blocks and channels (for their covers) held by a record of any store
+const heldRecords = (store, r) => [
+    ...heldBlocks(store, r),
+    ...(!r ? [] : store === 'channels' ? [r] : store === 'trash' && r.kind === 'channel' ? [r.record] : [])
+];
+
+// Images referenced by live or trashed blocks and channels, or anything undo/redo can bring back
+const imagesInUse = () => new Set([
+    ...state.blocks,
+    ...state.channels,
+    ...state.trash.flatMap(t => heldRecords('trash', t)),
+    ...history.entries().flatMap(e => e.changes).flatMap(c => [...heldRecords(c.store, c.before), ...heldRecords(c.store, c.after)])
+].flatMap(blockImageRefs).concat([...revisionImages]));
+
+// Drops stored images nothing points at any more.
+const releaseImages = (removedBlocks) => {
+    const inUse = imagesInUse();
+    const orphans = [...new Set(removedBlocks.flatMap(blockImageRefs))].filter(ref => !inUse.has(ref));
+    if (orphans.length) persist(deleteImages(orphans));
+};
+
+// Backups carry images inline. Where a backup image is identical to the one a local block (or
+// channel) already points at, reuse the local ref so the two are not reported as a conflict.
+const matchLocalImages = (records, localRecords) => Promise.all(records.map(async b => {
+    const local = localRecords.find(x => x.id === b.id);
+    if (!local) return b;
+    const matched = { ...b };
+    for (const f of blobFields(b)) {
+        if (isImageRef(local[f]) && isDataUrl(b[f]) && (await imageDataUrl(local[f])) === b[f]) matched[f] = local[f];
+    }
+    return matched;
+}));
+
 /* --- AI SERVICE --- */
-const getAI = () => {
-    if (!state.apiKey) return null;
-    return new GoogleGenAI({ apiKey: state.apiKey });
+// Providers on another machine are out of reach offline; a server on this one and the mock are not
+const aiReachable = () => {
+    if (navigator.onLine) return true;
+    const def = PROVIDERS[state.ai.provider];
+    if (!def || !def.endpoint) return state.ai.provider === 'mock';
+    try { return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(state.ai.endpoint || def.endpoint).hostname); }
+    catch(e) { return false; }
 };
 
-const analyzeContent = async (content, type) => {
-    const ai = getAI();
-    if (!ai) return { title: 'Untitled', summary: '', tags: [] };
+const getAI = () => aiReachable() ? createProvider(state.ai) : null;
 
-    const textPreview = content.length > 5000 ? content.substring(0, 5000) : content;
-    const prompt = `Analyze this ${type}:
-    Content: ${textPreview}
-    
-    Return JSON with:
-    1. title (short, max 6 words)
-    2. summary (1 sentence)
-    3. tags (array of 3-5 lowercase single words)`;
+// Buttons for features that need the model are disabled while it can't be reached
+const renderAIAvailability = () => {
+    const reachable = aiReachable();
+    document.querySelectorAll('[data-needs-ai]').forEach(el => {
+        el.disabled = !reachable;
+        el.title = reachable ? '' : 'AI is unavailable offline';
+    });
+};
 
-    try {
-        const response = await ai.models.generateContent({
-            model: 'gemini-3-flash-preview',
-            contents: prompt,
-            config: {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: Type.OBJECT,
-                    properties: {
-                        title: { type: Type.STRING },
-                        summary: { type: Type.STRING },
-                        tags: { type: Type.ARRAY, items: { type: Type.STRING } }
-                    }
+// Stored image refs are resolved to data URLs before they go to the model; attachments are read through their text
+const analyzeBlockContent = async (content, type, extractedText) =>
+    analyzeContent(getAI(), type === BlockType.IMAGE ? await imageDataUrl(content) : type === BlockType.ATTACHMENT ? extractedText || '' : content, type,
+        { knownTags: tagCounts(state.blocks).map(t => t.tag) });
+
+const isRateLimitError = (e) => !!e && (e.status === 429 || /429|rate.?limit|quota|RESOURCE_EXHAUSTED/i.test(e.message || ''));
+
+const needsTagging = (b) => !b.tags.length || (b.tags.length === 1 && b.tags[0] === 'error');
+
+// AI metadata for a block; manual values survive unless `overwrite` is set
+const analysisChanges = (b, result, overwrite) => {
+    const keep = (current, next) => (overwrite || !current || (Array.isArray(current) && !current.length)) ? next : current;
+    const changes = {
+        title: keep(b.title, result.title || ''),
+        description: keep(b.description, result.summary || ''),
+        tags: keep(needsTagging(b) ? [] : b.tags, result.tags || [])
+    };
+    if (b.type === BlockType.IMAGE) {
+        changes.extractedText = keep(b.extractedText, result.text || '');
+        changes.colors = keep(b.colors, result.colors || []);
+    }
+    return changes;
+};
+
+// Saves the block's current version as a revision, then applies `changes`.
+// Returns false, saving nothing, when the changes would not alter the block.
+const reviseBlock = (b, changes, reason) => {
+    if (sameVersion(versionOf(b), versionOf({ ...b, ...changes }))) return false;
+    const revision = createRevision(b, reason);
+    blockImageRefs(revision.version).forEach(ref => revisionImages.add(ref));
+    persist(putRevisions([revision]));
+    Object.assign(b, changes, { updatedAt: Date.now() });
+    return true;
+};
+
+const renderJobPanel = (s) => {
+    const panel = document.getElementById('job-panel');
+    const finished = (s.remaining === 0 && s.running === 0) || s.cancelled;
+    const processed = s.done + s.failed;
+    panel.classList.remove('hidden');
+    document.getElementById('job-progress').style.width = `${s.total ? Math.round(processed / s.total * 100) : 100}%`;
+    document.getElementById('job-status').textContent =
+        s.cancelled ? `Cancelled after ${s.done} of ${s.total}` :
+        finished ? `Tagged ${s.done} of ${s.total}${s.failed ? `, ${s.failed} failed` : ''}` :
+        s.paused ? `Paused · ${processed} of ${s.total}` :
+        s.backoffUntil > Date.now() ? `Rate limited, waiting… ${processed} of ${s.total}` :
+        `Tagging ${processed} of ${s.total}…`;
+    document.getElementById('btn-job-pause').classList.toggle('hidden', finished);
+    document.getElementById('btn-job-pause').textContent = s.paused ? 'Resume' : 'Pause';
+    document.getElementById('btn-job-cancel').textContent = finished ? 'Close' : 'Cancel';
+};
+
+/* --- HISTORY ---
+ * Every stash mutation runs through `mutate`, which records the records it changed as one
+ * undo step. Undo and redo write those records back and persist them.
+ */
+const STORE_WRITERS = {
+    blocks: [putBlocks, deleteBlocks],
+    channels: [putChannels, deleteChannels],
+    insights: [putInsights, deleteInsights],
+    trash: [putTrash, deleteTrash]
+};
+
+const stashStores = () => ({ blocks: state.blocks, channels: state.channels, insights: state.insights, trash: state.trash });
+
+const history = createHistory({
+    limit: 100,
+    onDrop: (entries) => releaseImages(entries.flatMap(e => e.changes).flatMap(c => [...heldRecords(c.store, c.before), ...heldRecords(c.store, c.after)]))
+});
+
+const showToast = (message, actionLabel, action) => {
+    const toast = document.getElementById('toast');
+    const btn = document.getElementById('toast-action');
+    document.getElementById('toast-text').textContent = message;
+    btn.textContent = actionLabel || '';
+    btn.classList.toggle('hidden', !action);
+    btn.onclick = () => { toast.classList.add('hidden'); action(); };
+    toast.classList.remove('hidden');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.add('hidden'), 6000);
+};
+
+// `label` may be a function of fn's result, for messages that depend on what happened
+let mutating = false;
+const mutate = (label, fn) => {
+    if (mutating) return fn(); // nested actions belong to the outer step
+    const before = snapshotStores(stashStores());
+    let result;
+    mutating = true;
+    try { result = fn(); } finally { mutating = false; }
+    const changes = diffSnapshots(before, snapshotStores(stashStores()));
+    if (changes.length) {
+        const text = typeof label === 'function' ? label(result) : label;
+        history.push({ label: text, changes });
+        showToast(text, 'Undo', app.undo);
+    }
+    return result;
+};
+
+const travel = (entry, side) => {
+    const { put, removed } = applyChanges(stashStores(), entry.changes, side);
+    Object.entries(put).forEach(([store, records]) => persist(STORE_WRITERS[store][0](records)));
+    Object.entries(removed).forEach(([store, ids]) => persist(STORE_WRITERS[store][1](ids)));
+    if (removed.blocks) forgetEmbeddings(removed.blocks);
+    if (put.blocks) refreshEmbeddings(put.blocks);
+    if (state.activeChannelId && !state.channels.some(c => c.id === state.activeChannelId)) {
+        state.activeChannelId = null;
+        persist(setMeta('activeChannelId', null));
+    }
+    renderChannels();
+    renderBlocks();
+    if (!document.getElementById('trash-modal').classList.contains('hidden')) renderTrash();
+    if (!document.getElementById('insights-modal').classList.contains('hidden')) renderInsightHistory();
+};
+
+/* --- TRASH --- */
+const trashBlocks = (blocks) => {
+    const entries = blocks.map(b => ({ id: `t_${b.id}`, kind: 'block', record: b, deletedAt: Date.now() }));
+    state.blocks = state.blocks.filter(b => !blocks.includes(b));
+    state.trash = [...entries, ...state.trash];
+    persist(deleteBlocks(blocks.map(b => b.id)));
+    persist(putTrash(entries));
+    forgetEmbeddings(blocks.map(b => b.id));
+};
+
+const purgeTrash = (entries) => {
+    state.trash = state.trash.filter(t => !entries.includes(t));
+    persist(deleteTrash(entries.map(t => t.id)));
+};
+
+const purgeExpiredTrash = () => {
+    const expired = state.trash.filter(t => Date.now() - t.deletedAt > TRASH_RETENTION_DAYS * DAY_MS);
+    if (!expired.length) return;
+    purgeTrash(expired);
+    releaseImages(expired.flatMap(t => heldRecords('trash', t)));
+};
+
+const trashLabel = (t) => t.kind === 'channel'
+    ? channelLabel(t.record)
+    : t.record.title || blockText(t.record).slice(0, 60) || t.record.type;
+
+const renderTrash = () => {
+    const list = document.getElementById('trash-list');
+    list.innerHTML = state.trash.length ? state.trash.map(t => {
+        const daysLeft = Math.max(0, Math.ceil((t.deletedAt + TRASH_RETENTION_DAYS * DAY_MS - Date.now()) / DAY_MS));
+        return `
+        <div class="border border-neutral-800 bg-neutral-950 p-3 text-xs flex items-center gap-3">
+            <i data-lucide="${t.kind === 'channel' ? 'hash' : 'square'}" class="w-3 h-3 text-neutral-500 flex-shrink-0"></i>
+            <div class="flex-1 min-w-0">
+                <div class="text-white truncate">${escapeHtml(trashLabel(t))}</div>
+                <div class="text-[10px] uppercase text-neutral-600">${t.kind === 'channel' ? `Channel · ${t.memberIds.length} blocks · ` : ''}${daysLeft} day${daysLeft === 1 ? '' : 's'} left</div>
+            </div>
+            <button data-action="restoreFromTrash" data-id="${escapeHtml(t.id)}" class="text-neutral-500 hover:text-white uppercase font-bold text-[10px]">Restore</button>
+            <button data-action="deleteForever" data-id="${escapeHtml(t.id)}" class="text-neutral-500 hover:text-red-500 uppercase font-bold text-[10px]">Delete forever</button>
+        </div>`;
+    }).join('') : `<div class="text-neutral-600 text-xs">Trash is empty.</div>`;
+    lucide.createIcons();
+};
+
+/* --- IMAGES --- */
+// Processes an incoming image (a Blob or data URL) and stores its binaries. Resolves to the block
+// fields for it; every field is present so an edit that replaces the image clears stale ones.
+const ingestImage = async (source) => {
+    const image = await processImage(typeof source === 'string' ? await imageBlob(source) : source, { keepOriginal: keepOriginals });
+    return {
+        content: await storeImage(image.stored),
+        thumbnail: image.thumbnail ? await storeImage(image.thumbnail) : undefined,
+        original: image.original ? await storeImage(image.original) : undefined,
+        hash: image.hash,
+        colors: image.colors
+    };
+};
+
+const findImage = (hash) => state.blocks.find(b => b.type === BlockType.IMAGE && b.hash === hash);
+
+// Images stashed before they were processed on the way in get a hash, thumbnail and palette in the
+// background. These are derived fields, so filling them in is not an undo step.
+const prepareStoredImages = () => {
+    const pending = state.blocks.filter(b => b.type === BlockType.IMAGE && !b.hash && isImageRef(b.content));
+    if (!pending.length) return;
+    const queue = createTaskQueue({
+        concurrency: 1,
+        retries: 0,
+        worker: async (b) => {
+            const content = b.content;
+            const blob = await imageBlob(content);
+            if (!blob) return;
+            const image = await processImage(blob);
+            const thumbnail = image.thumbnail ? await storeImage(image.thumbnail) : undefined;
+            // Edited or deleted meanwhile; the unused thumbnail is pruned on the next load
+            if (!state.blocks.includes(b) || b.content !== content) return;
+            Object.assign(b, { hash: image.hash, thumbnail });
+            if (!(b.colors || []).length) b.colors = image.colors;
+            persist(putBlocks([b]));
+        }
+    });
+    queue.add(pending);
+    queue.done().then(renderBlocks);
+};
+
+// Warns in the add modal when the pasted image is already in the stash
+const flagDuplicateImage = async (dataUrl) => {
+    const notice = document.getElementById('duplicate-notice');
+    notice.classList.add('hidden');
+    const twin = findImage(await hashBlob(await imageBlob(dataUrl)));
+    if (!twin || document.getElementById('add-content').value !== dataUrl) return;
+    notice.innerHTML = `<i data-lucide="copy" class="w-3 h-3 flex-shrink-0"></i>
+        <span class="flex-1 truncate">Already in your stash${twin.title ? `: ${escapeHtml(twin.title)}` : ''}</span>
+        <button data-action="focusBlock" data-id="${escapeHtml(twin.id)}" class="uppercase font-bold hover:text-white">Show</button>`;
+    notice.classList.remove('hidden');
+    lucide.createIcons();
+};
+
+const renderColorFilter = (blocks, query) => {
+    const bar = document.getElementById('color-filter');
+    const active = (query.filters.find(f => f.key === 'color') || {}).value;
+    bar.classList.toggle('hidden', !active && !blocks.some(b => (b.colors || []).length));
+    bar.innerHTML = `<span class="mr-2">Colour</span>` + Object.entries(SWATCHES).map(([name, hex]) =>
+        `<button data-action="filterColor" data-color="${name}" title="${name}" class="w-4 h-4 rounded-full border transition-transform hover:scale-125 ${active === name ? 'border-white ring-1 ring-white' : 'border-neutral-700'}" style="background:${hex}"></button>`
+    ).join('') + (active ? `<button data-action="filterColor" class="ml-2 hover:text-white">Clear</button>` : '');
+};
+
+/* --- TAGS --- */
+// Search-box tokens, keeping quoted phrases and quoted filter values whole
+const searchTokens = (text) => text.match(/-?(?:[a-z]+:)?"[^"]*"?|\S+/gi) || [];
+
+// Sets the search box's `key:` filter to `value`, or clears it if it is already set (or `value` is null).
+// Filters live in the search box so they combine with everything else typed there.
+const toggleSearchFilter = (key, value) => {
+    const input = document.getElementById('search-input');
+    const active = value && parseQuery(input.value).filters.some(f => f.key === key && f.value === value.toLowerCase());
+    const rest = searchTokens(input.value).filter(t => !t.toLowerCase().startsWith(`${key}:`));
+    const token = /[\s"]/.test(value || '') ? `${key}:"${value.replace(/"/g, '')}"` : `${key}:${value}`;
+    input.value = [...rest, ...(value && !active ? [token] : [])].join(' ');
+    renderBlocks();
+};
+
+// Replaces tag `from` with `to` on every live block, or removes it when `to` is empty. Returns the blocks changed.
+const retagBlocks = (from, to) => {
+    const changed = state.blocks.filter(b => b.tags.includes(from) && reviseBlock(b, { tags: normalizeTags(b.tags.map(t => t === from ? to : t)) }, 'edit'));
+    persist(putBlocks(changed));
+    refreshEmbeddings(changed);
+    return changed;
+};
+
+// Keeps the grid filtered by a tag that was just renamed, merged or deleted
+const followTagFilter = (from, to) => {
+    const filtered = parseQuery(document.getElementById('search-input').value).filters.some(f => f.key === 'tag' && f.value === from.toLowerCase());
+    if (filtered) toggleSearchFilter('tag', to);
+    renderChannels();
+    renderBlocks();
+};
+
+const TAG_LIST_LIMIT = 25;
+
+const renderTags = () => {
+    const container = document.getElementById('tag-list');
+    const counts = tagCounts(state.blocks);
+    const active = new Set(parseQuery(document.getElementById('search-input').value).filters.filter(f => f.key === 'tag').map(f => f.value));
+    if (!counts.length) { container.innerHTML = ''; return; }
+    const shown = showAllTags ? counts : counts.slice(0, TAG_LIST_LIMIT);
+    container.innerHTML = `
+        <div class="mt-6 mb-2 px-3 text-xs font-bold text-neutral-600 uppercase tracking-widest flex justify-between group">
+            <span>Tags</span>
+            <button onclick="app.tidyTags()" class="opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-white" title="Normalize every tag: lowercase, no #, words joined by -">Tidy</button>
+        </div>
+        ${shown.map(({ tag, count }) => `
+        <div class="group flex items-center justify-between">
+            <button data-action="filterTag" data-tag="${escapeHtml(tag)}" class="flex-grow text-left px-3 py-1 text-xs font-mono truncate transition-colors ${active.has(tag.toLowerCase()) ? 'text-white font-bold bg-neutral-800' : 'text-neutral-400 hover:text-white hover:bg-neutral-800/50'}">#${escapeHtml(tag)}</button>
+            <span class="text-[10px] text-neutral-600 font-mono px-1">${count}</span>
+            <div class="flex opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity">
+                <button data-action="renameTag" data-tag="${escapeHtml(tag)}" class="text-neutral-600 hover:text-white p-1" title="Rename"><i data-lucide="pencil" class="w-3 h-3"></i></button>
+                <button data-action="mergeTag" data-tag="${escapeHtml(tag)}" class="text-neutral-600 hover:text-white p-1" title="Merge into another tag"><i data-lucide="git-merge" class="w-3 h-3"></i></button>
+                <button data-action="deleteTag" data-tag="${escapeHtml(tag)}" class="text-neutral-600 hover:text-red-500 p-1" title="Remove from all blocks"><i data-lucide="x" class="w-3 h-3"></i></button>
+            </div>
+        </div>`).join('')}
+        ${counts.length > TAG_LIST_LIMIT ? `<button onclick="app.toggleAllTags()" class="px-3 py-1 text-[10px] uppercase font-bold text-neutral-600 hover:text-white">${showAllTags ? 'Show fewer' : `Show all ${counts.length}`}</button>` : ''}`;
+};
+
+// Completions for the tag being typed into #edit-tags, i.e. the text after the last comma
+const renderTagSuggestions = () => {
+    const input = document.getElementById('edit-tags');
+    const box = document.getElementById('tag-suggestions');
+    const parts = input.value.split(',');
+    const typed = parts.pop();
+    tagSuggestions = document.activeElement === input
+        ? completeTag(typed, tagCounts(state.blocks).map(t => t.tag), { exclude: parseTagInput(parts.join(',')) })
+        : [];
+    tagSuggestionIndex = Math.min(tagSuggestionIndex, Math.max(tagSuggestions.length - 1, 0));
+    box.classList.toggle('hidden', !tagSuggestions.length);
+    box.innerHTML = tagSuggestions.map((t, i) => `<button type="button" data-action="acceptTagSuggestion" data-tag="${escapeHtml(t)}" class="block w-full text-left px-2 py-1 ${i === tagSuggestionIndex ? 'bg-neutral-800 text-white' : 'text-neutral-400 hover:bg-neutral-800'}">#${escapeHtml(t)}</button>`).join('');
+};
+
+const onTagInputKey = (e) => {
+    if (!tagSuggestions.length) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        tagSuggestionIndex = (tagSuggestionIndex + (e.key === 'ArrowDown' ? 1 : -1) + tagSuggestions.length) % tagSuggestions.length;
+        renderTagSuggestions();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        app.acceptTagSuggestion(tagSuggestions[tagSuggestionIndex]);
+    } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        tagSuggestions = [];
+        document.getElementById('tag-suggestions').classList.add('hidden');
+    }
+};
+
+/* --- BACKUP --- */
+const downloadBlob = (blob, fileName) => {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = fileName;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+};
+
+// Images live in their own store; they are inlined so the backup is self-contained.
+// With a passphrase the file is encrypted and only opens again with it.
+const downloadBackup = async ({ channels, blocks, insights }, fileName, passphrase) => {
+    const inlined = await Promise.all(blocks.map(inlineBlockImages));
+    const inlinedChannels = await Promise.all(channels.map(inlineBlockImages));
+    const text = JSON.stringify(serializeBackup({ channels: inlinedChannels, blocks: inlined, insights }));
+    downloadBlob(new Blob([passphrase ? await encryptBackup(text, passphrase) : text], { type: 'application/json' }), fileName);
+};
+
+/* --- SHARING EXPORTS --- */
+// What the export modal's scope names: '' for everything, "group:Design/UI" or "channel:<id>"
+const exportScope = (value) => {
+    const [kind, key] = [value.slice(0, value.indexOf(':')), value.slice(value.indexOf(':') + 1)];
+    const channel = kind === 'channel' && state.channels.find(c => c.id === key);
+    const channels = channel ? [channel] : kind === 'group' ? state.channels.filter(c => inGroup(c, key)) : state.channels;
+    const ids = new Set(channels.map(c => c.id));
+    return {
+        title: channel ? channel.title : kind === 'group' ? key : 'My Stash',
+        description: channel ? channel.description : '',
+        cover: channel ? channel.cover : undefined,
+        channels,
+        blocks: state.blocks.filter(b => b.channelIds.some(id => ids.has(id))),
+        everything: !value
+    };
+};
+
+// The stored images and files an export carries, read out of the image store. Originals stay
+// behind; thumbnails and covers only matter to the website.
+const exportAssets = async ({ blocks, cover }, { site }) => {
+    const assets = new Map();
+    const add = async (ref, fileName) => {
+        if (!isImageRef(ref) || assets.has(ref)) return;
+        const blob = await imageBlob(ref);
+        if (blob) assets.set(ref, { path: assetPath(assets.size + 1, blob, fileName), blob });
+    };
+    for (const b of blocks) {
+        await add(b.content, b.type === BlockType.ATTACHMENT ? b.fileName : null);
+        await add(b.preview);
+        if (site) await add(b.thumbnail);
+    }
+    if (site) await add(cover);
+    return assets;
+};
+
+
+/* --- SELECTION --- */
+const selectedBlocks = () => viewIds.filter(id => selectedIds.has(id)).map(id => state.blocks.find(b => b.id === id)).filter(Boolean);
+
+const anyModalOpen = () => [...document.querySelectorAll('[id$="-modal"]')].some(m => !m.classList.contains('hidden'));
+
+// What a block contributes when several are copied together
+const copyText = (b) => {
+    switch (b.type) {
+        case BlockType.IMAGE: return [b.title, b.extractedText].filter(Boolean).join('\n');
+        case BlockType.ATTACHMENT: return b.extractedText || b.fileName;
+        case BlockType.CODE: return fencedCode(b);
+        default: return b.content;
+    }
+};
+
+const renderBulkBar = () => {
+    const bar = document.getElementById('bulk-bar');
+    // Blocks deleted or filtered away drop out of the selection
+    [...selectedIds].forEach(id => { if (!viewIds.includes(id)) selectedIds.delete(id); });
+    bar.classList.toggle('hidden', !selectedIds.size);
+    if (!selectedIds.size) return;
+    document.getElementById('bulk-count').textContent = `${selectedIds.size} selected`;
+    document.getElementById('btn-select-all').classList.toggle('hidden', selectedIds.size === viewIds.length);
+    document.getElementById('btn-select-all').textContent = `Select all ${viewIds.length}`;
+    const select = document.getElementById('bulk-channel');
+    const chosen = select.value;
+    select.innerHTML = state.channels.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(channelLabel(c))}</option>`).join('');
+    if (state.channels.some(c => c.id === chosen)) select.value = chosen;
+    document.getElementById('bulk-tag-options').innerHTML = tagCounts(state.blocks).map(t => `<option value="${escapeHtml(t.tag)}">`).join('');
+};
+
+/* --- FILE DROP --- */
+const hasFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+
+const blockFromFile = async (file, channelId) => {
+    const { type, language } = fileBlockType(file);
+    const block = {
+        id: newId('b'),
+        createdAt: Date.now(),
+        type,
+        content: '',
+        channelIds: [channelId],
+        title: titleFromFileName(file.name),
+        description: '',
+        tags: []
+    };
+    if (type === BlockType.IMAGE) {
+        Object.assign(block, await ingestImage(file));
+    } else if (type === BlockType.ATTACHMENT) {
+        Object.assign(block, { fileName: file.name, mimeType: file.type || 'application/octet-stream', size: file.size });
+        if (isPdf(file)) {
+            // An unreadable PDF is still kept, just without preview and text
+            try {
+                const pdf = await readPdf(file);
+                if (pdf.preview) block.preview = await storeImage(pdf.preview);
+                block.extractedText = pdf.text;
+                block.pageCount = pdf.pageCount;
+            } catch(e) { console.error("Could not read PDF", file.name, e); }
+        }
+        block.content = await storeImage(file);
+    } else {
+        block.content = await file.text();
+        if (!block.content.trim()) throw new Error(`${file.name} is empty`);
+        if (language) block.language = language;
+    }
+    return block;
+};
+
+const renderDropPanel = (s, duplicates) => {
+    const panel = document.getElementById('drop-panel');
+    const finished = (s.remaining === 0 && s.running === 0) || s.cancelled;
+    const processed = s.done + s.failed;
+    panel.classList.remove('hidden');
+    document.getElementById('drop-progress').style.width = `${s.total ? Math.round(processed / s.total * 100) : 100}%`;
+    document.getElementById('drop-status').textContent =
+        s.cancelled ? `Cancelled after ${s.done} of ${s.total} files` :
+        finished ? `Added ${s.done - duplicates} of ${s.total} file${s.total === 1 ? '' : 's'}${duplicates ? `, ${duplicates} already in your stash` : ''}${s.failed ? `, ${s.failed} failed` : ''}` :
+        `Adding ${processed + 1} of ${s.total} files…`;
+    document.getElementById('btn-drop-cancel').textContent = finished ? 'Close' : 'Cancel';
+};
+
+// Turns dropped files into blocks in `channelId`. An image that is already stashed is connected to
+// the channel instead of added again. The whole drop is one undo step, recorded when it ends.
+const dropFiles = (files, channelId) => {
+    if (!files.length) return;
+    const items = files.map(file => ({ file, channelId }));
+    if (dropJob) { dropJob.add(items); return; }
+
+    let renderTimer = null;
+    let duplicates = 0;
+    const changes = [];
+    dropJob = createTaskQueue({
+        concurrency: 2,
+        retries: 0,
+        onUpdate: (s) => renderDropPanel(s, duplicates),
+        worker: async ({ file, channelId }, { isCancelled }) => {
+            const twin = fileBlockType(file).type === BlockType.IMAGE && findImage(await hashBlob(file));
+            if (twin) {
+                if (isCancelled()) return;
+                duplicates++;
+                if (!twin.channelIds.includes(channelId) && state.channels.some(c => c.id === channelId)) {
+                    const before = copyRecord(twin);
+                    twin.channelIds.push(channelId);
+                    changes.push({ store: 'blocks', id: twin.id, before, after: copyRecord(twin), index: state.blocks.indexOf(twin) });
+                    persist(putBlocks([twin]));
                 }
+                return;
             }
-        });
-        return JSON.parse(response.text);
-    } catch (e) {
-        console.error("AI Error", e);
-        return { title: 'Untitled', summary: 'Analysis failed or Key invalid.', tags: ['error'] };
+            const b = await blockFromFile(file, channelId);
+            if (isCancelled()) { releaseImages([b]); return; }
+            // The channel may have been deleted while the file was read
+            if (!state.channels.some(c => c.id === channelId)) b.channelIds = [INBOX_ID];
+            state.blocks.unshift(b);
+            changes.push({ store: 'blocks', id: b.id, before: null, after: copyRecord(b), index: 0 });
+            persist(putBlocks([b]));
+            refreshEmbeddings([b]);
+            clearTimeout(renderTimer);
+            renderTimer = setTimeout(() => { renderChannels(); renderBlocks(); }, 250);
+        }
+    });
+    dropJob.add(items);
+    dropJob.done().then(() => {
+        dropJob = null;
+        const added = changes.filter(c => !c.before).length;
+        if (changes.length) {
+            const label = added ? `Added ${added} file${added === 1 ? '' : 's'}` : 'Connected stashed images';
+            history.push({ label, changes });
+            showToast(label, 'Undo', app.undo);
+        }
+        renderChannels();
+        renderBlocks();
+    });
+};
+
+// Lets `el` take files dropped on it, adding them to the channel `channelId()` names
+const acceptFileDrop = (el, channelId) => {
+    el.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        el.classList.add('drop-target');
+    });
+    el.addEventListener('dragleave', (e) => {
+        if (!el.contains(e.relatedTarget)) el.classList.remove('drop-target');
+    });
+    el.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        el.classList.remove('drop-target');
+        dropFiles([...e.dataTransfer.files], channelId());
+    });
+};
+
+/* --- PASSPHRASE LOCK ---
+ * Locking reloads the page, so nothing read from the stash stays behind in memory; the next load
+ * shows the lock screen in the loading overlay until the passphrase is in.
+ */
+const AUTO_LOCK_CHECK = 30 * 1000;
+const MIN_PASSPHRASE = 8;
+
+const waitForUnlock = () => new Promise(resolve => {
+    unlockResolver = resolve;
+    document.getElementById('loading-message').classList.add('hidden');
+    document.getElementById('lock-screen').classList.remove('hidden');
+    lucide.createIcons();
+    document.getElementById('unlock-passphrase').focus();
+});
+
+const watchInactivity = () => {
+    ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type =>
+        window.addEventListener(type, () => { lastActivity = Date.now(); }, { capture: true, passive: true }));
+    setInterval(() => {
+        if (isLockEnabled() && autoLockMinutes && Date.now() - lastActivity > autoLockMinutes * 60 * 1000) app.lock();
+    }, AUTO_LOCK_CHECK);
+};
+
+const showLockError = (message) => {
+    const el = document.getElementById('lock-error');
+    el.textContent = message;
+    el.classList.toggle('hidden', !message);
+};
+
+/* --- CAPTURE ---
+ * What other apps share to the installed app (received by sw.js) and what the bookmarklet sends from
+ * a page opens in the add modal, pre-filled, like a paste. It lands in the Inbox unless the capture
+ * names a channel, and nothing is saved until the user says so.
+ */
+const SHARE_CACHE = 'my-stash-share';
+const CAPTURE_WINDOW = 'my-stash-capture';
+
+const readDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+// `channel` is a channel's slug; shared text that is only a URL counts as a link
+const openCapture = ({ title = '', text = '', url = '', image = '', channel = '' }) => {
+    const link = url || (/^https?:\/\/\S+$/.test(text.trim()) ? text.trim() : '');
+    if (image) app.openAddModal(image, BlockType.IMAGE);
+    else if (link) app.openAddModal(link, BlockType.LINK);
+    else app.openAddModal(text, BlockType.TEXT);
+    document.getElementById('edit-title').value = title;
+    if ((image || link) && text.trim() !== link) document.getElementById('edit-desc').value = text.trim();
+    const target = state.channels.find(c => c.slug === channel);
+    document.getElementById('add-channel').value = target ? target.id : INBOX_ID;
+    capturing = window.name === CAPTURE_WINDOW;
+};
+
+// A share sits in Cache Storage unencrypted, so one the app wasn't opened for is dropped as it starts
+const dropStaleShare = () => {
+    if (window.caches && !new URLSearchParams(location.search).has('share')) caches.delete(SHARE_CACHE);
+};
+
+// The page was opened with ?capture=1&url=…&title=…&text=…&channel=… by the bookmarklet, or with
+// ?share=1 after the service worker took in a share. Several shared images are added at once.
+const takeCapture = async () => {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('capture') && !params.has('share')) return;
+    window.history.replaceState(null, '', location.pathname);
+    if (params.has('capture')) return openCapture(Object.fromEntries(params));
+
+    const cache = await caches.open(SHARE_CACHE);
+    const shared = await cache.match('shared');
+    if (!shared) return;
+    const data = await shared.json();
+    const files = [];
+    for (let i = 0; i < data.images; i++) {
+        const res = await cache.match(`shared-image-${i}`);
+        if (res) files.push(new File([await res.blob()], `shared-${i + 1}`, { type: res.headers.get('Content-Type') || '' }));
     }
+    await caches.delete(SHARE_CACHE);
+    if (files.length > 1) return dropFiles(files, INBOX_ID);
+    openCapture({ ...data, image: files.length ? await readDataUrl(files[0]) : '' });
+};
+
+// Opens the app in a small window with the page's address, title and selected text
+const bookmarkletHref = (channel) => {
+    const base = new URL('./', location.href).href;
+    const extra = channel ? `&channel=${encodeURIComponent(channel)}` : '';
+    return `javascript:(()=>{open('${base}?capture=1${extra}&url='+encodeURIComponent(location.href)+'&title='+encodeURIComponent(document.title)` +
+        `+'&text='+encodeURIComponent(String(getSelection())),'${CAPTURE_WINDOW}','width=720,height=760')})()`;
 };
 
-const findConnections = async (blocks) => {
-    const ai = getAI();
-    if (!ai) return "Please set your API Key in Settings first.";
-    
-    const context = blocks.slice(0, 20).map(b => `[${b.title || 'Untitled'}]: ${b.content.substring(0, 150)}`).join('\n---\n');
+/* --- SYNC ---
+ * Local writes are tracked by storage.js. A sync pushes the pending ones, with the images they
+ * point at, then pulls what other devices sent. It runs shortly after an edit, every minute while
+ * the page is visible and whenever the browser comes back online.
+ */
+const SYNC_BATCH = 200;
+const SYNC_DELAY = 2000;
+const SYNC_INTERVAL = 60 * 1000;
+
+const imageId = (ref) => ref.slice(IMAGE_REF_PREFIX.length);
+
+const changeImageRefs = (changes) => [...new Set(changes.flatMap(c => {
+    const record = fromChange(c);
+    return record ? heldRecords(c.store, record).flatMap(blockImageRefs) : [];
+}))];
+
+const setSyncStatus = (patch) => {
+    syncStatus = { ...syncStatus, ...patch };
+    renderSyncStatus();
+};
+
+const renderSyncStatus = () => {
+    const el = document.getElementById('sync-status');
+    const { state: s, pending, lastSynced, error } = syncStatus;
+    const waiting = pending ? ` &middot; ${pending} waiting` : '';
+    const [icon, text, color] =
+        s === 'off' ? ['cloud-off', 'Sync off', ''] :
+        s === 'syncing' ? ['refresh-cw', 'Syncing…', ''] :
+        s === 'offline' ? ['cloud-off', `Offline${waiting}`, 'text-yellow-500'] :
+        s === 'error' ? ['alert-triangle', `Sync error${waiting}`, 'text-red-500'] :
+        ['cloud', `Synced${lastSynced ? ` ${new Date(lastSynced).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}${waiting}`, ''];
+    el.innerHTML = `<i data-lucide="${icon}" class="w-3 h-3"></i> <span class="${color}">${text}</span>`;
+    el.title = error;
+    lucide.createIcons();
+};
+
+const scheduleSync = () => {
+    if (!syncSettings.url) return;
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(syncNow, SYNC_DELAY);
+};
+
+const uploadImages = async (client, changes) => {
+    const refs = changeImageRefs(changes);
+    if (!refs.length) return;
+    const missing = new Set(await client.missingImages(refs.map(imageId)));
+    for (const ref of refs.filter(r => missing.has(imageId(r)))) {
+        const blob = await imageBlob(ref);
+        if (blob) await client.uploadImage(imageId(ref), blob);
+    }
+};
+
+// Changes from other devices land in the state like local edits, but are not undo steps
+const applyPulled = async (client, changes) => {
+    // Images come first, so no record ever points at one that isn't there
+    for (const ref of changeImageRefs(changes).filter(r => !hasImage(r))) {
+        try { await saveImage(ref, await client.downloadImage(imageId(ref))); }
+        catch(e) { console.error("Could not download image", ref, e); }
+    }
+    const { put, deleted } = await applyRemoteChanges(changes);
+    if (!put.length && !deleted.length) return;
+
+    const replaced = [];
+    put.forEach(({ store, record }) => {
+        const i = state[store].findIndex(r => r.id === record.id);
+        if (i === -1) state[store].unshift(record);
+        else { replaced.push(...heldRecords(store, state[store][i])); state[store][i] = record; }
+    });
+    deleted.forEach(({ store, id }) => {
+        const old = state[store].find(r => r.id === id);
+        if (old) replaced.push(...heldRecords(store, old));
+        state[store] = state[store].filter(r => r.id !== id);
+    });
+    releaseImages(replaced);
+    forgetEmbeddings(deleted.filter(d => d.store === 'blocks').map(d => d.id));
+    refreshEmbeddings(put.filter(p => p.store === 'blocks').map(p => p.record));
+
+    ensureInbox();
+    if (state.activeChannelId && !state.channels.some(c => c.id === state.activeChannelId)) state.activeChannelId = null;
+    renderChannels();
+    renderBlocks();
+    if (!document.getElementById('trash-modal').classList.contains('hidden')) renderTrash();
+};
+
+const syncNow = async () => {
+    clearTimeout(syncTimer);
+    if (!syncSettings.url) return setSyncStatus({ state: 'off', error: '' });
+    if (syncing) { syncQueued = true; return; }
+    if (!navigator.onLine) return setSyncStatus({ state: 'offline', pending: await countPendingChanges() });
+    syncing = true;
+    setSyncStatus({ state: 'syncing' });
+    const client = createSyncClient(syncSettings);
     try {
-        const response = await ai.models.generateContent({
-            model: 'gemini-3-flash-preview',
-            contents: `Here is a set of notes/blocks:\n${context}\n\nTask: Find a hidden theme, interesting connection, or insight that links several of these items together. Be brief and insightful.`
-        });
-        return response.text;
-    } catch(e) { 
-        console.error(e);
-        return "Could not generate connections. Check API Key."; 
+        let pending;
+        do {
+            pending = await loadPendingChanges(SYNC_BATCH);
+            if (!pending.length) break;
+            await uploadImages(client, pending.map(p => p.change));
+            await client.push(pending.map(p => p.change));
+            await markChangesPushed(pending);
+        } while (pending.length === SYNC_BATCH);
+
+        let page;
+        do {
+            page = await client.pull(syncCursor);
+            if (page.changes.length) await applyPulled(client, page.changes);
+            syncCursor = page.seq;
+            await setMeta('syncCursor', syncCursor);
+        } while (page.more);
+        setSyncStatus({ state: 'synced', lastSynced: Date.now(), error: '', pending: await countPendingChanges() });
+    } catch(e) {
+        console.error("Sync failed", e);
+        // Unreachable counts as offline: the changes wait for the next try
+        const pendingCount = await countPendingChanges().catch(() => 0);
+        setSyncStatus({ state: e.offline ? 'offline' : 'error', error: e.message, pending: pendingCount });
+    }
+    syncing = false;
+    if (syncQueued) { syncQueued = false; syncNow(); }
+};
+
+/* --- REVISIONS --- */
+const REVISION_REASONS = { edit: 'Edited', ai: 'AI auto-fill', restore: 'Restored' };
+const FIELD_LABELS = { type: 'Type', content: 'Content', language: 'Language', title: 'Title', description: 'Description', tags: 'Tags', extractedText: 'Extracted text', colors: 'Colours' };
+
+const fieldText = (version, f) => Array.isArray(version[f]) ? version[f].join(', ') : String(version[f] || '');
+
+const diffHtml = (before, after) => diffText(before, after)
+    .map(p => p.op === 'equal' ? escapeHtml(p.text) : p.op === 'insert' ? `<ins>${escapeHtml(p.text)}</ins>` : `<del>${escapeHtml(p.text)}</del>`)
+    .join('');
+
+// What changed from `older` to `newer`, field by field
+// Derived fields (thumbnail, hash...) have no label and follow their content silently
+const versionDiffHtml = (older, newer) => REVISED_FIELDS
+    .filter(f => FIELD_LABELS[f] && fieldText(older, f) !== fieldText(newer, f))
+    .map(f => `<div>
+        <div class="text-[10px] uppercase font-bold text-neutral-600 mb-1">${FIELD_LABELS[f]}</div>
+        <div class="whitespace-pre-wrap break-words text-neutral-300">${f === 'content' && (isImageRef(older.content) || isImageRef(newer.content)) ? 'Image replaced' : diffHtml(fieldText(older, f), fieldText(newer, f))}</div>
+    </div>`).join('') || `<div class="text-neutral-600">No differences.</div>`;
+
+const formatTime = (t) => new Date(t).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// Revisions newest first; each one is compared with the version that replaced it
+const renderRevisions = () => {
+    const panel = document.getElementById('revision-panel');
+    const b = state.blocks.find(x => x.id === state.editingBlockId);
+    if (!b) return;
+    if (!blockRevisions.length) {
+        panel.innerHTML = `<div class="text-neutral-600">No earlier versions. Every save from now on keeps one.</div>`;
+        return;
+    }
+    panel.innerHTML = blockRevisions.map((r, i) => {
+        const newer = i === 0 ? versionOf(b) : blockRevisions[i - 1].version;
+        const selected = r.id === selectedRevisionId;
+        return `<div class="border ${selected ? 'border-neutral-500' : 'border-neutral-800'}">
+            <div class="flex items-center gap-3 px-3 py-2">
+                <button data-action="selectRevision" data-id="${escapeHtml(r.id)}" class="flex-1 text-left text-neutral-400 hover:text-white">
+                    ${formatTime(r.version.at)} <span class="text-neutral-600">· replaced by ${REVISION_REASONS[r.reason] || r.reason} ${formatTime(r.savedAt)}</span>
+                </button>
+                <button data-action="restoreRevision" data-id="${escapeHtml(r.id)}" class="uppercase font-bold text-[10px] text-neutral-500 hover:text-white">Restore</button>
+            </div>
+            ${selected ? `<div class="border-t border-neutral-800 p-3 space-y-3">${versionDiffHtml(r.version, newer)}</div>` : ''}
+        </div>`;
+    }).join('');
+};
+
+/* --- ORGANIZING --- */
+const draftFromModal = () => {
+    const type = (document.querySelector('#type-selector .bg-white') || {}).dataset?.type || BlockType.TEXT;
+    return {
+        id: state.editingBlockId || '__draft__',
+        type,
+        content: document.getElementById('add-content').value,
+        title: document.getElementById('edit-title').value,
+        description: document.getElementById('edit-desc').value,
+        tags: parseTagInput(document.getElementById('edit-tags').value),
+        extractedText: document.getElementById('edit-ocr').value
+    };
+};
+
+// Suggests the existing channel whose blocks look most like the block being written
+const updateChannelSuggestion = async () => {
+    const box = document.getElementById('channel-suggestion');
+    const draft = draftFromModal();
+    const text = blockText(draft);
+    const editing = state.blocks.find(b => b.id === state.editingBlockId);
+    const current = editing ? editing.channelIds : [document.getElementById('add-channel').value];
+
+    let vector = null;
+    const embedder = getEmbedder();
+    if (text) {
+        try { [vector] = await embedder.embed([text]); } catch(e) { console.error("Suggestion embedding failed", e); }
+    }
+    // The modal may have moved on while we were embedding
+    if (draftFromModal().content !== draft.content) return;
+
+    const others = state.blocks.filter(b => b.id !== draft.id);
+    const [best] = suggestChannels({ vector, tags: draft.tags }, channelProfiles(others, state.channels, vectorIndex, embedder.id), { k: 1 })
+        .filter(s => !current.includes(s.channelId));
+    const channel = best && state.channels.find(c => c.id === best.channelId);
+    if (!channel) { box.classList.add('hidden'); return; }
+
+    box.innerHTML = `<span class="text-neutral-500">Suggested channel:</span>
+        <button data-action="acceptChannelSuggestion" data-id="${escapeHtml(channel.id)}" class="border border-neutral-700 hover:border-white text-white px-2 py-0.5">${escapeHtml(channelLabel(channel))}</button>`;
+    box.classList.remove('hidden');
+};
+
+const scheduleChannelSuggestion = () => {
+    clearTimeout(suggestionTimer);
+    suggestionTimer = setTimeout(updateChannelSuggestion, 400);
+};
+
+const renderOrganizeProposal = () => {
+    const list = document.getElementById('organize-list');
+    if (!organizeProposal.length) {
+        list.innerHTML = `<div class="text-neutral-600 text-xs">Nothing to organize: the Inbox is empty or its blocks are not indexed yet.</div>`;
+        return;
+    }
+    const options = (selected) => state.channels.filter(c => c.id !== INBOX_ID)
+        .map(c => `<option value="${escapeHtml(c.id)}" ${c.id === selected ? 'selected' : ''}>${escapeHtml(channelLabel(c))}</option>`).join('');
+
+    list.innerHTML = organizeProposal.map((cluster, i) => `
+        <div class="border border-neutral-800 bg-neutral-950 p-3 text-xs space-y-2">
+            <label class="flex items-center gap-2 text-neutral-400">
+                <input type="checkbox" ${cluster.include ? 'checked' : ''} onchange="app.updateOrganizeCluster(${i}, 'include', this.checked)">
+                <span class="uppercase font-bold text-[10px]">${cluster.blockIds.length} block${cluster.blockIds.length === 1 ? '' : 's'} →</span>
+                <select onchange="app.updateOrganizeCluster(${i}, 'channelId', this.value)" class="flex-1 bg-neutral-900 border border-neutral-700 text-white p-1">
+                    <option value="" ${cluster.channelId ? '' : 'selected'}>New channel…</option>
+                    ${options(cluster.channelId)}
+                </select>
+            </label>
+            ${cluster.channelId ? '' : `<input type="text" value="${escapeHtml(cluster.proposedName || '')}" placeholder="Group/Name" onchange="app.updateOrganizeCluster(${i}, 'proposedName', this.value)" class="w-full bg-neutral-900 border border-neutral-700 text-white p-1">`}
+            <div class="text-neutral-500 space-y-0.5">
+                ${cluster.blockIds.map(id => state.blocks.find(b => b.id === id)).filter(Boolean)
+                    .map(b => `<div class="truncate">· ${escapeHtml(b.title || blockText(b).slice(0, 60) || b.type)}</div>`).join('')}
+            </div>
+        </div>`).join('');
+};
+
+/* --- INSIGHTS --- */
+const citedHtml = (blockIds) => blockIds.map(id => {
+    const b = state.blocks.find(x => x.id === id);
+    if (!b) return `<span class="text-[10px] px-2 py-0.5 border border-neutral-800 text-neutral-600 line-through">deleted</span>`;
+    const label = b.title || blockText(b).slice(0, 40) || b.type;
+    return `<button data-action="focusBlock" data-id="${escapeHtml(b.id)}" class="text-[10px] px-2 py-0.5 border border-purple-800/50 hover:border-purple-400 hover:text-white truncate max-w-[12rem]">${escapeHtml(label)}</button>`;
+}).join('');
+
+const insightActionsHtml = (ins) => `
+    <button data-action="insightToBlock" data-id="${escapeHtml(ins.id)}" class="hover:text-white uppercase font-bold text-[10px]">Save as block</button>`;
+
+const showInsightBanner = (ins) => {
+    document.getElementById('insight-text').textContent = ins.text;
+    document.getElementById('insight-cited').innerHTML = citedHtml(ins.blockIds);
+    document.getElementById('insight-actions').innerHTML = insightActionsHtml(ins);
+    document.getElementById('insight-banner').classList.remove('hidden');
+};
+
+const renderInsightHistory = () => {
+    const list = document.getElementById('insight-list');
+    const channelId = state.activeChannelId;
+    const insights = state.insights.filter(i => !channelId || i.channelId === channelId);
+    const channelName = (id) => {
+        const c = state.channels.find(x => x.id === id);
+        return c ? c.title : id ? 'Deleted channel' : 'All Blocks';
+    };
+    list.innerHTML = insights.length ? insights.map(ins => `
+        <div class="border border-neutral-800 bg-neutral-950 p-3 text-xs space-y-2">
+            <div class="flex justify-between text-[10px] uppercase text-neutral-500">
+                <span>${escapeHtml(channelName(ins.channelId))} · ${new Date(ins.createdAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</span>
+                <span class="flex gap-3 text-neutral-500">
+                    ${insightActionsHtml(ins)}
+                    <button data-action="deleteInsight" data-id="${escapeHtml(ins.id)}" class="hover:text-red-500 uppercase font-bold text-[10px]">Delete</button>
+                </span>
+            </div>
+            <div class="text-purple-200 whitespace-pre-wrap">${escapeHtml(ins.text)}</div>
+            <div class="flex flex-wrap gap-1 text-purple-300">${citedHtml(ins.blockIds)}</div>
+        </div>`).join('') : `<div class="text-neutral-600 text-xs">No insights saved here yet. Use Connect to find one.</div>`;
+};
+
+/* --- EMBEDDINGS --- */
+const getEmbedder = () => {
+    const provider = createProvider(state.ai);
+    return provider && provider.embed ? createProviderEmbedder(provider) : localEmbedder;
+};
+
+// Embeds blocks whose text changed since they were last indexed; runs in the background.
+// Offline, a remote embedder's work waits until the network is back.
+const refreshEmbeddings = async (blocks) => {
+    const embedder = getEmbedder();
+    if (embedder !== localEmbedder && !aiReachable()) return;
+    const stale = blocks.filter(b => blockText(b) && !vectorIndex.isFresh(b, embedder.id));
+    for (let i = 0; i < stale.length; i += 32) {
+        const batch = stale.slice(i, i + 32);
+        const texts = batch.map(blockText);
+        let vectors;
+        try { vectors = await embedder.embed(texts); }
+        catch(e) { console.error("Embedding failed", e); return; }
+        const entries = batch.map((b, j) => ({ blockId: b.id, embedderId: embedder.id, textHash: textHash(texts[j]), vector: vectors[j] }));
+        entries.forEach(vectorIndex.set);
+        persist(putEmbeddings(entries));
     }
+    if (stale.length && (searchMode === 'semantic' || expandedRelated.size)) renderBlocks();
+};
+
+const forgetEmbeddings = (ids) => {
+    ids.forEach(vectorIndex.delete);
+    persist(deleteEmbeddings(ids));
+};
+
+const embedSearchQuery = async () => {
+    const input = document.getElementById('search-input').value;
+    const q = parseQuery(input);
+    const text = [...q.terms, ...q.phrases].join(' ');
+    if (!text) {
+        semanticQuery = { text: '', vector: null, embedderId: null };
+        renderBlocks();
+        return;
+    }
+    const embedder = getEmbedder();
+    try {
+        const [vector] = await embedder.embed([text]);
+        // Ignore answers for text the user has already replaced
+        if (document.getElementById('search-input').value !== input) return;
+        semanticQuery = { text, vector, embedderId: embedder.id };
+    } catch(e) {
+        console.error("Query embedding failed", e);
+        semanticQuery = { text, vector: null, embedderId: null };
+    }
+    renderBlocks();
+};
+
+// Filters still apply in semantic mode; free text is matched by meaning instead of by words
+const semanticSearch = (blocks, query) => {
+    const candidates = searchBlocks(blocks, { ...query, terms: [], phrases: [] }, searchContext());
+    if (!semanticQuery.vector) return candidates;
+    const byId = new Map(candidates.map(r => [r.block.id, r.block]));
+    return vectorIndex
+        .nearest(semanticQuery.vector, semanticQuery.embedderId, { k: byId.size, among: new Set(byId.keys()), minScore: MIN_SIMILARITY })
+        .map(({ blockId, score }) => ({ block: byId.get(blockId), score, highlights: [] }));
+};
+
+const relatedHtml = (b) => {
+    if (!expandedRelated.has(b.id)) return '';
+    const entry = vectorIndex.get(b.id);
+    const hits = entry ? vectorIndex.nearest(entry.vector, entry.embedderId, { k: 5, exclude: b.id, minScore: MIN_SIMILARITY }) : [];
+    const items = hits.map(({ blockId, score }) => {
+        const other = state.blocks.find(x => x.id === blockId);
+        if (!other) return '';
+        const channel = state.channels.find(c => c.id === other.channelIds[0]);
+        const label = other.title || blockText(other).slice(0, 60) || other.type;
+        return `<button data-action="focusBlock" data-id="${escapeHtml(other.id)}" class="w-full text-left flex justify-between gap-2 py-1 hover:text-white">
+            <span class="truncate">${escapeHtml(label)}</span>
+            <span class="text-neutral-600 flex-shrink-0">${channel ? escapeHtml(channel.title) : ''} · ${Math.round(score * 100)}%</span>
+        </button>`;
+    }).join('');
+    return `<div class="mt-4 pt-3 border-t border-neutral-800/50 text-[11px] font-mono text-neutral-400">
+        <div class="text-[10px] uppercase font-bold text-neutral-600 mb-1 tracking-wider">Related</div>
+        ${items || `<div class="text-neutral-600">${entry ? 'Nothing related yet.' : 'Not indexed yet.'}</div>`}
+    </div>`;
 };
 
 /* --- UI RENDERER --- */
+// Where a dragged channel or group lands relative to `el`: headers of groups take drops into them,
+// except near their top edge
+const dropPlace = (e, el, isGroup) => {
+    const r = el.getBoundingClientRect();
+    const y = (e.clientY - r.top) / r.height;
+    if (isGroup) return y < 0.3 ? 'before' : 'into';
+    return y < 0.5 ? 'before' : 'after';
+};
+
+const DROP_CLASSES = { before: 'drop-before', after: 'drop-after', into: 'drop-target' };
+
+// Sidebar rows can be dragged onto each other to reorder channels and groups
+const acceptChannelDrag = (el, item) => {
+    el.draggable = true;
+    el.addEventListener('dragstart', (e) => {
+        e.stopPropagation();
+        draggedChannelItem = item;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.group ?? item.channelId);
+    });
+    el.addEventListener('dragend', () => { draggedChannelItem = null; });
+    el.addEventListener('dragover', (e) => {
+        if (!draggedChannelItem) return;
+        e.preventDefault();
+        e.stopPropagation();
+        e.dataTransfer.dropEffect = 'move';
+        const place = dropPlace(e, el, item.group !== undefined);
+        Object.entries(DROP_CLASSES).forEach(([p, cls]) => el.classList.toggle(cls, p === place));
+    });
+    el.addEventListener('dragleave', (e) => {
+        if (!el.contains(e.relatedTarget)) el.classList.remove(...Object.values(DROP_CLASSES));
+    });
+    el.addEventListener('drop', (e) => {
+        if (!draggedChannelItem) return;
+        e.preventDefault();
+        e.stopPropagation();
+        el.classList.remove(...Object.values(DROP_CLASSES));
+        app.moveChannelItem(draggedChannelItem, item, dropPlace(e, el, item.group !== undefined));
+        draggedChannelItem = null;
+    });
+};
+
 const renderChannels = () => {
     const container = document.getElementById('channel-list');
     if (!container) return;
@@ -107,17 +1294,6 @@ const renderChannels = () => {
     allBtn.onclick = () => app.setChannel(null);
     container.appendChild(allBtn);
 
-    const groups = {};
-    const general = [];
-    state.channels.forEach(c => {
-        if(c.vertical) {
-            if(!groups[c.vertical]) groups[c.vertical] = [];
-            groups[c.vertical].push(c);
-        } else {
-            general.push(c);
-        }
-    });
-
     const createChannelEl = (c) => {
         const div = document.createElement('div');
         div.className = "group flex items-center justify-between";
@@ -126,11 +1302,16 @@ const renderChannels = () => {
         const btn = document.createElement('button');
         btn.className = `flex-grow text-left px-3 py-1.5 text-sm truncate transition-colors ${state.activeChannelId === c.id ? 'text-white font-bold bg-neutral-800' : 'text-neutral-400 hover:text-white hover:bg-neutral-800/50'}`;
         btn.textContent = c.title;
+        btn.title = c.description || '';
         btn.onclick = () => app.setChannel(c.id);
+
+        const count = document.createElement('span');
+        count.className = "text-[10px] text-neutral-600 font-mono px-1";
+        count.textContent = state.blocks.filter(b => b.channelIds.includes(c.id)).length || '';
         
         // Actions container
         const actions = document.createElement('div');
-        actions.className = "flex opacity-0 group-hover:opacity-100 transition-opacity";
+        actions.className = "flex opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity";
         
         // Edit Btn
         const editBtn = document.createElement('button');
@@ -145,127 +1326,805 @@ const renderChannels = () => {
         delBtn.onclick = (e) => { e.stopPropagation(); app.deleteChannel(c.id); };
 
         actions.appendChild(editBtn);
-        actions.appendChild(delBtn);
+        if(c.id !== INBOX_ID) actions.appendChild(delBtn);
         
         div.appendChild(btn);
+        div.appendChild(count);
         div.appendChild(actions);
+        acceptFileDrop(div, () => c.id);
+        acceptChannelDrag(div, { channelId: c.id });
         return div;
     };
 
-    if (general.length) {
-        const label = document.createElement('div');
-        label.className = "mt-6 mb-2 px-3 text-xs font-bold text-neutral-600 uppercase tracking-widest";
-        label.textContent = "General";
-        container.appendChild(label);
-        general.forEach(c => container.appendChild(createChannelEl(c)));
-    }
+    const createGroupEl = (node, depth) => {
+        const collapsed = collapsedGroups.has(node.path);
+        const wrapper = document.createElement('div');
 
-    Object.keys(groups).sort().forEach(vert => {
         const label = document.createElement('div');
-        label.className = "mt-6 mb-2 px-3 text-xs font-bold text-neutral-600 uppercase tracking-widest flex justify-between group cursor-pointer";
-        
+        label.className = `${depth ? 'mt-2' : 'mt-6'} mb-2 px-3 text-xs font-bold text-neutral-600 uppercase tracking-widest flex justify-between items-center group cursor-pointer`;
+        label.onclick = () => app.toggleGroup(node.path);
+
         const textSpan = document.createElement('span');
-        textSpan.textContent = vert;
-        
+        textSpan.className = "flex items-center gap-1 truncate";
+        textSpan.innerHTML = `<i data-lucide="${collapsed ? 'chevron-right' : 'chevron-down'}" class="w-3 h-3 flex-shrink-0"></i>`;
+        textSpan.append(node.name);
+        if (collapsed) {
+            const count = document.createElement('span');
+            count.className = "font-mono font-normal normal-case tracking-normal";
+            count.textContent = state.channels.filter(c => inGroup(c, node.path)).length;
+            textSpan.append(' ', count);
+        }
+
         const actionsSpan = document.createElement('span');
-        actionsSpan.className = "flex gap-2 opacity-0 group-hover:opacity-100";
+        actionsSpan.className = "flex gap-2 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100";
         actionsSpan.innerHTML = `
-            <i data-lucide="pencil" class="w-3 h-3 hover:text-white" title="Rename Group"></i>
-            <i data-lucide="x" class="w-3 h-3 hover:text-red-500" title="Dissolve Group"></i>
+            <button class="hover:text-white" title="Export Group"><i data-lucide="download" class="w-3 h-3"></i></button>
+            <button class="hover:text-white" title="Rename Group"><i data-lucide="pencil" class="w-3 h-3"></i></button>
+            <button class="hover:text-red-500" title="Dissolve Group"><i data-lucide="x" class="w-3 h-3"></i></button>
         `;
-        
-        // Bind click events
-        const pencil = actionsSpan.querySelector('i[data-lucide="pencil"]');
-        const cross = actionsSpan.querySelector('i[data-lucide="x"]');
-        
-        pencil.onclick = (e) => { e.stopPropagation(); app.renameVertical(vert); };
-        cross.onclick = (e) => { e.stopPropagation(); app.deleteVertical(vert); };
+        const [exportBtn, pencil, cross] = actionsSpan.querySelectorAll('button');
+        exportBtn.onclick = (e) => { e.stopPropagation(); app.openExportModal(`group:${node.path}`); };
+        pencil.onclick = (e) => { e.stopPropagation(); app.renameVertical(node.path); };
+        cross.onclick = (e) => { e.stopPropagation(); app.deleteVertical(node.path); };
 
         label.appendChild(textSpan);
         label.appendChild(actionsSpan);
-        container.appendChild(label);
-        groups[vert].forEach(c => container.appendChild(createChannelEl(c)));
-    });
+        acceptChannelDrag(label, { group: node.path });
+        wrapper.appendChild(label);
+
+        if (!collapsed) {
+            const children = document.createElement('div');
+            if (depth) children.className = "ml-3 border-l border-neutral-800";
+            appendItems(children, node.items, depth + 1);
+            wrapper.appendChild(children);
+        }
+        return wrapper;
+    };
+
+    const appendItems = (parent, items, depth) => items.forEach(item =>
+        parent.appendChild(item.kind === 'group' ? createGroupEl(item, depth) : createChannelEl(item.channel)));
+
+    appendItems(container, channelTree(state.channels).items, 0);
 
     const form = document.createElement('form');
     form.className = "mt-6 px-2";
     form.onsubmit = app.createChannel;
-    form.innerHTML = `<input type="text" name="name" placeholder="+ New Channel..." class="w-full text-sm px-3 py-2 bg-neutral-800 border border-neutral-700 text-white placeholder-neutral-600 focus:outline-none focus:border-white transition-colors">`;
+    form.innerHTML = `<input type="text" name="name" placeholder="+ New Channel..." title="Use Group/Subgroup/Name to put it in groups" class="w-full text-sm px-3 py-2 bg-neutral-800 border border-neutral-700 text-white placeholder-neutral-600 focus:outline-none focus:border-white transition-colors">`;
     container.appendChild(form);
 
+    document.getElementById('trash-count').textContent = state.trash.length || '';
+    renderChannelHeader();
     lucide.createIcons();
 };
 
+const renderChannelCover = () => {
+    const preview = document.getElementById('channel-cover-preview');
+    preview.src = channelCoverDraft ? safeUrl(imageUrl(channelCoverDraft), { image: true }) : '';
+    preview.classList.toggle('hidden', !channelCoverDraft);
+    document.getElementById('btn-clear-cover').classList.toggle('hidden', !channelCoverDraft);
+    document.getElementById('channel-cover-file').value = '';
+};
+
+// Cover and description of the open channel, above the grid
+const renderChannelHeader = () => {
+    const header = document.getElementById('channel-header');
+    const c = state.channels.find(x => x.id === state.activeChannelId);
+    if (!c || (!c.description && !c.cover)) { header.classList.add('hidden'); header.innerHTML = ''; return; }
+    header.classList.remove('hidden');
+    header.innerHTML = `
+        ${c.cover ? `<img src="${escapeHtml(safeUrl(imageUrl(c.cover), { image: true }))}" alt="" class="w-full h-32 md:h-40 object-cover">` : ''}
+        <div class="px-6 py-3">
+            <div class="text-xs font-mono uppercase text-neutral-500">${escapeHtml(channelLabel(c))}</div>
+            ${c.description ? `<p class="text-sm text-neutral-300 mt-1 whitespace-pre-wrap">${escapeHtml(c.description)}</p>` : ''}
+        </div>`;
+};
+
+const TYPE_ICONS = {
+    [BlockType.TEXT]: 'type',
+    [BlockType.LINK]: 'link',
+    [BlockType.IMAGE]: 'image',
+    [BlockType.MARKDOWN]: 'file-text',
+    [BlockType.CODE]: 'code',
+    [BlockType.ATTACHMENT]: 'paperclip'
+};
+
+// Block content as HTML: plain text is escaped, rich content goes through sanitizeHtml
+const blockContentHtml = (b, highlights) => {
+    switch (b.type) {
+        case BlockType.IMAGE: {
+            // The grid shows the thumbnail; the full copy (or the kept original) opens on click
+            const src = safeUrl(imageUrl(b.thumbnail || b.content), { image: true });
+            const full = safeUrl(imageUrl(b.original || b.content));
+            const img = `<img src="${escapeHtml(src)}" class="w-full object-contain max-h-[500px]" loading="lazy" decoding="async">`;
+            return `<div class="border border-neutral-800 mb-4 bg-black/50">${full ? `<a href="${escapeHtml(full)}" target="_blank" rel="noopener noreferrer">${img}</a>` : img}</div>`;
+        }
+        case BlockType.LINK: {
+            const href = safeUrl(b.content);
+            const text = highlight(b.content, highlights);
+            return href
+                ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer" class="text-blue-400 hover:underline break-all font-mono text-sm block mb-2">${text}</a>`
+                : `<p class="break-all font-mono text-sm mb-2 text-neutral-400">${text}</p>`;
+        }
+        case BlockType.ATTACHMENT: {
+            const href = safeUrl(imageUrl(b.content));
+            const preview = b.preview ? safeUrl(imageUrl(b.preview), { image: true }) : '';
+            const details = [b.pageCount ? `${b.pageCount} page${b.pageCount === 1 ? '' : 's'}` : '', b.size ? formatSize(b.size) : ''].filter(Boolean).join(' · ');
+            return `${preview ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer" class="block border border-neutral-800 mb-4 bg-white"><img src="${escapeHtml(preview)}" class="w-full object-contain max-h-[500px]" loading="lazy"></a>` : ''}
+                <a href="${escapeHtml(href)}" download="${escapeHtml(b.fileName || 'file')}" class="flex items-center gap-2 border border-neutral-800 bg-neutral-950 px-3 py-2 mb-2 font-mono text-xs text-neutral-300 hover:border-neutral-500" title="Download">
+                    <i data-lucide="download" class="w-3 h-3 flex-shrink-0"></i>
+                    <span class="flex-1 truncate">${highlight(b.fileName || 'file', highlights)}</span>
+                    <span class="text-[10px] uppercase text-neutral-600 flex-shrink-0">${details}</span>
+                </a>`;
+        }
+        case BlockType.MARKDOWN:
+            return `<div class="markdown-body text-neutral-300 font-sans text-sm leading-relaxed max-h-[600px] overflow-hidden">${sanitizeHtml(renderMarkdown(b.content), { highlights })}</div>`;
+        case BlockType.CODE:
+            return `<div class="border border-neutral-800 bg-neutral-950 mb-2">
+                <div class="flex justify-between items-center px-3 py-1 border-b border-neutral-800 text-[10px] font-mono uppercase text-neutral-500">
+                    <span>${escapeHtml(b.language || 'code')}</span>
+                    <button data-action="copyCode" data-id="${escapeHtml(b.id)}" class="hover:text-white flex items-center gap-1"><i data-lucide="clipboard-copy" class="w-3 h-3"></i> Copy as code</button>
+                </div>
+                <pre class="code-block p-3 text-xs font-mono overflow-x-auto max-h-[400px]"><code>${sanitizeHtml(highlightCode(b.content, b.language), { highlights })}</code></pre>
+            </div>`;
+        default:
+            return `<p class="whitespace-pre-wrap text-neutral-300 font-sans text-sm leading-relaxed line-clamp-[10]">${highlight(b.content, highlights)}</p>`;
+    }
+};
+
+/* --- VIEWS ---
+ * Each channel remembers how its blocks are shown: masonry cards, a compact list, a table or a
+ * timeline by day, and how they are sorted. Manual order is saved on the channel as `blockOrder`.
+ */
+const VIEW_MODES = { grid: 'Grid', list: 'List', table: 'Table', timeline: 'Timeline' };
+
+const viewKey = () => state.activeChannelId || 'all';
+
+const currentView = () => ({ view: 'grid', sort: sortOrder, tableSort: null, ...viewSettings[viewKey()] });
+
+const updateView = (changes) => {
+    viewSettings = { ...viewSettings, [viewKey()]: { ...currentView(), ...changes } };
+    persist(setMeta('viewSettings', viewSettings));
+    renderBlocks();
+};
+
+const searchContext = () => {
+    const channel = state.channels.find(c => c.id === state.activeChannelId);
+    return { channels: state.channels, sortBy: currentView().sort, manualOrder: channel ? channel.blockOrder : [] };
+};
+
+// Manual order only exists inside a channel
+const syncViewControls = (view) => {
+    const sort = document.getElementById('sort-order');
+    sort.querySelector('option[value="manual"]').disabled = !state.activeChannelId;
+    sort.value = view.sort;
+    document.getElementById('view-mode').value = view.view;
+};
+
+// What a row shows under the title: the text, the file name or the text found in an image
+const blockPreview = (b) => b.type === BlockType.IMAGE ? b.extractedText || '' : b.type === BlockType.ATTACHMENT ? b.fileName || '' : b.content;
+
+const blockLabel = (b, length = 80) => b.title || blockPreview(b).replace(/\s+/g, ' ').trim().slice(0, length) || b.type;
+
+const shortDate = (t) => new Date(t).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const rowActionsHtml = (b) => `
+    <div class="flex gap-2 flex-shrink-0 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity">
+        <button data-action="editBlock" data-id="${escapeHtml(b.id)}" class="text-neutral-500 hover:text-white" title="Edit"><i data-lucide="pencil" class="w-4 h-4"></i></button>
+        <button data-action="copyBlock" data-id="${escapeHtml(b.id)}" class="text-neutral-500 hover:text-white" title="Copy Content"><i data-lucide="copy" class="w-4 h-4"></i></button>
+        <button data-action="deleteBlock" data-id="${escapeHtml(b.id)}" class="text-neutral-500 hover:text-red-500" title="Delete"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
+    </div>`;
+
+const selectBoxHtml = (b, selected) => `<button data-action="toggleSelect" data-id="${escapeHtml(b.id)}" class="w-4 h-4 flex-shrink-0 border flex items-center justify-center transition-opacity ${selected ? 'bg-white border-white text-black' : 'border-neutral-600 text-transparent opacity-0 group-hover:opacity-100 group-focus-within:opacity-100'}" title="Select (shift-click for a range)"><i data-lucide="check" class="w-3 h-3"></i></button>`;
+
+// One line per block, for the list and the timeline
+const rowHtml = (b, highlights, draggable) => {
+    const selected = selectedIds.has(b.id);
+    const thumb = b.type === BlockType.IMAGE ? safeUrl(imageUrl(b.thumbnail || b.content), { image: true }) : '';
+    const preview = b.title ? blockPreview(b).replace(/\s+/g, ' ').trim().slice(0, 160) : '';
+    return `
+    <div id="block-${escapeHtml(b.id)}" data-block-id="${escapeHtml(b.id)}" tabindex="0" ${draggable ? 'draggable="true"' : ''} class="group flex items-center gap-3 px-3 py-2 border-b border-neutral-800 transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-white ${selected ? 'bg-neutral-800' : 'hover:bg-neutral-900'}">
+        ${selectBoxHtml(b, selected)}
+        ${thumb ? `<img src="${escapeHtml(thumb)}" alt="" class="w-8 h-8 object-cover flex-shrink-0 border border-neutral-800" loading="lazy">` : `<i data-lucide="${TYPE_ICONS[b.type] || 'type'}" class="w-4 h-4 m-2 text-neutral-500 flex-shrink-0"></i>`}
+        <div class="flex-1 min-w-0">
+            <div class="text-sm text-white truncate">${highlight(blockLabel(b, 160), highlights)}</div>
+            ${preview ? `<div class="text-xs text-neutral-500 truncate">${highlight(preview, highlights)}</div>` : ''}
+        </div>
+        <div class="hidden md:flex gap-1 flex-shrink-0">${b.tags.slice(0, 3).map(t => `<button data-action="filterTag" data-tag="${escapeHtml(t)}" class="text-[10px] px-1.5 py-0.5 border border-neutral-800 text-neutral-500 font-mono uppercase hover:text-white">#${escapeHtml(t)}</button>`).join('')}</div>
+        <span class="text-[10px] font-mono text-neutral-600 flex-shrink-0 w-12 text-right">${shortDate(b.createdAt)}</span>
+        ${rowActionsHtml(b)}
+    </div>`;
+};
+
+const TABLE_COLUMNS = [
+    { key: 'title', label: 'Title', value: (b) => blockLabel(b).toLowerCase() },
+    { key: 'type', label: 'Type', value: (b) => b.type },
+    { key: 'tags', label: 'Tags', value: (b) => b.tags.join(' ') },
+    { key: 'date', label: 'Created', value: (b) => b.createdAt }
+];
+
+// Clicking a column header sorts the table by it; empty cells go last either way
+const sortTableResults = (results, tableSort) => {
+    const column = tableSort && TABLE_COLUMNS.find(c => c.key === tableSort.key);
+    if (!column) return results;
+    return [...results].sort((a, b) => {
+        const x = column.value(a.block);
+        const y = column.value(b.block);
+        if (typeof x === 'number') return (x - y) * tableSort.dir;
+        return (!x - !y) || x.localeCompare(y) * tableSort.dir;
+    });
+};
+
+const tableHtml = (results, tableSort) => `
+    <table class="w-full text-sm border-collapse">
+        <thead>
+            <tr class="text-left text-[10px] font-mono uppercase text-neutral-500 border-b border-neutral-800">
+                <th class="w-8"></th>
+                ${TABLE_COLUMNS.map(c => `<th class="py-2 pr-4 font-bold"><button data-action="sortTable" data-key="${c.key}" class="uppercase hover:text-white flex items-center gap-1 ${tableSort && tableSort.key === c.key ? 'text-white' : ''}">${c.label}${tableSort && tableSort.key === c.key ? `<i data-lucide="${tableSort.dir > 0 ? 'arrow-up' : 'arrow-down'}" class="w-3 h-3"></i>` : ''}</button></th>`).join('')}
+                <th></th>
+            </tr>
+        </thead>
+        <tbody>
+            ${results.map(({ block: b, highlights }) => {
+                const selected = selectedIds.has(b.id);
+                return `
+                <tr id="block-${escapeHtml(b.id)}" data-block-id="${escapeHtml(b.id)}" tabindex="0" class="group border-b border-neutral-800 transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-white ${selected ? 'bg-neutral-800' : 'hover:bg-neutral-900'}">
+                    <td class="py-2 pl-2">${selectBoxHtml(b, selected)}</td>
+                    <td class="py-2 pr-4 text-white max-w-md truncate">${highlight(blockLabel(b), highlights)}</td>
+                    <td class="py-2 pr-4 text-[10px] font-mono uppercase text-neutral-500"><span class="flex items-center gap-1"><i data-lucide="${TYPE_ICONS[b.type] || 'type'}" class="w-3 h-3"></i> ${escapeHtml(b.type)}</span></td>
+                    <td class="py-2 pr-4 text-[10px] font-mono text-neutral-500">${b.tags.map(t => `<button data-action="filterTag" data-tag="${escapeHtml(t)}" class="mr-1 hover:text-white">#${escapeHtml(t)}</button>`).join('')}</td>
+                    <td class="py-2 pr-4 text-[10px] font-mono text-neutral-500 whitespace-nowrap">${shortDate(b.createdAt)}</td>
+                    <td class="py-2 pr-2">${rowActionsHtml(b)}</td>
+                </tr>`;
+            }).join('')}
+        </tbody>
+    </table>`;
+
+// Rows under a heading per day, newest day first
+const timelineHtml = (results, time) => {
+    let day = null;
+    return results.map(({ block: b, highlights }) => {
+        const label = new Date(time(b)).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+        const heading = label === day ? '' : `<h3 class="${day ? 'mt-8' : ''} mb-2 text-xs font-mono font-bold uppercase text-neutral-500 tracking-widest">${label}</h3>`;
+        day = label;
+        return heading + rowHtml(b, highlights, false);
+    }).join('');
+};
+
+// A masonry card with everything the block holds
+const cardHtml = (b, highlights, draggable) => {
+    const mark = (text) => highlight(text, highlights);
+    const date = shortDate(b.createdAt);
+    const colors = (b.colors || []).filter(c => /^#[0-9a-f]{6}$/i.test(c));
+    const contentHtml = blockContentHtml(b, highlights);
+    const selected = selectedIds.has(b.id);
+
+    return `
+    <div id="block-${escapeHtml(b.id)}" data-block-id="${escapeHtml(b.id)}" tabindex="0" ${draggable ? 'draggable="true"' : ''} class="break-inside-avoid mb-8 bg-neutral-900 border p-6 transition-colors group relative shadow-sm focus:outline-none focus-visible:ring-2 focus-visible:ring-white focus-visible:ring-offset-4 focus-visible:ring-offset-neutral-950 ${selected ? 'border-white ring-1 ring-white' : 'border-neutral-800 hover:border-neutral-500'}">
+        <button data-action="toggleSelect" data-id="${escapeHtml(b.id)}" class="absolute top-2 left-2 w-4 h-4 border flex items-center justify-center transition-opacity ${selected ? 'bg-white border-white text-black' : 'border-neutral-600 text-transparent opacity-0 group-hover:opacity-100 group-focus-within:opacity-100'}" title="Select (shift-click for a range)"><i data-lucide="check" class="w-3 h-3"></i></button>
+        <div class="absolute top-4 right-4 flex gap-2 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity">
+            <button data-action="editBlock" data-id="${escapeHtml(b.id)}" class="text-neutral-500 hover:text-white" title="Edit"><i data-lucide="pencil" class="w-4 h-4"></i></button>
+            <button data-action="copyBlock" data-id="${escapeHtml(b.id)}" class="text-neutral-500 hover:text-white" title="Copy Content"><i data-lucide="copy" class="w-4 h-4"></i></button>
+            ${b.type === BlockType.TEXT || b.type === BlockType.MARKDOWN ? `<button data-action="toggleMarkdown" data-id="${escapeHtml(b.id)}" class="text-neutral-500 hover:text-white" title="${b.type === BlockType.TEXT ? 'Render as Markdown' : 'Show as plain text'}"><i data-lucide="${b.type === BlockType.TEXT ? 'file-text' : 'type'}" class="w-4 h-4"></i></button>` : ''}
+            <button data-action="toggleRelated" data-id="${escapeHtml(b.id)}" class="text-neutral-500 hover:text-white" title="Related blocks"><i data-lucide="network" class="w-4 h-4"></i></button>
+            <button data-action="openConnectModal" data-id="${escapeHtml(b.id)}" class="text-neutral-500 hover:text-white" title="Connect to channel…"><i data-lucide="plus-square" class="w-4 h-4"></i></button>
+            ${state.activeChannelId ? `<button data-action="disconnectBlock" data-id="${escapeHtml(b.id)}" data-channel="${escapeHtml(state.activeChannelId)}" class="text-neutral-500 hover:text-white" title="Disconnect from this channel"><i data-lucide="unlink" class="w-4 h-4"></i></button>` : ''}
+            <button data-action="deleteBlock" data-id="${escapeHtml(b.id)}" class="text-neutral-500 hover:text-red-500" title="Delete"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
+        </div>
+        
+        <div class="flex gap-2 text-[10px] text-neutral-500 font-mono uppercase mb-4 tracking-wider">
+            <span class="flex items-center gap-1"><i data-lucide="${TYPE_ICONS[b.type] || 'type'}" class="w-3 h-3"></i> ${escapeHtml(b.type)}</span>
+            <span>•</span>
+            <span>${date}</span>
+            ${b.updatedAt ? `<span>•</span><span title="${formatTime(b.updatedAt)}">edited ${shortDate(b.updatedAt)}</span>` : ''}
+        </div>
+        
+        ${b.title ? `<h3 class="font-bold text-white text-lg mb-3 font-mono leading-tight">${mark(b.title)}</h3>` : ''}
+        
+        ${contentHtml}
+        
+        ${b.description ? `<div class="mt-4 text-xs text-neutral-500 italic font-serif border-l border-neutral-700 pl-3 leading-relaxed">${mark(b.description)}</div>` : ''}
+
+        ${colors.length ? `<div class="flex gap-1 mt-4">${colors.map(c => `<button data-action="filterColor" data-color="${swatchOf(c)}" class="w-4 h-4 border border-neutral-800 hover:border-white" style="background:${escapeHtml(c)}" title="${escapeHtml(c)} · show ${swatchOf(c)} blocks"></button>`).join('')}</div>` : ''}
+
+        ${b.extractedText ? `<details class="mt-4 text-xs text-neutral-500 font-mono" ${highlights.length ? 'open' : ''}>
+            <summary class="cursor-pointer uppercase text-[10px] tracking-wider hover:text-white">${b.type === BlockType.ATTACHMENT ? 'Text in file' : 'Text in image'}</summary>
+            <p class="whitespace-pre-wrap mt-2 text-neutral-400 line-clamp-[8]">${mark(b.extractedText)}</p>
+        </details>` : ''}
+        
+        <div class="flex flex-wrap gap-1 mt-4">
+            ${b.channelIds.map(id => state.channels.find(c => c.id === id)).filter(Boolean).map(c => `<span class="text-[10px] pl-2 pr-1 py-0.5 bg-neutral-800 text-neutral-400 font-mono flex items-center gap-1"><button data-action="setChannel" data-id="${escapeHtml(c.id)}" class="hover:text-white">${escapeHtml(channelLabel(c))}</button><button data-action="disconnectBlock" data-id="${escapeHtml(b.id)}" data-channel="${escapeHtml(c.id)}" class="hover:text-red-500" title="Disconnect"><i data-lucide="x" class="w-3 h-3"></i></button></span>`).join('')}
+        </div>
+
+        <div class="flex flex-wrap gap-2 mt-4 pt-4 border-t border-neutral-800/50">
+            ${b.tags.map(t => `<button data-action="filterTag" data-tag="${escapeHtml(t)}" class="text-[10px] px-2 py-1 border border-neutral-800 bg-neutral-950 text-neutral-400 font-mono uppercase hover:border-neutral-600 hover:text-white transition-colors">#${mark(t)}</button>`).join('')}
+        </div>
+
+        ${relatedHtml(b)}
+    </div>
+    `;
+};
+
 const renderBlocks = () => {
     const grid = document.getElementById('block-grid');
-    const searchVal = document.getElementById('search-input').value.toLowerCase();
-    
-    let blocks = state.blocks.filter(b => {
-        const matchesSearch = !searchVal || b.content.toLowerCase().includes(searchVal) || b.title?.toLowerCase().includes(searchVal);
-        const matchesChannel = !state.activeChannelId || b.channelId === state.activeChannelId;
-        return matchesSearch && matchesChannel;
-    }).sort((a,b) => b.createdAt - a.createdAt);
-
-    if (blocks.length === 0) {
+    // Re-rendering replaces every card, so keyboard focus is handed to the new one
+    const focusId = pendingFocusId || document.activeElement?.closest?.('#block-grid [data-block-id]')?.dataset.blockId;
+    pendingFocusId = null;
+    const view = currentView();
+    syncViewControls(view);
+    const query = parseQuery(document.getElementById('search-input').value);
+    const visible = state.blocks.filter(b => inChannel(b, state.activeChannelId));
+    let results = searchMode === 'semantic' ? semanticSearch(visible, query) : searchBlocks(visible, query, searchContext());
+    const time = view.sort === 'updated' ? (b) => b.updatedAt || b.createdAt : (b) => b.createdAt;
+    if (view.view === 'table') results = sortTableResults(results, view.tableSort);
+    if (view.view === 'timeline') results = [...results].sort((a, b) => time(b.block) - time(a.block));
+    renderColorFilter(visible, query);
+    renderTags();
+    viewIds = results.map(r => r.block.id);
+    renderBulkBar();
+    grid.classList.toggle('masonry-grid', view.view === 'grid');
+    grid.classList.toggle('space-y-8', view.view === 'grid');
+
+    if (results.length === 0) {
         grid.innerHTML = `<div class="col-span-full text-center text-neutral-600 mt-20 font-mono">
             <div class="mb-4 inline-block p-4 bg-neutral-900 rounded-full"><i data-lucide="box" class="w-8 h-8 opacity-50"></i></div>
             <p>No blocks found.</p>
-            <p class="text-xs mt-2 uppercase">Paste an image or click Add Block.</p>
+            <p class="text-xs mt-2 uppercase">Paste an image, drop files here or click Add Block.</p>
         </div>`;
         lucide.createIcons();
         return;
     }
 
-    grid.innerHTML = blocks.map(b => {
-        const isImg = b.type === BlockType.IMAGE;
-        const isLink = b.type === BlockType.LINK;
-        const date = new Date(b.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-        
-        let contentHtml = '';
-        if (isImg) contentHtml = `<div class="border border-neutral-800 mb-4 bg-black/50"><img src="${b.content}" class="w-full object-contain max-h-[500px]" loading="lazy"></div>`;
-        else if (isLink) contentHtml = `<a href="${b.content}" target="_blank" class="text-blue-400 hover:underline break-all font-mono text-sm block mb-2">${b.content}</a>`;
-        else contentHtml = `<p class="whitespace-pre-wrap text-neutral-300 font-sans text-sm leading-relaxed line-clamp-[10]">${b.content}</p>`;
+    // Blocks can be dragged into place while a channel shows its manual order unfiltered
+    const draggable = view.sort === 'manual' && !!state.activeChannelId && !query.terms.length && !query.phrases.length && searchMode !== 'semantic';
+    grid.innerHTML =
+        view.view === 'table' ? tableHtml(results, view.tableSort) :
+        view.view === 'timeline' ? `<div class="max-w-5xl mx-auto">${timelineHtml(results, time)}</div>` :
+        view.view === 'list' ? `<div class="max-w-5xl mx-auto border-t border-neutral-800">${results.map(({ block, highlights }) => rowHtml(block, highlights, draggable)).join('')}</div>` :
+        results.map(({ block, highlights }) => cardHtml(block, highlights, draggable)).join('');
+    lucide.createIcons();
+    if (focusId) document.getElementById(`block-${focusId}`)?.focus({ preventScroll: true });
+};
+
+// Parses a plain backup's text into the preview
+const previewImport = async (text) => {
+    const errorEl = document.getElementById('import-error');
+    try {
+        const data = parseBackup(text);
+        data.blocks = await matchLocalImages(data.blocks, state.blocks);
+        data.channels = await matchLocalImages(data.channels, state.channels);
+        const diff = diffBackup(state, data);
+        const resolutions = {};
+        diff.conflicts.forEach(c => { resolutions[`${c.kind}:${c.id}`] = 'mine'; });
+        pendingImport = { data, diff, resolutions };
+        renderImportPreview();
+    } catch(err) {
+        errorEl.textContent = err.message;
+        errorEl.classList.remove('hidden');
+    }
+
+    document.getElementById('btn-import-replace').disabled = !pendingImport;
+    document.getElementById('btn-import-merge').disabled = !pendingImport;
+};
+
+const renderImportPreview = () => {
+    const summary = document.getElementById('import-summary');
+    const conflictsBox = document.getElementById('import-conflicts');
+    const list = document.getElementById('import-conflict-list');
+    const { data, diff, resolutions } = pendingImport;
+
+    summary.classList.remove('hidden');
+    summary.textContent = `Backup has ${data.channels.length} channels and ${data.blocks.length} blocks. ` +
+        `Merging adds ${diff.added.length}, ${diff.identical.length} already match, ${diff.conflicts.length} differ.`;
+
+    conflictsBox.classList.toggle('hidden', diff.conflicts.length === 0);
+    list.innerHTML = '';
+    diff.conflicts.forEach(({ kind, id, mine, theirs }) => {
+        const key = `${kind}:${id}`;
+        const row = document.createElement('div');
+        row.className = "border border-neutral-800 bg-neutral-950 p-3 text-xs";
+
+        const label = document.createElement('div');
+        label.className = "text-white font-bold truncate mb-2";
+        label.textContent = `${kind === 'channel' ? 'Channel' : 'Block'}: ${mine.title || theirs.title || id}`;
+        row.appendChild(label);
+
+        const choices = document.createElement('div');
+        choices.className = "flex gap-2 uppercase font-bold";
+        [['mine', 'Keep mine'], ['theirs', 'Use backup']].forEach(([value, text]) => {
+            const btn = document.createElement('button');
+            const active = resolutions[key] === value;
+            btn.className = `flex-1 px-2 py-1 border transition-colors ${active ? 'border-white bg-white text-black' : 'border-neutral-800 text-neutral-500 hover:text-white'}`;
+            btn.textContent = text;
+            btn.onclick = () => { resolutions[key] = value; renderImportPreview(); };
+            choices.appendChild(btn);
+        });
+        row.appendChild(choices);
+        list.appendChild(row);
+    });
+};
+
+/* --- IMPORT FROM OTHER APPS --- */
+const SOURCES = {
+    bookmarks: { name: 'Bookmarks', read: (files) => files[0].text().then(parseBookmarks) },
+    markdown: { name: 'Markdown folder', read: parseMarkdownFolder },
+    arena: { name: 'Are.na export', read: (files) => files[0].text().then(parseArena) }
+};
+// Imported items are added in chunks, each stored in one go before the page gets a moment to repaint
+const IMPORT_CHUNK = 50;
+
+const findChannelByName = (name) => {
+    const label = channelLabel(parseChannelName(name)).toLowerCase();
+    return state.channels.find(c => channelLabel(c).toLowerCase() === label);
+};
+
+// Splits parsed items into new ones and ones already stashed. An item repeated within the export is imported once.
+// Images can only be compared once they are downloaded, so their duplicates are found while importing.
+const planSourceImport = (source, { items, skipped }) => {
+    const stashed = new Map();
+    state.blocks.forEach(b => {
+        const key = duplicateKey(b);
+        if (key && !stashed.has(key)) stashed.set(key, b);
+    });
+    const seen = new Set();
+    const plan = { source, fresh: [], duplicates: [], repeated: 0, skipped };
+    items.forEach(item => {
+        const key = duplicateKey(item);
+        if (key && stashed.has(key)) plan.duplicates.push({ item, block: stashed.get(key) });
+        else if (key && seen.has(key)) plan.repeated++;
+        else plan.fresh.push(item);
+        if (key) seen.add(key);
+    });
+    return plan;
+};
+
+const renderSourcePreview = () => {
+    const box = document.getElementById('source-preview');
+    const { source, fresh, duplicates, repeated, skipped } = pendingSourceImport;
+    box.classList.remove('hidden');
+    if (!fresh.length && !duplicates.length) {
+        box.innerHTML = `<div>Nothing to import in this ${SOURCES[source].name.toLowerCase()}${skipped ? `: ${skipped} entries can't be imported` : ''}.</div>`;
+        return;
+    }
+
+    const byChannel = new Map();
+    const count = (item, field) => {
+        const row = byChannel.get(item.channel) || { fresh: 0, stashed: 0 };
+        row[field]++;
+        byChannel.set(item.channel, row);
+    };
+    fresh.forEach(item => count(item, 'fresh'));
+    duplicates.forEach(d => count(d.item, 'stashed'));
+    const rows = [...byChannel].sort(([a], [b]) => a.localeCompare(b));
+
+    box.innerHTML = `
+        <div>${SOURCES[source].name}: <span class="text-white">${fresh.length} new</span>, ${duplicates.length} already stashed${repeated ? `, ${repeated} repeated` : ''}${skipped ? `, ${skipped} can't be imported` : ''}.</div>
+        <div class="border border-neutral-800 bg-neutral-950 max-h-48 overflow-y-auto divide-y divide-neutral-800">
+            ${rows.slice(0, 100).map(([path, n]) => `<div class="flex justify-between gap-3 px-3 py-1.5">
+                <span class="truncate ${path ? 'text-white' : 'text-neutral-500'}">${escapeHtml(path || 'Inbox')}</span>
+                <span class="flex-shrink-0 text-neutral-500">${path && !findChannelByName(path) ? '<span class="text-green-500">new channel</span> &middot; ' : ''}${n.fresh} new${n.stashed ? ` &middot; ${n.stashed} stashed` : ''}</span>
+            </div>`).join('')}
+            ${rows.length > 100 ? `<div class="px-3 py-1.5 text-neutral-600">and ${rows.length - 100} more channels</div>` : ''}
+        </div>
+        ${duplicates.length ? `<label class="flex items-center gap-2">
+            <input type="checkbox" id="source-connect" checked>
+            Add the blocks already stashed to these channels too
+        </label>` : ''}
+        <div class="flex items-center justify-between gap-3">
+            <span id="source-status" class="text-neutral-500"></span>
+            <button id="btn-source-import" onclick="app.applySourceImport()" class="bg-white text-black px-4 py-2 text-xs font-bold uppercase hover:bg-gray-200 disabled:opacity-30">Import</button>
+        </div>`;
+};
+
+// Extracted text applies to images and attachments, the language only to code
+const toggleTypeFields = (type) => {
+    document.getElementById('image-fields').classList.toggle('hidden', type !== BlockType.IMAGE && type !== BlockType.ATTACHMENT);
+    document.getElementById('edit-ocr').placeholder = type === BlockType.ATTACHMENT ? 'Text in file (searchable)' : 'Text in image (searchable)';
+    document.getElementById('keep-original-row').classList.toggle('hidden', type !== BlockType.IMAGE);
+    document.getElementById('language-row').classList.toggle('hidden', type !== BlockType.CODE);
+};
+
+/* --- MANUAL ORDER --- */
+const clearBlockDropMarks = () => document.querySelectorAll('#block-grid .drop-before, #block-grid .drop-after')
+    .forEach(el => el.classList.remove('drop-before', 'drop-after'));
+
+// Cards marked draggable (manual order, see renderBlocks) can be dropped before or after each other
+const acceptBlockDrag = (grid) => {
+    const placeOn = (e, card) => {
+        const r = card.getBoundingClientRect();
+        return e.clientY < r.top + r.height / 2 ? 'before' : 'after';
+    };
+    grid.addEventListener('dragstart', (e) => {
+        const card = e.target.closest?.('[data-block-id][draggable="true"]');
+        if (!card) return;
+        draggedBlockId = card.dataset.blockId;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', blockLabel(state.blocks.find(b => b.id === draggedBlockId) || { type: '' }));
+    });
+    grid.addEventListener('dragend', () => { draggedBlockId = null; clearBlockDropMarks(); });
+    grid.addEventListener('dragover', (e) => {
+        const card = e.target.closest('[data-block-id][draggable="true"]');
+        if (!draggedBlockId || !card || card.dataset.blockId === draggedBlockId) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        clearBlockDropMarks();
+        card.classList.add(placeOn(e, card) === 'before' ? 'drop-before' : 'drop-after');
+    });
+    grid.addEventListener('drop', (e) => {
+        const card = e.target.closest('[data-block-id][draggable="true"]');
+        if (!draggedBlockId || !card) return;
+        e.preventDefault();
+        clearBlockDropMarks();
+        app.moveBlock(draggedBlockId, card.dataset.blockId, placeOn(e, card));
+        draggedBlockId = null;
+    });
+};
+
+/* --- COMMAND PALETTE --- */
+const PALETTE_ACTIONS = [
+    { label: 'New block', icon: 'plus', run: () => app.openAddModal() },
+    { label: 'New channel', icon: 'folder-plus', run: () => document.querySelector('#channel-list input[name="name"]').focus() },
+    { label: 'All blocks', icon: 'layout-grid', run: () => app.setChannel(null) },
+    { label: 'Search blocks', icon: 'search', hint: '/', run: () => document.getElementById('search-input').focus() },
+    { label: 'Switch keyword / semantic search', icon: 'search', run: () => app.toggleSearchMode() },
+    { label: 'Sort by newest', icon: 'arrow-down-wide-narrow', run: () => app.setSortOrder('created') },
+    { label: 'Sort by recently edited', icon: 'arrow-down-wide-narrow', run: () => app.setSortOrder('updated') },
+    { label: 'Sort by title', icon: 'arrow-down-a-z', run: () => app.setSortOrder('title') },
+    { label: 'Sort manually (drag blocks)', icon: 'grip-vertical', run: () => state.activeChannelId ? app.setSortOrder('manual') : showToast('Open a channel to order its blocks by hand') },
+    ...Object.entries(VIEW_MODES).map(([view, name]) => ({ label: `View as ${name.toLowerCase()}`, icon: 'layout-list', run: () => app.setViewMode(view) })),
+    { label: 'Connect: find patterns', icon: 'sparkles', run: () => app.connectBlocks() },
+    { label: 'Saved insights', icon: 'history', run: () => app.openInsightHistory() },
+    { label: 'Tag untagged blocks', icon: 'tags', run: () => app.openBackfillModal() },
+    { label: 'Organize Inbox', icon: 'layers', run: () => app.openOrganizeInbox() },
+    { label: 'Tidy tags', icon: 'tags', run: () => app.tidyTags() },
+    { label: 'Select all blocks', icon: 'check-square', hint: 'Ctrl+A', run: () => app.selectAll() },
+    { label: 'Undo', icon: 'undo-2', hint: 'Ctrl+Z', run: () => app.undo() },
+    { label: 'Redo', icon: 'redo-2', hint: 'Ctrl+Shift+Z', run: () => app.redo() },
+    { label: 'Trash', icon: 'trash-2', run: () => app.openTrash() },
+    { label: 'Import backup', icon: 'upload', run: () => app.openImportModal() },
+    { label: 'Import bookmarks, Markdown or Are.na', icon: 'upload', run: () => app.openImportModal() },
+    { label: 'Export backup', icon: 'download', run: () => app.openExportModal('') },
+    { label: 'Export as website or Markdown', icon: 'download', run: () => app.openExportModal() },
+    { label: 'AI settings', icon: 'settings', run: () => app.openSettingsModal() },
+    { label: 'Sync now', icon: 'refresh-cw', run: () => syncSettings.url ? syncNow() : app.openSyncModal() },
+    { label: 'Sync settings', icon: 'cloud', run: () => app.openSyncModal() },
+    { label: 'Lock now', icon: 'lock', run: () => app.lock() },
+    { label: 'Passphrase lock settings', icon: 'lock', run: () => app.openLockModal() },
+    { label: 'Install app and capture bookmarklet', icon: 'bookmark-plus', run: () => app.openCaptureModal() }
+];
+
+// Blocks are only listed once something is typed; there are too many to browse
+const paletteCommands = (query) => [
+    ...PALETTE_ACTIONS.map(a => ({ ...a, kind: 'Action' })),
+    ...state.channels.map(c => ({ kind: 'Channel', label: channelLabel(c), icon: 'hash', run: () => app.setChannel(c.id) })),
+    ...(query.trim() ? state.blocks.map(b => ({
+        kind: 'Block',
+        label: blockLabel(b),
+        icon: TYPE_ICONS[b.type] || 'type',
+        run: () => app.focusBlock(b.id)
+    })) : [])
+];
+
+const renderPalette = () => {
+    const query = document.getElementById('palette-input').value;
+    paletteItems = rankCommands(paletteCommands(query), query);
+    paletteIndex = Math.min(paletteIndex, Math.max(0, paletteItems.length - 1));
+    const list = document.getElementById('palette-list');
+    list.innerHTML = paletteItems.length ? paletteItems.map((item, i) => `
+        <button data-action="runPaletteItem" data-index="${i}" class="w-full text-left px-4 py-2 flex items-center gap-3 text-sm ${i === paletteIndex ? 'bg-neutral-800 text-white' : 'text-neutral-400'}">
+            <i data-lucide="${item.icon}" class="w-4 h-4 flex-shrink-0"></i>
+            <span class="flex-1 truncate">${escapeHtml(item.label)}</span>
+            <span class="text-[10px] uppercase text-neutral-600">${escapeHtml(item.hint || item.kind)}</span>
+        </button>`).join('')
+        : `<div class="px-4 py-6 text-center text-xs text-neutral-600">Nothing matches.</div>`;
+    list.children[paletteIndex]?.scrollIntoView({ block: 'nearest' });
+    lucide.createIcons();
+};
+
+const onPaletteKey = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        paletteIndex = (paletteIndex + step + paletteItems.length) % Math.max(1, paletteItems.length);
+        renderPalette();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        app.runPaletteItem(paletteIndex);
+    }
+};
+
+/* --- KEYBOARD NAVIGATION --- */
+const GRID_MOVES = { ArrowDown: 'down', ArrowUp: 'up', ArrowLeft: 'left', ArrowRight: 'right', j: 'next', k: 'prev' };
+
+/**
+ * The card to move to from `card`. The masonry grid fills each column top to bottom, so j/k
+ * follow document order, while arrow keys pick the nearest card on screen in that direction.
+ */
+const neighbourCard = (card, cards, move) => {
+    const i = cards.indexOf(card);
+    if (move === 'next') return cards[i + 1];
+    if (move === 'prev') return cards[i - 1];
+    const from = card.getBoundingClientRect();
+    const vertical = move === 'up' || move === 'down';
+    let best = null;
+    let bestScore = Infinity;
+    cards.forEach(other => {
+        if (other === card) return;
+        const to = other.getBoundingClientRect();
+        const ahead = { down: to.top >= from.bottom - 1, up: to.bottom <= from.top + 1, right: to.left >= from.right - 1, left: to.right <= from.left + 1 }[move];
+        if (!ahead) return;
+        const dx = Math.abs((to.left + to.right) / 2 - (from.left + from.right) / 2);
+        const dy = Math.abs((to.top + to.bottom) / 2 - (from.top + from.bottom) / 2);
+        // Drifting sideways costs more than going further in the chosen direction
+        const score = vertical ? dy + dx * 3 : dx + dy * 3;
+        if (score < bestScore) { best = other; bestScore = score; }
+    });
+    return best;
+};
+
+const onGridKey = (e) => {
+    const cards = [...document.querySelectorAll('#block-grid [data-block-id]')];
+    const inCard = document.activeElement.closest('#block-grid [data-block-id]');
+    const move = GRID_MOVES[e.key];
+    if (move) {
+        const target = inCard ? neighbourCard(inCard, cards, move) : cards[0];
+        if (!target && !inCard) return;
+        e.preventDefault();
+        if (!target) return;
+        target.focus({ preventScroll: true });
+        target.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        return;
+    }
+    // Letter shortcuts act on the card itself, not on a button inside it
+    const card = document.activeElement.matches('#block-grid [data-block-id]') ? document.activeElement : null;
+    if (!card) return;
+    const id = card.dataset.blockId;
+    if (e.key === 'Enter' || e.key === 'e') {
+        e.preventDefault();
+        app.editBlock(id);
+    } else if (e.key === 'd' || e.key === 'Delete') {
+        e.preventDefault();
+        const i = viewIds.indexOf(id);
+        pendingFocusId = viewIds[i + 1] || viewIds[i - 1] || null;
+        app.deleteBlock(id);
+    } else if (e.key === 'c') {
+        e.preventDefault();
+        app.copyBlock(id);
+    } else if (e.key === 'x' || e.key === ' ') {
+        e.preventDefault();
+        app.toggleSelect(id, e);
+    }
+};
+
+/* --- ACTIONS ---
+ * Buttons rendered from stash data carry `data-action` and their arguments in data attributes, never
+ * inline handlers: ids come from backups and other devices, and one spliced into script would run it.
+ */
+const ACTIONS = {
+    focusBlock: ({ id }) => app.focusBlock(id),
+    editBlock: ({ id }) => app.editBlock(id),
+    copyBlock: ({ id }) => app.copyBlock(id),
+    copyCode: ({ id }) => app.copyCode(id),
+    deleteBlock: ({ id }) => app.deleteBlock(id),
+    toggleSelect: ({ id }, e) => app.toggleSelect(id, e),
+    toggleMarkdown: ({ id }) => app.toggleMarkdown(id),
+    toggleRelated: ({ id }) => app.toggleRelated(id),
+    openConnectModal: ({ id }) => app.openConnectModal(id),
+    disconnectBlock: ({ id, channel }) => app.disconnectBlock(id, channel),
+    setChannel: ({ id }) => app.setChannel(id),
+    acceptChannelSuggestion: ({ id }) => app.acceptChannelSuggestion(id),
+    selectRevision: ({ id }) => app.selectRevision(id),
+    restoreRevision: ({ id }) => app.restoreRevision(id),
+    insightToBlock: ({ id }) => app.insightToBlock(id),
+    deleteInsight: ({ id }) => app.deleteInsight(id),
+    restoreFromTrash: ({ id }) => app.restoreFromTrash(id),
+    deleteForever: ({ id }) => app.deleteForever(id),
+    filterColor: ({ color }) => app.filterColor(color || null),
+    filterTag: ({ tag }) => app.filterTag(tag),
+    renameTag: ({ tag }) => app.renameTag(tag),
+    mergeTag: ({ tag }) => app.mergeTag(tag),
+    deleteTag: ({ tag }) => app.deleteTag(tag),
+    acceptTagSuggestion: ({ tag }) => app.acceptTagSuggestion(tag),
+    runPaletteItem: ({ index }) => app.runPaletteItem(Number(index)),
+    sortTable: ({ key }) => app.sortTable(key)
+};
 
-        return `
-        <div class="break-inside-avoid mb-8 bg-neutral-900 border border-neutral-800 p-6 hover:border-neutral-500 transition-colors group relative shadow-sm">
-            <div class="absolute top-4 right-4 flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                <button onclick="app.editBlock('${b.id}')" class="text-neutral-500 hover:text-white" title="Edit"><i data-lucide="pencil" class="w-4 h-4"></i></button>
-                <button onclick="app.copyBlock('${b.id}')" class="text-neutral-500 hover:text-white" title="Copy Content"><i data-lucide="copy" class="w-4 h-4"></i></button>
-                <button onclick="app.deleteBlock('${b.id}')" class="text-neutral-500 hover:text-red-500" title="Delete"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
-            </div>
-            
-            <div class="flex gap-2 text-[10px] text-neutral-500 font-mono uppercase mb-4 tracking-wider">
-                <span class="flex items-center gap-1"><i data-lucide="${isImg ? 'image' : isLink ? 'link' : 'type'}" class="w-3 h-3"></i> ${b.type}</span>
-                <span>•</span>
-                <span>${date}</span>
-            </div>
-            
-            ${b.title ? `<h3 class="font-bold text-white text-lg mb-3 font-mono leading-tight">${b.title}</h3>` : ''}
-            
-            ${contentHtml}
-            
-            ${b.description ? `<div class="mt-4 text-xs text-neutral-500 italic font-serif border-l border-neutral-700 pl-3 leading-relaxed">${b.description}</div>` : ''}
-            
-            <div class="flex flex-wrap gap-2 mt-4 pt-4 border-t border-neutral-800/50">
-                ${b.tags.map(t => `<span class="text-[10px] px-2 py-1 border border-neutral-800 bg-neutral-950 text-neutral-400 font-mono uppercase hover:border-neutral-600 transition-colors cursor-default">#${t}</span>`).join('')}
-            </div>
-        </div>
-        `;
-    }).join('');
-    lucide.createIcons();
+const runAction = (e) => {
+    const el = e.target.closest('[data-action]');
+    if (el && ACTIONS[el.dataset.action]) ACTIONS[el.dataset.action](el.dataset, e);
 };
 
 /* --- MAIN APP CONTROLLER --- */
 const app = {
-    init: () => {
-        loadState();
+    init: async () => {
+        dropStaleShare();
+        await loadState();
+        document.getElementById('keep-original').checked = keepOriginals;
         renderChannels();
         renderBlocks();
         
         const loader = document.getElementById('loading-overlay');
         if(loader) loader.classList.add('hidden');
+        refreshEmbeddings(state.blocks);
+        prepareStoredImages();
+
+        watchInactivity();
+        renderSyncStatus();
+        onLocalChange(scheduleSync);
+        window.addEventListener('online', syncNow);
+        window.addEventListener('offline', syncNow);
+        window.addEventListener('online', () => { renderAIAvailability(); refreshEmbeddings(state.blocks); });
+        window.addEventListener('offline', renderAIAvailability);
+        renderAIAvailability();
+        document.addEventListener('visibilitychange', () => { if(document.visibilityState === 'visible' && syncSettings.url) syncNow(); });
+        setInterval(() => { if(document.visibilityState === 'visible' && syncSettings.url) syncNow(); }, SYNC_INTERVAL);
+        if(syncSettings.url) syncNow();
+
+        window.addEventListener('beforeinstallprompt', (e) => {
+            e.preventDefault();
+            installPrompt = e;
+        });
+        if(import.meta.env.PROD && 'serviceWorker' in navigator) {
+            navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(e => console.error("Service worker registration failed", e));
+        }
+        takeCapture().catch(e => console.error("Capture failed", e));
+
+        document.getElementById('search-input').addEventListener('input', () => {
+            if (searchMode !== 'semantic') return renderBlocks();
+            clearTimeout(semanticTimer);
+            semanticTimer = setTimeout(embedSearchQuery, 300);
+        });
+        document.getElementById('import-file').addEventListener('change', app.readImportFile);
+        acceptFileDrop(document.getElementById('block-grid'), () => state.activeChannelId || INBOX_ID);
+        // A file dropped anywhere else would make the browser navigate away to it
+        ['dragover', 'drop'].forEach(type => window.addEventListener(type, (e) => { if(hasFiles(e)) e.preventDefault(); }));
+        document.getElementById('language-options').innerHTML = LANGUAGES.map(l => `<option value="${l}">`).join('');
+        ['add-content', 'edit-title', 'edit-desc', 'edit-tags'].forEach(id =>
+            document.getElementById(id).addEventListener('input', scheduleChannelSuggestion));
+        const tagInput = document.getElementById('edit-tags');
+        tagInput.addEventListener('input', () => { tagSuggestionIndex = 0; renderTagSuggestions(); });
+        tagInput.addEventListener('keydown', onTagInputKey);
+        tagInput.addEventListener('blur', renderTagSuggestions);
+        // Picking a suggestion must not blur the tag input, which would close the list first
+        document.getElementById('tag-suggestions').addEventListener('mousedown', (e) => e.preventDefault());
+
+        // Text fields keep their own native undo and select-all; Esc leaves them
+        document.addEventListener('keydown', (e) => {
+            const key = e.key.toLowerCase();
+            if((e.ctrlKey || e.metaKey) && key === 'k') { e.preventDefault(); app.openPalette(); return; }
+            if(e.key === 'Escape' && anyModalOpen()) { e.preventDefault(); app.closeModals(); return; }
+            if(e.target.closest('input, textarea, select, [contenteditable]')) {
+                if(e.key === 'Escape') e.target.blur();
+                return;
+            }
+            if(e.key === 'Escape' && selectedIds.size) { app.clearSelection(); return; }
+            if(e.ctrlKey || e.metaKey) {
+                if(key === 'z' && !e.shiftKey) { e.preventDefault(); app.undo(); }
+                else if((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); app.redo(); }
+                else if(key === 'a' && !anyModalOpen()) { e.preventDefault(); app.selectAll(); }
+                return;
+            }
+            if(e.altKey || anyModalOpen()) return;
+            if(e.key === '/') { e.preventDefault(); document.getElementById('search-input').focus(); return; }
+            onGridKey(e);
+        });
+        document.getElementById('palette-input').addEventListener('input', () => { paletteIndex = 0; renderPalette(); });
+        document.getElementById('palette-input').addEventListener('keydown', onPaletteKey);
+        document.getElementById('palette-list').addEventListener('mousemove', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) app.highlightPaletteItem(Number(item.dataset.index));
+        });
+
+        acceptBlockDrag(document.getElementById('block-grid'));
+        document.addEventListener('click', runAction);
 
-        document.getElementById('search-input').addEventListener('input', renderBlocks);
+        // Ctrl/Cmd-click and shift-click on a card select it; once something is selected, a plain click does too
+        document.getElementById('block-grid').addEventListener('click', (e) => {
+            const card = e.target.closest('[data-block-id]');
+            if(!card || e.target.closest('a, button, input, textarea, select, summary')) return;
+            if(!(e.ctrlKey || e.metaKey || e.shiftKey || selectedIds.size)) return;
+            e.preventDefault();
+            app.toggleSelect(card.dataset.blockId, e);
+        });
         
         document.getElementById('type-selector').addEventListener('click', (e) => {
             if(e.target.tagName === 'BUTTON') {
@@ -276,6 +2135,7 @@ const app = {
                 e.target.classList.remove('text-neutral-500', 'border-transparent');
                 e.target.classList.add('bg-white', 'text-black', 'border-white');
                 e.target.dataset.selected = "true";
+                toggleTypeFields(e.target.dataset.type);
                 document.getElementById('add-content').focus();
             }
         });
@@ -310,6 +2170,7 @@ const app = {
                             document.getElementById('image-preview').src = event.target.result;
                             document.getElementById('image-preview-container').classList.remove('hidden');
                             document.getElementById('add-content').classList.add('hidden');
+                            flagDuplicateImage(event.target.result);
                         };
                         reader.readAsDataURL(blob);
                     }
@@ -319,8 +2180,9 @@ const app = {
     },
 
     setChannel: (id) => {
+        selectedIds.clear();
         state.activeChannelId = id;
-        saveState();
+        persist(setMeta('activeChannelId', id));
         renderChannels();
         renderBlocks();
     },
@@ -329,75 +2191,140 @@ const app = {
         e.preventDefault();
         const input = e.target.name;
         const val = input.value.trim();
-        if(!val) return;
+        const parsed = parseChannelName(val);
+        if(!parsed.title) return;
         
-        let vertical = undefined;
-        let title = val;
-        if(val.includes('/')) {
-            const parts = val.split('/');
-            vertical = parts[0].trim();
-            title = parts[1].trim();
-        }
-
-        const newC = { id: `c_${Date.now()}`, title, vertical, slug: title.toLowerCase(), createdAt: Date.now() };
-        state.channels.push(newC);
+        const newC = { id: newId('c'), ...parsed, slug: uniqueSlug(parsed.title, state.channels), order: nextOrder(state.channels), createdAt: Date.now() };
+        mutate(`Create channel "${newC.title}"`, () => {
+            state.channels.push(newC);
+            persist(putChannels([newC]));
+        });
         state.activeChannelId = newC.id;
         input.value = '';
-        saveState();
+        persist(setMeta('activeChannelId', newC.id));
         renderChannels();
+        renderBlocks();
     },
 
     editChannel: (id) => {
         const c = state.channels.find(x => x.id === id);
         if(!c) return;
-        
-        const currentName = c.vertical ? `${c.vertical}/${c.title}` : c.title;
-        const newName = prompt("Rename channel (use 'Group/Name' to categorize):", currentName);
-        
-        if(newName && newName !== currentName) {
-             let vertical = undefined;
-             let title = newName.trim();
-             if(newName.includes('/')) {
-                 const parts = newName.split('/');
-                 vertical = parts[0].trim();
-                 title = parts[1].trim();
-             }
-             c.title = title;
-             c.vertical = vertical;
-             c.slug = title.toLowerCase();
-             saveState();
-             renderChannels();
+        editingChannelId = id;
+        channelCoverDraft = c.cover || null;
+        document.getElementById('channel-name').value = channelLabel(c);
+        document.getElementById('channel-slug').value = c.slug || '';
+        document.getElementById('channel-desc').value = c.description || '';
+        document.getElementById('channel-error').classList.add('hidden');
+        renderChannelCover();
+        document.getElementById('channel-modal').classList.remove('hidden');
+        document.getElementById('channel-name').focus();
+    },
+
+    setChannelCover: async (file) => {
+        if(!file) return;
+        try {
+            const { stored } = await processImage(file);
+            channelCoverDraft = await storeImage(stored);
+        } catch(e) {
+            showStorageError(e);
+            return;
         }
+        renderChannelCover();
     },
 
-    deleteChannel: (id) => {
-        if(confirm('Delete channel? Blocks inside will be removed.')) {
-            state.channels = state.channels.filter(c => c.id !== id);
-            state.blocks = state.blocks.filter(b => b.channelId !== id);
-            if(state.activeChannelId === id) state.activeChannelId = null;
-            saveState();
-            renderChannels();
-            renderBlocks();
+    clearChannelCover: () => {
+        channelCoverDraft = null;
+        renderChannelCover();
+    },
+
+    saveChannel: () => {
+        const c = state.channels.find(x => x.id === editingChannelId);
+        if(!c) return;
+        const parsed = parseChannelName(document.getElementById('channel-name').value);
+        const error = document.getElementById('channel-error');
+        if(!parsed.title) {
+            error.textContent = 'The channel needs a name.';
+            error.classList.remove('hidden');
+            return;
         }
+        // An edited slug is kept if it is free; otherwise it gets a number
+        const slugInput = document.getElementById('channel-slug').value.trim();
+        const slug = uniqueSlug(slugInput || parsed.title, state.channels, c.id);
+        const changes = {
+            ...parsed,
+            slug,
+            description: document.getElementById('channel-desc').value.trim() || undefined,
+            cover: channelCoverDraft || undefined
+        };
+        mutate(`Edit channel "${parsed.title}"`, () => {
+            Object.assign(c, changes);
+            persist(putChannels([c]));
+        });
+        app.closeModals();
+        renderChannels();
+        renderBlocks();
+    },
+
+    // `item` and `target` are { channelId } or { group }, see moveInTree
+    moveChannelItem: (item, target, place) => {
+        if(item.group === undefined && item.channelId === target.channelId) return;
+        if(item.group !== undefined && item.group === target.group) return;
+        const name = item.group ?? channelLabel(state.channels.find(c => c.id === item.channelId));
+        mutate(`Moved "${name}"`, () => {
+            const changed = moveInTree(state.channels, item, target, place);
+            if(changed === null) showToast("A group can't go inside itself");
+            else persist(putChannels(changed));
+        });
+        renderChannels();
+    },
+
+    toggleGroup: (path) => {
+        if(collapsedGroups.has(path)) collapsedGroups.delete(path);
+        else collapsedGroups.add(path);
+        persist(setMeta('collapsedGroups', [...collapsedGroups]));
+        renderChannels();
     },
 
-    renameVertical: (oldName) => {
-        const newName = prompt("Rename Group:", oldName);
-        if(newName && newName !== oldName) {
-            state.channels.forEach(c => {
-                if(c.vertical === oldName) c.vertical = newName;
+    // Blocks stay in their other channels; blocks only in this one move to the Inbox.
+    // The Trash remembers both, so restoring the channel puts its blocks back.
+    deleteChannel: (id) => {
+        const c = state.channels.find(x => x.id === id);
+        if(!c || id === INBOX_ID) return;
+        mutate(`Moved channel "${c.title}" to Trash`, () => {
+            const affected = state.blocks.filter(b => b.channelIds.includes(id));
+            const movedToInbox = affected.filter(b => b.channelIds.length === 1).map(b => b.id);
+            affected.forEach(b => {
+                const rest = b.channelIds.filter(x => x !== id);
+                b.channelIds = rest.length ? rest : [INBOX_ID];
             });
-            saveState();
-            renderChannels();
-        }
+            const entry = { id: `t_${id}`, kind: 'channel', record: c, deletedAt: Date.now(), memberIds: affected.map(b => b.id), movedToInbox };
+            state.channels = state.channels.filter(x => x.id !== id);
+            state.trash = [entry, ...state.trash];
+            persist(deleteChannels([id]));
+            persist(putBlocks(affected));
+            persist(putTrash([entry]));
+        });
+        if(state.activeChannelId === id) state.activeChannelId = null;
+        persist(setMeta('activeChannelId', state.activeChannelId));
+        renderChannels();
+        renderBlocks();
     },
 
-    deleteVertical: (vert) => {
-        if(confirm(`Dissolve "${vert}" group? Channels will be moved to General.`)) {
-            state.channels = state.channels.map(c => c.vertical === vert ? { ...c, vertical: undefined } : c);
-            saveState();
-            renderChannels();
-        }
+    // A new path moves the group, "Design/UI" -> "Archive/UI" puts it under Archive
+    renameVertical: (path) => {
+        const newPath = prompt("Rename Group (use 'Parent/Name' to move it):", path);
+        if(!newPath || newPath === path) return;
+        mutate(`Rename group "${path}"`, () => persist(putChannels(renameGroup(state.channels, path, newPath))));
+        renderChannels();
+        renderBlocks();
+    },
+
+    // What was in a dissolved group moves up one level
+    deleteVertical: (path) => {
+        mutate(`Dissolved group "${path}"`, () => persist(putChannels(dissolveGroup(state.channels, path))));
+        collapsedGroups.delete(path);
+        renderChannels();
+        renderBlocks();
     },
 
     /* Block Actions */
@@ -414,9 +2341,25 @@ const app = {
         document.getElementById('edit-title').value = '';
         document.getElementById('edit-desc').value = '';
         document.getElementById('edit-tags').value = '';
+        document.getElementById('edit-ocr').value = '';
+        document.getElementById('edit-colors').value = '';
+        document.getElementById('edit-language').value = '';
+        document.getElementById('duplicate-notice').classList.add('hidden');
+        toggleTypeFields(type);
+        document.getElementById('btn-revisions').classList.add('hidden');
+        document.getElementById('revision-panel').classList.add('hidden');
+        modalAutoFilled = false;
+
+        const channelSelect = document.getElementById('add-channel');
+        channelSelect.innerHTML = state.channels.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(channelLabel(c))}</option>`).join('');
+        channelSelect.value = state.activeChannelId || INBOX_ID;
+        document.getElementById('add-channel-row').classList.remove('hidden');
+        document.getElementById('channel-suggestion').classList.add('hidden');
         
         imgContainer.classList.add('hidden');
         textarea.classList.remove('hidden');
+        document.getElementById('type-selector').classList.remove('hidden');
+        document.getElementById('btn-clear-image').classList.remove('hidden');
         document.getElementById('ai-preview').classList.add('hidden');
         
         const typeBtns = document.getElementById('type-selector').children;
@@ -434,12 +2377,14 @@ const app = {
             document.getElementById('image-preview').src = content;
             imgContainer.classList.remove('hidden');
             textarea.classList.add('hidden');
+            flagDuplicateImage(content);
         } else {
             textarea.value = content;
         }
 
         modal.classList.remove('hidden');
         if(type !== BlockType.IMAGE) textarea.focus();
+        if(content) scheduleChannelSuggestion();
     },
 
     editBlock: (id) => {
@@ -457,6 +2402,22 @@ const app = {
         document.getElementById('edit-title').value = b.title || '';
         document.getElementById('edit-desc').value = b.description || '';
         document.getElementById('edit-tags').value = b.tags ? b.tags.join(', ') : '';
+        document.getElementById('edit-ocr').value = b.extractedText || '';
+        document.getElementById('edit-colors').value = (b.colors || []).join(',');
+        document.getElementById('edit-language').value = b.language || '';
+        document.getElementById('duplicate-notice').classList.add('hidden');
+        toggleTypeFields(b.type);
+        document.getElementById('add-channel-row').classList.add('hidden');
+        document.getElementById('btn-revisions').classList.remove('hidden');
+        document.getElementById('revision-panel').classList.add('hidden');
+        modalAutoFilled = false;
+        blockRevisions = [];
+        selectedRevisionId = null;
+        loadRevisions(id).then(revisions => {
+            if(state.editingBlockId !== id) return;
+            blockRevisions = revisions;
+            renderRevisions();
+        }).catch(showStorageError);
         
         // Handle Type & Content
         const typeBtns = document.getElementById('type-selector').children;
@@ -469,124 +2430,734 @@ const app = {
              }
         });
 
-        if(b.type === BlockType.IMAGE) {
-            textarea.value = b.content;
-            document.getElementById('image-preview').src = b.content;
-            imgContainer.classList.remove('hidden');
-            textarea.classList.add('hidden');
-        } else {
-            textarea.value = b.content;
-            imgContainer.classList.add('hidden');
-            textarea.classList.remove('hidden');
-        }
+        // An attachment keeps its file; only its metadata and extracted text can be edited
+        const isAttachment = b.type === BlockType.ATTACHMENT;
+        document.getElementById('type-selector').classList.toggle('hidden', isAttachment);
+        document.getElementById('btn-clear-image').classList.toggle('hidden', isAttachment);
+
+        if(b.type === BlockType.IMAGE || isAttachment) {
+            textarea.value = b.content;
+            document.getElementById('image-preview').src = imageUrl(isAttachment ? b.preview : b.content);
+            imgContainer.classList.toggle('hidden', isAttachment && !b.preview);
+            textarea.classList.add('hidden');
+        } else {
+            textarea.value = b.content;
+            imgContainer.classList.add('hidden');
+            textarea.classList.remove('hidden');
+        }
+
+        document.getElementById('ai-preview').classList.add('hidden');
+        modal.classList.remove('hidden');
+        updateChannelSuggestion();
+    },
+
+    toggleRevisions: () => {
+        const panel = document.getElementById('revision-panel');
+        panel.classList.toggle('hidden');
+        if(!panel.classList.contains('hidden')) renderRevisions();
+    },
+
+    selectRevision: (id) => {
+        selectedRevisionId = selectedRevisionId === id ? null : id;
+        renderRevisions();
+    },
+
+    restoreRevision: (revisionId) => {
+        const b = state.blocks.find(x => x.id === state.editingBlockId);
+        const revision = blockRevisions.find(r => r.id === revisionId);
+        if(!b || !revision) return;
+        const { at, ...fields } = revision.version;
+        mutate('Restored an earlier version', () => {
+            if(reviseBlock(b, fields, 'restore')) persist(putBlocks([b]));
+        });
+        refreshEmbeddings([b]);
+        renderBlocks();
+        app.editBlock(b.id);
+        document.getElementById('revision-panel').classList.remove('hidden');
+    },
+
+    setSortOrder: (order) => updateView({ sort: order }),
+
+    setViewMode: (view) => updateView({ view }),
+
+    // A header sorts ascending first, a second click reverses it
+    sortTable: (key) => {
+        const current = currentView().tableSort;
+        updateView({ tableSort: { key, dir: current && current.key === key ? -current.dir : 1 } });
+    },
+
+    // Moves a block before or after another in the open channel's manual order
+    moveBlock: (id, targetId, place) => {
+        const c = state.channels.find(x => x.id === state.activeChannelId);
+        if(!c || id === targetId) return;
+        const members = state.blocks.filter(b => b.channelIds.includes(c.id));
+        const ids = searchBlocks(members, parseQuery(''), { sortBy: 'manual', manualOrder: c.blockOrder || [] }).map(r => r.block.id).filter(x => x !== id);
+        const at = ids.indexOf(targetId);
+        if(at === -1) return;
+        ids.splice(place === 'after' ? at + 1 : at, 0, id);
+        mutate('Reordered blocks', () => {
+            c.blockOrder = ids;
+            persist(putChannels([c]));
+        });
+        pendingFocusId = id;
+        renderBlocks();
+    },
+
+    setKeepOriginals: (keep) => {
+        keepOriginals = keep;
+        persist(setMeta('keepOriginals', keep));
+    },
+
+    filterColor: (name) => toggleSearchFilter('color', name),
+
+    filterTag: (tag) => toggleSearchFilter('tag', tag),
+
+    toggleAllTags: () => {
+        showAllTags = !showAllTags;
+        renderTags();
+        lucide.createIcons();
+    },
+
+    // Renaming onto a tag that is already in use merges the two
+    renameTag: (tag) => {
+        const to = normalizeTag(prompt(`Rename #${tag} to:`, tag) || '');
+        if(!to || to === tag) return;
+        const merging = state.blocks.some(b => b.tags.includes(to));
+        mutate(merging ? `Merged #${tag} into #${to}` : `Renamed #${tag} to #${to}`, () => retagBlocks(tag, to));
+        followTagFilter(tag, to);
+    },
+
+    mergeTag: (tag) => {
+        const others = tagCounts(state.blocks).map(t => t.tag).filter(t => t !== tag);
+        if(!others.length) return;
+        const to = normalizeTag(prompt(`Merge #${tag} into which tag?\n\nMost used: ${others.slice(0, 15).join(', ')}`) || '');
+        if(!to || to === tag) return;
+        if(!others.includes(to)) { alert(`No block is tagged #${to}. Use Rename to give #${tag} a new name.`); return; }
+        mutate(`Merged #${tag} into #${to}`, () => retagBlocks(tag, to));
+        followTagFilter(tag, to);
+    },
+
+    deleteTag: (tag) => {
+        mutate(count => `Removed #${tag} from ${count} block${count === 1 ? '' : 's'}`, () => retagBlocks(tag, '').length);
+        followTagFilter(tag, null);
+    },
+
+    // Normalizes tags saved before normalization existed ("CSS", "#css", "Web Design")
+    tidyTags: () => {
+        mutate(count => `Tidied tags on ${count} block${count === 1 ? '' : 's'}`, () => {
+            const changed = state.blocks.filter(b => reviseBlock(b, { tags: normalizeTags(b.tags) }, 'edit'));
+            persist(putBlocks(changed));
+            refreshEmbeddings(changed);
+            return changed.length;
+        });
+        renderChannels();
+        renderBlocks();
+    },
+
+    acceptTagSuggestion: (tag) => {
+        const input = document.getElementById('edit-tags');
+        const parts = input.value.split(',');
+        parts[parts.length - 1] = ` ${tag}`;
+        input.value = `${parts.join(',').replace(/^ /, '')}, `;
+        input.focus();
+        renderTagSuggestions();
+    },
+
+    clearImage: () => {
+        document.getElementById('add-content').value = '';
+        document.getElementById('image-preview-container').classList.add('hidden');
+        document.getElementById('duplicate-notice').classList.add('hidden');
+        document.getElementById('add-content').classList.remove('hidden');
+        document.querySelector(`button[data-type="${BlockType.TEXT}"]`).click();
+        document.getElementById('add-content').focus();
+    },
+
+    closeModals: () => {
+        document.getElementById('add-modal').classList.add('hidden');
+        document.getElementById('api-modal').classList.add('hidden');
+        document.getElementById('import-modal').classList.add('hidden');
+        document.getElementById('connect-modal').classList.add('hidden');
+        document.getElementById('backfill-modal').classList.add('hidden');
+        document.getElementById('export-modal').classList.add('hidden');
+        document.getElementById('sync-modal').classList.add('hidden');
+        document.getElementById('lock-modal').classList.add('hidden');
+        document.getElementById('capture-modal').classList.add('hidden');
+        document.getElementById('insights-modal').classList.add('hidden');
+        document.getElementById('organize-modal').classList.add('hidden');
+        document.getElementById('trash-modal').classList.add('hidden');
+        document.getElementById('palette-modal').classList.add('hidden');
+        document.getElementById('channel-modal').classList.add('hidden');
+        editingChannelId = null;
+        organizeProposal = null;
+        state.editingBlockId = null;
+        pendingImport = null;
+        encryptedImport = null;
+        // The bookmarklet's window has done its job once its capture is saved or dismissed
+        if(capturing) {
+            capturing = false;
+            whenStored().finally(() => window.close());
+        }
+    },
+
+    analyzeCurrentInput: async () => {
+        const typeBtn = document.querySelector('#type-selector .bg-white');
+        const type = typeBtn ? typeBtn.dataset.type : 'text';
+        const content = document.getElementById('add-content').value;
+
+        if(!content) return;
+        if(!aiReachable()) { showToast('AI is unavailable offline'); return; }
+
+        const btn = document.getElementById('btn-analyze');
+        const originalHtml = btn.innerHTML;
+        btn.innerHTML = `<i data-lucide="loader-2" class="animate-spin w-3 h-3"></i> Thinking...`;
+        lucide.createIcons();
+
+        const result = await analyzeBlockContent(content, type, document.getElementById('edit-ocr').value || document.getElementById('edit-title').value);
+        
+        // Auto-fill the manual fields
+        modalAutoFilled = true;
+        document.getElementById('edit-title').value = result.title || '';
+        document.getElementById('edit-desc').value = result.summary || '';
+        document.getElementById('edit-tags').value = result.tags ? result.tags.join(', ') : '';
+        if(type === BlockType.CODE && result.language && !document.getElementById('edit-language').value) {
+            document.getElementById('edit-language').value = result.language.toLowerCase();
+        }
+        if(type === BlockType.IMAGE) {
+            document.getElementById('edit-ocr').value = result.text || '';
+            document.getElementById('edit-colors').value = (result.colors || []).join(',');
+        }
+
+        // Show mini preview
+        const preview = document.getElementById('ai-preview');
+        preview.classList.remove('hidden');
+        document.getElementById('ai-preview-title').textContent = result.title;
+        document.getElementById('ai-preview-summary').textContent = result.summary;
+        document.getElementById('ai-preview-tags').innerHTML = result.tags.map(t=>`<span class="bg-neutral-900 border border-neutral-700 px-1 text-[10px] uppercase">#${escapeHtml(t)}</span>`).join('') +
+            (result.colors || []).map(c => `<span class="w-4 h-4 border border-neutral-700" style="background:${escapeHtml(c)}" title="${escapeHtml(c)}"></span>`).join('');
+        
+        btn.innerHTML = originalHtml;
+        lucide.createIcons();
+        scheduleChannelSuggestion();
+    },
+
+    submitNewBlock: async () => {
+        const typeBtn = document.querySelector('#type-selector .bg-white');
+        const type = typeBtn ? typeBtn.dataset.type : 'text';
+        let content = document.getElementById('add-content').value;
+
+        if(!content) return;
+
+        // Pasted images arrive as data URLs; they are processed, stored separately and referenced from the block
+        let imageFields = {};
+        if(type === BlockType.IMAGE && content.startsWith('data:')) {
+            try { imageFields = await ingestImage(content); }
+            catch(e) { showStorageError(e); return; }
+            content = imageFields.content;
+        }
+
+        // Gather manual fields
+        const title = document.getElementById('edit-title').value;
+        const description = document.getElementById('edit-desc').value;
+        const tags = parseTagInput(document.getElementById('edit-tags').value);
+        const colors = document.getElementById('edit-colors').value.split(',').filter(c => c);
+        const typeExtras = type === BlockType.IMAGE ? {
+            ...imageFields,
+            extractedText: document.getElementById('edit-ocr').value.trim(),
+            // Colours from Auto-Tag win over the palette measured on ingest
+            colors: colors.length ? colors : imageFields.colors || []
+        } : type === BlockType.ATTACHMENT ? {
+            extractedText: document.getElementById('edit-ocr').value.trim()
+        } : type === BlockType.CODE ? {
+            language: document.getElementById('edit-language').value.trim().toLowerCase()
+        } : {};
+
+        if (state.editingBlockId) {
+            // UPDATE EXISTING
+            const idx = state.blocks.findIndex(b => b.id === state.editingBlockId);
+            if(idx !== -1) mutate('Edited block', () => {
+                const b = state.blocks[idx];
+                if(!reviseBlock(b, { type, content, title, description, tags, ...typeExtras }, modalAutoFilled ? 'ai' : 'edit')) return;
+                persist(putBlocks([b]));
+                refreshEmbeddings([b]);
+            });
+        } else {
+            // CREATE NEW
+            const newBlock = {
+                id: newId('b'),
+                createdAt: Date.now(),
+                type,
+                content,
+                channelIds: [document.getElementById('add-channel').value || INBOX_ID],
+                title,
+                description,
+                tags,
+                ...typeExtras
+            };
+            mutate('Added block', () => {
+                state.blocks.unshift(newBlock);
+                persist(putBlocks([newBlock]));
+            });
+            refreshEmbeddings([newBlock]);
+        }
+        
+        renderChannels();
+        renderBlocks();
+        app.closeModals();
+    },
+
+    deleteBlock: (id) => {
+        const b = state.blocks.find(x => x.id === id);
+        if(!b) return;
+        mutate('Moved block to Trash', () => trashBlocks([b]));
+        renderChannels();
+        renderBlocks();
+    },
+
+    /* Selection & Bulk Actions */
+    // A shift-click selects everything between the last clicked block and this one
+    toggleSelect: (id, e) => {
+        if(e && e.shiftKey && selectionAnchor && viewIds.includes(selectionAnchor)) {
+            const [from, to] = [viewIds.indexOf(selectionAnchor), viewIds.indexOf(id)].sort((a, b) => a - b);
+            viewIds.slice(from, to + 1).forEach(x => selectedIds.add(x));
+            window.getSelection().removeAllRanges();
+        } else if(selectedIds.has(id)) {
+            selectedIds.delete(id);
+        } else {
+            selectedIds.add(id);
+        }
+        selectionAnchor = id;
+        renderBlocks();
+    },
+
+    selectAll: () => {
+        viewIds.forEach(id => selectedIds.add(id));
+        renderBlocks();
+    },
+
+    clearSelection: () => {
+        selectedIds.clear();
+        selectionAnchor = null;
+        renderBlocks();
+    },
+
+    // Moving takes the blocks out of the channel being viewed (out of every channel in All Blocks)
+    bulkConnect: (move) => {
+        const channelId = document.getElementById('bulk-channel').value;
+        const c = state.channels.find(x => x.id === channelId);
+        if(!c) return;
+        const from = state.activeChannelId;
+        mutate(count => `${move ? 'Moved' : 'Connected'} ${count} block${count === 1 ? '' : 's'} to ${channelLabel(c)}`, () => {
+            const changed = selectedBlocks().filter(b => {
+                const channelIds = move
+                    ? [...new Set([...(from ? b.channelIds.filter(x => x !== from) : []), channelId])]
+                    : [...new Set([...b.channelIds, channelId])];
+                if(channelIds.length === b.channelIds.length && channelIds.every(x => b.channelIds.includes(x))) return false;
+                b.channelIds = channelIds;
+                return true;
+            });
+            persist(putBlocks(changed));
+            return changed.length;
+        });
+        renderChannels();
+        renderBlocks();
+    },
+
+    bulkTag: (add) => {
+        const input = document.getElementById('bulk-tag');
+        const tag = normalizeTag(input.value);
+        if(!tag) return;
+        mutate(count => `${add ? 'Tagged' : 'Untagged'} ${count} block${count === 1 ? '' : 's'} #${tag}`, () => {
+            const changed = selectedBlocks().filter(b => reviseBlock(b, {
+                tags: add ? normalizeTags([...b.tags, tag]) : b.tags.filter(t => normalizeTag(t) !== tag)
+            }, 'edit'));
+            persist(putBlocks(changed));
+            refreshEmbeddings(changed);
+            return changed.length;
+        });
+        input.value = '';
+        renderBlocks();
+    },
+
+    copySelection: () => {
+        const blocks = selectedBlocks();
+        navigator.clipboard.writeText(blocks.map(copyText).filter(Boolean).join('\n\n'));
+        showToast(`Copied ${blocks.length} block${blocks.length === 1 ? '' : 's'}`);
+    },
+
+    // A backup holding only the selected blocks and the channels they are in; import it with Merge
+    exportSelection: async () => {
+        const blocks = selectedBlocks();
+        const channelIds = new Set(blocks.flatMap(b => b.channelIds));
+        try {
+            await downloadBackup({ channels: state.channels.filter(c => channelIds.has(c.id)), blocks, insights: [] }, "my_stash_selection.json");
+        } catch(e) {
+            console.error("Export failed", e);
+            showToast(`Export failed: ${e.message}`);
+        }
+    },
+
+    deleteSelection: () => {
+        const blocks = selectedBlocks();
+        mutate(`Moved ${blocks.length} block${blocks.length === 1 ? '' : 's'} to Trash`, () => trashBlocks(blocks));
+        selectedIds.clear();
+        renderChannels();
+        renderBlocks();
+    },
+
+    openTrash: () => {
+        renderTrash();
+        document.getElementById('trash-modal').classList.remove('hidden');
+    },
+
+    // Restored blocks go back to the channels that still exist, or to the Inbox
+    restoreFromTrash: (id) => {
+        const entry = state.trash.find(t => t.id === id);
+        if(!entry) return;
+        mutate(`Restored "${trashLabel(entry)}"`, () => {
+            purgeTrash([entry]);
+            if(entry.kind === 'block') {
+                const channelIds = entry.record.channelIds.filter(cid => state.channels.some(c => c.id === cid));
+                const b = { ...entry.record, channelIds: channelIds.length ? channelIds : [INBOX_ID] };
+                const at = state.blocks.findIndex(x => x.createdAt < b.createdAt);
+                state.blocks.splice(at === -1 ? state.blocks.length : at, 0, b);
+                persist(putBlocks([b]));
+                refreshEmbeddings([b]);
+            } else {
+                const c = entry.record;
+                const at = state.channels.findIndex(x => x.createdAt > c.createdAt);
+                state.channels.splice(at === -1 ? state.channels.length : at, 0, c);
+                const members = state.blocks.filter(b => entry.memberIds.includes(b.id));
+                members.forEach(b => {
+                    const rest = entry.movedToInbox.includes(b.id) ? b.channelIds.filter(x => x !== INBOX_ID) : b.channelIds;
+                    b.channelIds = [...new Set([...rest, c.id])];
+                });
+                persist(putChannels([c]));
+                persist(putBlocks(members));
+            }
+        });
+        renderChannels();
+        renderBlocks();
+        renderTrash();
+    },
+
+    deleteForever: (id) => {
+        const entry = state.trash.find(t => t.id === id);
+        if(!entry) return;
+        mutate(`Deleted "${trashLabel(entry)}" forever`, () => purgeTrash([entry]));
+        renderChannels();
+        renderTrash();
+    },
+
+    emptyTrash: () => {
+        if(!state.trash.length) return;
+        mutate(`Emptied Trash (${state.trash.length} items)`, () => purgeTrash([...state.trash]));
+        renderChannels();
+        renderTrash();
+    },
+
+    undo: () => {
+        const entry = history.undo();
+        if(!entry) { showToast('Nothing to undo'); return; }
+        travel(entry, 'before');
+        showToast(`Undone: ${entry.label}`, 'Redo', app.redo);
+    },
 
-        document.getElementById('ai-preview').classList.add('hidden');
-        modal.classList.remove('hidden');
+    redo: () => {
+        const entry = history.redo();
+        if(!entry) { showToast('Nothing to redo'); return; }
+        travel(entry, 'after');
+        showToast(`Redone: ${entry.label}`, 'Undo', app.undo);
     },
 
-    clearImage: () => {
-        document.getElementById('add-content').value = '';
-        document.getElementById('image-preview-container').classList.add('hidden');
-        document.getElementById('add-content').classList.remove('hidden');
-        document.querySelector(`button[data-type="${BlockType.TEXT}"]`).click();
-        document.getElementById('add-content').focus();
+    openBackfillModal: () => {
+        if(!isConfigured(state.ai)) { app.openSettingsModal(); return; }
+        if(!aiReachable()) { showToast('AI is unavailable offline'); return; }
+        const select = document.getElementById('backfill-scope');
+        select.innerHTML = `<option value="">Whole stash</option>` +
+            state.channels.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(channelLabel(c))}</option>`).join('');
+        select.value = state.activeChannelId || '';
+        document.getElementById('backfill-overwrite').checked = false;
+        app.updateBackfillCount();
+        document.getElementById('backfill-modal').classList.remove('hidden');
     },
 
-    closeModals: () => {
-        document.getElementById('add-modal').classList.add('hidden');
-        document.getElementById('api-modal').classList.add('hidden');
-        state.editingBlockId = null;
+    updateBackfillCount: () => {
+        const scope = document.getElementById('backfill-scope').value || null;
+        const overwrite = document.getElementById('backfill-overwrite').checked;
+        const count = state.blocks.filter(b => inChannel(b, scope) && (overwrite || needsTagging(b))).length;
+        document.getElementById('backfill-count').textContent = `${count} block${count === 1 ? '' : 's'} will be analyzed.`;
     },
 
-    analyzeCurrentInput: async () => {
-        const typeBtn = document.querySelector('#type-selector .bg-white');
-        const type = typeBtn ? typeBtn.dataset.type : 'text';
-        const content = document.getElementById('add-content').value;
+    startBackfill: () => {
+        if(backfillJob) { alert('A tagging job is already running.'); return; }
+        const scope = document.getElementById('backfill-scope').value || null;
+        const overwrite = document.getElementById('backfill-overwrite').checked;
+        const ids = state.blocks.filter(b => inChannel(b, scope) && (overwrite || needsTagging(b))).map(b => b.id);
+        app.closeModals();
+        if(!ids.length) return;
+
+        let renderTimer = null;
+        // The whole job is one undo step, recorded when it ends
+        const changes = [];
+        backfillJob = createTaskQueue({
+            concurrency: 2,
+            retries: 3,
+            baseDelay: 2000,
+            isRateLimited: isRateLimitError,
+            onUpdate: renderJobPanel,
+            worker: async (id, { isCancelled }) => {
+                const b = state.blocks.find(x => x.id === id);
+                if(!b) return; // deleted while queued
+                if(!aiReachable()) throw new Error('AI is unavailable offline');
+                const result = await analyzeBlockContent(b.content, b.type, b.extractedText || b.fileName);
+                // analyzeContent reports failures as an 'error' tag; throwing makes the queue retry
+                if(result.error) throw result.error;
+                if(isCancelled() || !state.blocks.includes(b)) return;
+                const before = copyRecord(b);
+                if(!reviseBlock(b, analysisChanges(b, result, overwrite), 'ai')) return;
+                changes.push({ store: 'blocks', id: b.id, before, after: copyRecord(b), index: 0 });
+                persist(putBlocks([b]));
+                refreshEmbeddings([b]);
+                clearTimeout(renderTimer);
+                renderTimer = setTimeout(renderBlocks, 250);
+            }
+        });
+        backfillJob.add(ids);
+        backfillJob.done().then(() => {
+            backfillJob = null;
+            if(changes.length) history.push({ label: `Tagged ${changes.length} block${changes.length === 1 ? '' : 's'}`, changes });
+            renderBlocks();
+        });
+    },
 
-        if(!content || type === BlockType.IMAGE) return;
+    toggleBackfillPause: () => {
+        if(!backfillJob) return;
+        if(backfillJob.status().paused) backfillJob.resume();
+        else backfillJob.pause();
+    },
 
-        const btn = document.getElementById('btn-analyze');
-        const originalHtml = btn.innerHTML;
-        btn.innerHTML = `<i data-lucide="loader-2" class="animate-spin w-3 h-3"></i> Thinking...`;
-        lucide.createIcons();
+    // Cancels a running job, or dismisses the panel of a finished one
+    cancelBackfill: () => {
+        if(backfillJob) backfillJob.cancel();
+        else document.getElementById('job-panel').classList.add('hidden');
+    },
 
-        const result = await analyzeContent(content, type);
-        
-        // Auto-fill the manual fields
-        document.getElementById('edit-title').value = result.title || '';
-        document.getElementById('edit-desc').value = result.summary || '';
-        document.getElementById('edit-tags').value = result.tags ? result.tags.join(', ') : '';
+    cancelDrop: () => {
+        if(dropJob) dropJob.cancel();
+        else document.getElementById('drop-panel').classList.add('hidden');
+    },
 
-        // Show mini preview
-        const preview = document.getElementById('ai-preview');
-        preview.classList.remove('hidden');
-        document.getElementById('ai-preview-title').textContent = result.title;
-        document.getElementById('ai-preview-summary').textContent = result.summary;
-        document.getElementById('ai-preview-tags').innerHTML = result.tags.map(t=>`<span class="bg-neutral-900 border border-neutral-700 px-1 text-[10px] uppercase">#${t}</span>`).join('');
-        
-        btn.innerHTML = originalHtml;
+    // New blocks go to the suggested channel; blocks being edited get connected to it
+    acceptChannelSuggestion: (channelId) => {
+        if(state.editingBlockId) app.connectBlock(state.editingBlockId, channelId);
+        else document.getElementById('add-channel').value = channelId;
+        document.getElementById('channel-suggestion').classList.add('hidden');
+    },
+
+    openOrganizeInbox: async () => {
+        const list = document.getElementById('organize-list');
+        list.innerHTML = `<div class="text-neutral-500 text-xs flex items-center gap-2"><i data-lucide="loader-2" class="animate-spin w-3 h-3"></i> Grouping Inbox blocks…</div>`;
+        document.getElementById('organize-modal').classList.remove('hidden');
         lucide.createIcons();
+
+        const inbox = state.blocks.filter(b => b.channelIds.includes(INBOX_ID));
+        await refreshEmbeddings(inbox);
+        const embedder = getEmbedder();
+        const profiles = channelProfiles(state.blocks.filter(b => !b.channelIds.includes(INBOX_ID)), state.channels, vectorIndex, embedder.id);
+        const clusters = proposeInboxClusters(inbox, profiles, vectorIndex, embedder.id);
+
+        // Let the model name the proposed new channels when one is configured
+        const unnamed = clusters.filter(c => !c.channelId);
+        const groups = [...new Set(state.channels.map(c => c.vertical).filter(Boolean))];
+        const names = await nameClusters(
+            getAI(),
+            unnamed.map(c => c.blockIds.map(id => state.blocks.find(b => b.id === id))),
+            groups,
+            unnamed.map(c => c.proposedName)
+        );
+        unnamed.forEach((c, i) => { c.proposedName = names[i]; });
+
+        // Lone blocks with no matching channel are left in the Inbox unless picked explicitly
+        organizeProposal = clusters.map(c => ({ ...c, include: !!c.channelId || c.blockIds.length > 1 }));
+        renderOrganizeProposal();
     },
 
-    submitNewBlock: () => {
-        const typeBtn = document.querySelector('#type-selector .bg-white');
-        const type = typeBtn ? typeBtn.dataset.type : 'text';
-        const content = document.getElementById('add-content').value;
+    updateOrganizeCluster: (i, field, value) => {
+        if(!organizeProposal || !organizeProposal[i]) return;
+        organizeProposal[i][field] = value;
+        if(field === 'channelId') renderOrganizeProposal();
+    },
 
-        if(!content) return;
+    applyOrganize: () => {
+        if(!organizeProposal) return;
+        const changedChannels = [];
+        const changedBlocks = [];
+        let moved = 0;
+        const summary = () => `Moved ${moved} block${moved === 1 ? '' : 's'} out of the Inbox` +
+            (changedChannels.length ? ` into ${changedChannels.length} new channel${changedChannels.length === 1 ? '' : 's'}` : '');
 
-        // Gather manual fields
-        const title = document.getElementById('edit-title').value;
-        const description = document.getElementById('edit-desc').value;
-        const tagsStr = document.getElementById('edit-tags').value;
-        const tags = tagsStr.split(',').map(t => t.trim()).filter(t => t);
+        mutate(summary, () => {
+            organizeProposal.filter(c => c.include).forEach(cluster => {
+                let channelId = cluster.channelId;
+                if(!channelId) {
+                    const name = (cluster.proposedName || '').trim();
+                    if(!name) return;
+                    const parsed = parseChannelName(name);
+                    const existing = state.channels.find(c => channelLabel(c).toLowerCase() === channelLabel(parsed).toLowerCase());
+                    if(existing) channelId = existing.id;
+                    else {
+                        const newC = { id: newId('c'), ...parsed, slug: uniqueSlug(parsed.title, state.channels), order: nextOrder(state.channels), createdAt: Date.now() };
+                        state.channels.push(newC);
+                        changedChannels.push(newC);
+                        channelId = newC.id;
+                    }
+                }
+                cluster.blockIds.forEach(id => {
+                    const b = state.blocks.find(x => x.id === id);
+                    if(!b) return;
+                    b.channelIds = [...new Set([...b.channelIds.filter(x => x !== INBOX_ID), channelId])];
+                    changedBlocks.push(b);
+                    moved++;
+                });
+            });
+            if(changedChannels.length) persist(putChannels(changedChannels));
+            if(changedBlocks.length) persist(putBlocks(changedBlocks));
+        });
 
-        if (state.editingBlockId) {
-            // UPDATE EXISTING
-            const idx = state.blocks.findIndex(b => b.id === state.editingBlockId);
-            if(idx !== -1) {
-                state.blocks[idx] = {
-                    ...state.blocks[idx],
-                    type,
-                    content,
-                    title,
-                    description,
-                    tags
-                };
-            }
-        } else {
-            // CREATE NEW
-            const newBlock = {
-                id: `b_${Date.now()}`,
-                createdAt: Date.now(),
-                type,
-                content,
-                channelId: state.activeChannelId || (state.channels[0] ? state.channels[0].id : null),
-                title,
-                description,
-                tags
-            };
-            state.blocks.unshift(newBlock);
-        }
-        
-        saveState();
-        renderBlocks();
         app.closeModals();
+        renderChannels();
+        renderBlocks();
     },
 
-    deleteBlock: (id) => {
-        if(confirm('Remove this block?')) {
-            state.blocks = state.blocks.filter(b => b.id !== id);
-            saveState();
+    toggleSearchMode: () => {
+        searchMode = searchMode === 'semantic' ? 'keyword' : 'semantic';
+        const btn = document.getElementById('btn-search-mode');
+        btn.textContent = searchMode === 'semantic' ? 'Semantic' : 'Keyword';
+        btn.classList.toggle('text-purple-400', searchMode === 'semantic');
+        if (searchMode === 'semantic') embedSearchQuery();
+        else renderBlocks();
+    },
+
+    toggleRelated: (id) => {
+        if (expandedRelated.has(id)) expandedRelated.delete(id);
+        else expandedRelated.add(id);
+        renderBlocks();
+    },
+
+    // Scrolls to a block, leaving the current channel and search if they hide it
+    focusBlock: (id) => {
+        const b = state.blocks.find(x => x.id === id);
+        if (!b) return;
+        app.closeModals();
+        const search = document.getElementById('search-input');
+        if (search.value) {
+            search.value = '';
+            semanticQuery = { text: '', vector: null, embedderId: null };
             renderBlocks();
         }
+        if (!inChannel(b, state.activeChannelId)) app.setChannel(null);
+        const el = document.getElementById(`block-${id}`);
+        if (!el) return;
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        el.classList.add('ring-2', 'ring-purple-500');
+        setTimeout(() => el.classList.remove('ring-2', 'ring-purple-500'), 1500);
+    },
+
+    /* Command Palette */
+    openPalette: () => {
+        app.closeModals();
+        const input = document.getElementById('palette-input');
+        input.value = '';
+        paletteIndex = 0;
+        renderPalette();
+        document.getElementById('palette-modal').classList.remove('hidden');
+        input.focus();
+    },
+
+    highlightPaletteItem: (i) => {
+        if (i === paletteIndex) return;
+        paletteIndex = i;
+        renderPalette();
+    },
+
+    runPaletteItem: (i) => {
+        const item = paletteItems[i];
+        if (!item) return;
+        app.closeModals();
+        item.run();
+    },
+
+    openConnectModal: (id) => {
+        const b = state.blocks.find(x => x.id === id);
+        if(!b) return;
+        const list = document.getElementById('connect-channel-list');
+        list.innerHTML = '';
+        state.channels.forEach(c => {
+            const connected = b.channelIds.includes(c.id);
+            const btn = document.createElement('button');
+            btn.className = `w-full text-left px-3 py-2 text-xs flex justify-between items-center border transition-colors ${connected ? 'border-white text-white' : 'border-neutral-800 text-neutral-500 hover:text-white'}`;
+            btn.textContent = channelLabel(c);
+            const mark = document.createElement('span');
+            mark.textContent = connected ? 'Connected' : '';
+            mark.className = "uppercase font-bold text-[10px]";
+            btn.appendChild(mark);
+            btn.onclick = () => {
+                if(connected) app.disconnectBlock(id, c.id);
+                else app.connectBlock(id, c.id);
+                app.openConnectModal(id);
+            };
+            list.appendChild(btn);
+        });
+        document.getElementById('connect-modal').classList.remove('hidden');
+    },
+
+    connectBlock: (id, channelId) => {
+        const b = state.blocks.find(x => x.id === id);
+        if(!b || b.channelIds.includes(channelId)) return;
+        mutate('Connected block', () => {
+            b.channelIds = [...b.channelIds, channelId];
+            persist(putBlocks([b]));
+        });
+        renderChannels();
+        renderBlocks();
+    },
+
+    // A block always keeps at least one membership: disconnecting the last one moves it to the Inbox
+    disconnectBlock: (id, channelId) => {
+        const b = state.blocks.find(x => x.id === id);
+        if(!b || !b.channelIds.includes(channelId)) return;
+        if(channelId === INBOX_ID && b.channelIds.length === 1) return;
+        mutate('Disconnected block', () => {
+            const rest = b.channelIds.filter(x => x !== channelId);
+            b.channelIds = rest.length ? rest : [INBOX_ID];
+            persist(putBlocks([b]));
+        });
+        renderChannels();
+        renderBlocks();
+    },
+
+    copyCode: (id) => {
+        const b = state.blocks.find(x => x.id === id);
+        if(!b) return;
+        navigator.clipboard.writeText(fencedCode(b));
+        showToast('Copied as code');
+    },
+
+    toggleMarkdown: (id) => {
+        const b = state.blocks.find(x => x.id === id);
+        if(!b || (b.type !== BlockType.TEXT && b.type !== BlockType.MARKDOWN)) return;
+        const type = b.type === BlockType.TEXT ? BlockType.MARKDOWN : BlockType.TEXT;
+        mutate(type === BlockType.MARKDOWN ? 'Rendering block as Markdown' : 'Showing block as plain text', () => {
+            if(reviseBlock(b, { type }, 'edit')) persist(putBlocks([b]));
+        });
+        renderBlocks();
     },
 
-    copyBlock: (id) => {
+    copyBlock: async (id) => {
         const b = state.blocks.find(x => x.id === id);
         if(b) {
-            navigator.clipboard.writeText(b.content);
-            alert('Copied to clipboard');
+            navigator.clipboard.writeText(b.type === BlockType.ATTACHMENT ? b.extractedText || b.fileName : await imageDataUrl(b.content));
+            showToast('Copied to clipboard');
         }
     },
 
@@ -594,12 +3165,13 @@ const app = {
         const btn = document.getElementById('btn-connect');
         const txt = document.getElementById('connect-text');
         
-        if(!state.apiKey) { app.openApiKeyModal(); return; }
+        if(!isConfigured(state.ai)) { app.openSettingsModal(); return; }
+        if(!aiReachable()) { showToast('AI is unavailable offline'); return; }
 
         const originalText = txt.textContent;
         txt.textContent = 'Thinking...';
         
-        const currentBlocks = state.blocks.filter(b => !state.activeChannelId || b.channelId === state.activeChannelId);
+        const currentBlocks = state.blocks.filter(b => inChannel(b, state.activeChannelId));
         
         if(currentBlocks.length < 2) {
             alert('Need at least 2 blocks to find connections.');
@@ -607,12 +3179,66 @@ const app = {
             return;
         }
 
-        const insight = await findConnections(currentBlocks);
-        
-        document.getElementById('insight-banner').classList.remove('hidden');
-        document.getElementById('insight-text').textContent = insight;
-        
+        const result = await findConnections(getAI(), currentBlocks);
         txt.textContent = originalText;
+
+        if(result.error || !result.text) {
+            alert(result.error || 'No connection found this time. Try again.');
+            return;
+        }
+
+        const insight = {
+            id: newId('in'),
+            channelId: state.activeChannelId,
+            text: result.text,
+            blockIds: result.blockIds,
+            createdAt: Date.now()
+        };
+        mutate('Saved insight', () => {
+            state.insights.unshift(insight);
+            persist(putInsights([insight]));
+        });
+        showInsightBanner(insight);
+        lucide.createIcons();
+    },
+
+    openInsightHistory: () => {
+        renderInsightHistory();
+        document.getElementById('insights-modal').classList.remove('hidden');
+    },
+
+    deleteInsight: (id) => {
+        mutate('Deleted insight', () => {
+            state.insights = state.insights.filter(i => i.id !== id);
+            persist(deleteInsights([id]));
+        });
+        renderInsightHistory();
+    },
+
+    // Keeps an insight as a text block in the channel it was found in
+    insightToBlock: (id) => {
+        const ins = state.insights.find(i => i.id === id);
+        if(!ins) return;
+        const cited = ins.blockIds.map(bid => state.blocks.find(b => b.id === bid)).filter(Boolean);
+        const newBlock = {
+            id: newId('b'),
+            createdAt: Date.now(),
+            type: BlockType.TEXT,
+            content: ins.text,
+            channelIds: [ins.channelId && state.channels.some(c => c.id === ins.channelId) ? ins.channelId : INBOX_ID],
+            title: 'Insight',
+            description: cited.length ? `Draws on: ${cited.map(b => b.title || blockText(b).slice(0, 40)).join('; ')}` : '',
+            tags: ['insight']
+        };
+        mutate('Saved insight as block', () => {
+            state.blocks.unshift(newBlock);
+            persist(putBlocks([newBlock]));
+        });
+        refreshEmbeddings([newBlock]);
+        app.closeModals();
+        renderChannels();
+        renderBlocks();
+        app.focusBlock(newBlock.id);
     },
 
     toggleMobileSidebar: () => {
@@ -622,25 +3248,484 @@ const app = {
         sb.classList.toggle('inset-0');
     },
 
-    openApiKeyModal: () => {
-        document.getElementById('api-key-input').value = state.apiKey;
+    openSettingsModal: () => {
+        const select = document.getElementById('ai-provider');
+        select.innerHTML = Object.entries(PROVIDERS).map(([id, p]) => `<option value="${id}">${p.label}</option>`).join('');
+        select.value = state.ai.provider;
+        document.getElementById('ai-endpoint').value = state.ai.endpoint;
+        document.getElementById('ai-model').value = state.ai.model;
+        document.getElementById('ai-embedding-model').value = state.ai.embeddingModel;
+        document.getElementById('api-key-input').value = state.ai.apiKey;
+        app.updateSettingsForm();
         document.getElementById('api-modal').classList.remove('hidden');
     },
 
-    saveApiKey: () => {
-        const key = document.getElementById('api-key-input').value.trim();
-        state.apiKey = key;
-        localStorage.setItem('gemini_api_key', key);
+    // Shows only the fields the chosen provider uses, with its defaults as placeholders
+    updateSettingsForm: () => {
+        const def = PROVIDERS[document.getElementById('ai-provider').value];
+        document.getElementById('ai-endpoint-row').classList.toggle('hidden', !def.endpoint);
+        document.getElementById('ai-key-row').classList.toggle('hidden', !def.usesKey);
+        document.getElementById('ai-model-rows').classList.toggle('hidden', !def.embeddingModel);
+        document.getElementById('ai-endpoint').placeholder = def.endpoint || '';
+        document.getElementById('ai-model').placeholder = def.model || '';
+        document.getElementById('ai-embedding-model').placeholder = def.embeddingModel || '';
+    },
+
+    saveSettings: () => {
+        state.ai = {
+            provider: document.getElementById('ai-provider').value,
+            endpoint: document.getElementById('ai-endpoint').value.trim(),
+            model: document.getElementById('ai-model').value.trim(),
+            embeddingModel: document.getElementById('ai-embedding-model').value.trim(),
+            apiKey: document.getElementById('api-key-input').value.trim()
+        };
+        saveAISettings();
+        app.closeModals();
+        renderChannels();
+        renderAIAvailability();
+        // A different provider may mean a different embedder, so stale vectors get rebuilt
+        refreshEmbeddings(state.blocks);
+    },
+
+    openLockModal: () => {
+        const on = isLockEnabled();
+        ['lock-current', 'lock-new', 'lock-repeat'].forEach(id => { document.getElementById(id).value = ''; });
+        document.getElementById('lock-after').value = String(autoLockMinutes);
+        document.getElementById('lock-intro').textContent = on
+            ? 'Your stash and AI key are encrypted with your passphrase. To change it, enter the current passphrase and a new one.'
+            : 'Encrypts your stash and the AI key with a passphrase, and locks after a while without use. Something shared to the installed app waits unencrypted until the app next opens. A forgotten passphrase cannot be recovered, so keep a backup.';
+        document.getElementById('lock-current-row').classList.toggle('hidden', !on);
+        document.getElementById('lock-new-label').textContent = on ? 'New passphrase (optional)' : 'Passphrase';
+        document.getElementById('btn-lock-off').classList.toggle('hidden', !on);
+        document.getElementById('btn-lock-now').classList.toggle('hidden', !on);
+        document.getElementById('btn-lock-save').textContent = on ? 'Save' : 'Turn on';
+        showLockError('');
+        document.getElementById('lock-modal').classList.remove('hidden');
+    },
+
+    saveLockSettings: async () => {
+        const [current, next, repeat] = ['lock-current', 'lock-new', 'lock-repeat'].map(id => document.getElementById(id).value);
+        const on = isLockEnabled();
+        if((next || !on) && next.length < MIN_PASSPHRASE) return showLockError(`Use at least ${MIN_PASSPHRASE} characters`);
+        if(next !== repeat) return showLockError("The passphrases don't match");
+        const buttons = document.querySelectorAll('#lock-modal button');
+        buttons.forEach(b => { b.disabled = true; });
+        showLockError('');
+        try {
+            if(!on) {
+                await enableLock(next);
+                saveAISettings();
+            } else if(next) {
+                await changePassphrase(current, next);
+            }
+            autoLockMinutes = Number(document.getElementById('lock-after').value);
+            persist(setMeta('autoLockMinutes', autoLockMinutes));
+            app.closeModals();
+            showToast(!on ? 'Passphrase lock on' : next ? 'Passphrase changed' : 'Lock settings saved');
+        } catch(e) {
+            console.error("Lock settings failed", e);
+            showLockError(e.message);
+        } finally {
+            buttons.forEach(b => { b.disabled = false; });
+        }
+    },
+
+    turnOffLock: async () => {
+        const buttons = document.querySelectorAll('#lock-modal button');
+        buttons.forEach(b => { b.disabled = true; });
+        try {
+            await disableLock(document.getElementById('lock-current').value);
+            saveAISettings();
+            app.closeModals();
+            showToast('Passphrase lock off');
+        } catch(e) {
+            console.error("Turning off the lock failed", e);
+            showLockError(e.message);
+        } finally {
+            buttons.forEach(b => { b.disabled = false; });
+        }
+    },
+
+    lock: async () => {
+        if(!isLockEnabled()) return app.openLockModal();
+        await lockStorage().catch(showStorageError);
+        location.reload();
+    },
+
+    unlock: async () => {
+        const input = document.getElementById('unlock-passphrase');
+        const errorEl = document.getElementById('unlock-error');
+        const button = document.getElementById('btn-unlock');
+        button.disabled = true;
+        errorEl.classList.add('hidden');
+        try {
+            await unlockStorage(input.value);
+            input.value = '';
+            document.getElementById('lock-screen').classList.add('hidden');
+            document.getElementById('loading-message').classList.remove('hidden');
+            unlockResolver();
+        } catch(e) {
+            errorEl.textContent = e.message;
+            errorEl.classList.remove('hidden');
+            input.select();
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    openCaptureModal: () => {
+        const select = document.getElementById('capture-channel');
+        select.innerHTML = sortChannels(state.channels).map(c => `<option value="${escapeHtml(c.slug)}">${escapeHtml(channelLabel(c))}</option>`).join('');
+        select.value = (state.channels.find(c => c.id === INBOX_ID) || {}).slug || '';
+        app.updateBookmarklet();
+        document.getElementById('install-row').classList.toggle('hidden', !installPrompt);
+        document.getElementById('capture-modal').classList.remove('hidden');
+    },
+
+    updateBookmarklet: () => {
+        const channel = document.getElementById('capture-channel').value;
+        const inbox = state.channels.find(c => c.id === INBOX_ID);
+        document.getElementById('capture-bookmarklet').href = bookmarkletHref(inbox && inbox.slug === channel ? '' : channel);
+    },
+
+    installApp: async () => {
+        if(!installPrompt) return;
+        installPrompt.prompt();
+        await installPrompt.userChoice;
+        installPrompt = null;
+        document.getElementById('install-row').classList.add('hidden');
+    },
+
+    openSyncModal: () => {
+        document.getElementById('sync-url').value = syncSettings.url;
+        document.getElementById('sync-token').value = syncSettings.token;
+        document.getElementById('sync-error').classList.add('hidden');
+        const { pending, lastSynced } = syncStatus;
+        document.getElementById('sync-info').textContent = `This device: ${deviceId || 'unknown'}.` +
+            (syncSettings.url ? ` ${pending} change${pending === 1 ? '' : 's'} waiting.${lastSynced ? ` Last synced ${new Date(lastSynced).toLocaleString()}.` : ''}` : '');
+        document.getElementById('sync-modal').classList.remove('hidden');
+    },
+
+    saveSyncSettings: async () => {
+        const url = document.getElementById('sync-url').value.trim();
+        const token = document.getElementById('sync-token').value.trim();
+        const errorEl = document.getElementById('sync-error');
+        if(!url) return app.disableSync();
+        try { new URL(url); } catch(e) {
+            errorEl.textContent = 'Enter the full server address, such as http://localhost:8787';
+            errorEl.classList.remove('hidden');
+            return;
+        }
+        // A different server starts from scratch: pull all of it, push all of this
+        if(url !== syncSettings.url) {
+            syncCursor = 0;
+            persist(setMeta('syncCursor', 0));
+            await markAllChangesDirty().catch(showStorageError);
+        }
+        syncSettings = { url, token };
+        persist(setMeta('syncSettings', syncSettings));
+        app.closeModals();
+        syncNow();
+    },
+
+    disableSync: () => {
+        syncSettings = { url: '', token: '' };
+        persist(setMeta('syncSettings', syncSettings));
+        app.closeModals();
+        syncNow();
+    },
+
+    openExportModal: (scope = state.activeChannelId ? `channel:${state.activeChannelId}` : '') => {
+        const groups = [...new Set(state.channels.flatMap(c => (c.vertical || '').split('/').filter(Boolean)
+            .map((_, i, parts) => parts.slice(0, i + 1).join('/'))))].sort();
+        const select = document.getElementById('export-scope');
+        document.getElementById('export-passphrase').value = '';
+        select.innerHTML = `<option value="">Whole stash</option>` +
+            groups.map(g => `<option value="group:${escapeHtml(g)}">Group: ${escapeHtml(g)}</option>`).join('') +
+            sortChannels(state.channels).map(c => `<option value="channel:${escapeHtml(c.id)}">${escapeHtml(channelLabel(c))}</option>`).join('');
+        select.value = scope;
+        if(select.selectedIndex === -1) select.value = '';
+        app.updateExportCount();
+        document.getElementById('export-modal').classList.remove('hidden');
+    },
+
+    exportEditedChannel: () => {
+        const id = editingChannelId;
         app.closeModals();
+        app.openExportModal(`channel:${id}`);
+    },
+
+    updateExportCount: () => {
+        const { channels, blocks } = exportScope(document.getElementById('export-scope').value);
+        document.getElementById('export-count').textContent =
+            `${blocks.length} block${blocks.length === 1 ? '' : 's'} in ${channels.length} channel${channels.length === 1 ? '' : 's'}.`;
+    },
+
+    exportChannels: async (format) => {
+        const scope = exportScope(document.getElementById('export-scope').value);
+        const buttons = document.querySelectorAll('#export-modal button');
+        const name = slugify(scope.title) || 'stash';
+        buttons.forEach(b => { b.disabled = true; });
+        try {
+            if(format === 'backup') {
+                await downloadBackup({ channels: scope.channels, blocks: scope.blocks, insights: scope.everything ? state.insights : [] },
+                    scope.everything ? "my_stash_backup.json" : `${name}_backup.json`, document.getElementById('export-passphrase').value);
+            } else {
+                const assets = await exportAssets(scope, { site: format === 'site' });
+                const files = format === 'site' ? buildSite({ ...scope, assets }) : buildMarkdownBundle({ ...scope, assets });
+                downloadBlob(await createZip(files), `${name}-${format === 'site' ? 'website' : 'markdown'}.zip`);
+            }
+            app.closeModals();
+        } catch(e) {
+            console.error("Export failed", e);
+            showToast(`Export failed: ${e.message}`);
+        } finally {
+            buttons.forEach(b => { b.disabled = false; });
+        }
+    },
+
+    openImportModal: () => {
+        pendingImport = null;
+        encryptedImport = null;
+        document.getElementById('import-file').value = '';
+        ['import-error', 'import-summary', 'import-conflicts', 'import-unlock'].forEach(id => document.getElementById(id).classList.add('hidden'));
+        // An import that is still running keeps its progress on show
+        if(!sourceImporting) {
+            pendingSourceImport = null;
+            document.getElementById('source-preview').classList.add('hidden');
+        }
+        document.getElementById('btn-import-replace').disabled = true;
+        document.getElementById('btn-import-merge').disabled = true;
+        document.getElementById('import-modal').classList.remove('hidden');
+    },
+
+    readImportFile: async (e) => {
+        const file = e.target.files[0];
+        pendingImport = null;
+        encryptedImport = null;
+        ['import-error', 'import-summary', 'import-conflicts', 'import-unlock'].forEach(id => document.getElementById(id).classList.add('hidden'));
+        document.getElementById('btn-import-replace').disabled = true;
+        document.getElementById('btn-import-merge').disabled = true;
+        if(!file) return;
+
+        const text = await file.text();
+        if(isEncryptedBackup(text)) {
+            encryptedImport = text;
+            document.getElementById('import-passphrase').value = '';
+            document.getElementById('import-unlock').classList.remove('hidden');
+            document.getElementById('import-passphrase').focus();
+            return;
+        }
+        await previewImport(text);
+    },
+
+    decryptImport: async () => {
+        const errorEl = document.getElementById('import-error');
+        if(!encryptedImport) return;
+        errorEl.classList.add('hidden');
+        let text;
+        try {
+            text = await decryptBackup(encryptedImport, document.getElementById('import-passphrase').value);
+        } catch(err) {
+            errorEl.textContent = err.message;
+            errorEl.classList.remove('hidden');
+            return;
+        }
+        encryptedImport = null;
+        document.getElementById('import-unlock').classList.add('hidden');
+        await previewImport(text);
+    },
+
+    resolveAllImportConflicts: (choice) => {
+        if(!pendingImport) return;
+        Object.keys(pendingImport.resolutions).forEach(k => { pendingImport.resolutions[k] = choice; });
+        renderImportPreview();
+    },
+
+    applyImport: async (mode) => {
+        if(!pendingImport) return;
+        const { data, resolutions } = pendingImport;
+        let message;
+
+        try {
+            if(mode === 'replace') {
+                const channels = data.channels.length ? await storeInlineImages(data.channels) : DEFAULT_CHANNELS;
+                // A backup without channels falls back to the defaults, which its blocks don't belong to
+                const blocks = await storeInlineImages(fixMemberships(data.blocks, channels));
+                await replaceStash({ channels, blocks, insights: data.insights });
+                vectorIndex.clear();
+                message = `Replaced stash with ${data.channels.length} channels and ${data.blocks.length} blocks`;
+                mutate(message, () => {
+                    state.channels = channels;
+                    state.blocks = blocks;
+                    state.insights = data.insights;
+                    ensureInbox();
+                });
+            } else {
+                const merged = mergeBackup(state, data, resolutions);
+                const blocks = await storeInlineImages(merged.blocks);
+                merged.channels = await storeInlineImages(merged.channels);
+                await putChannels(merged.channels);
+                await putBlocks(blocks);
+                await putInsights(merged.insights);
+                const { added, updated, skipped } = merged.stats;
+                message = `Import complete: ${added} added, ${updated} updated, ${skipped} skipped`;
+                mutate(message, () => {
+                    state.channels = merged.channels;
+                    state.blocks = blocks;
+                    state.insights = merged.insights;
+                    ensureInbox();
+                });
+            }
+        } catch(e) {
+            showStorageError(e);
+            return;
+        }
+
+        if(state.activeChannelId && !state.channels.some(c => c.id === state.activeChannelId)) state.activeChannelId = null;
+        persist(setMeta('activeChannelId', state.activeChannelId));
         renderChannels();
+        renderBlocks();
+        app.closeModals();
+        refreshEmbeddings(state.blocks);
     },
 
-    exportData: () => {
-        const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(state));
-        const a = document.createElement('a');
-        a.href = dataStr;
-        a.download = "my_stash_backup.json";
-        a.click();
+    readSourceFile: async (source, input) => {
+        const files = [...input.files];
+        input.value = '';
+        if(!files.length || sourceImporting) return;
+        const errorEl = document.getElementById('import-error');
+        const box = document.getElementById('source-preview');
+        pendingSourceImport = null;
+        errorEl.classList.add('hidden');
+        box.classList.remove('hidden');
+        box.textContent = `Reading ${SOURCES[source].name.toLowerCase()}…`;
+
+        try {
+            pendingSourceImport = planSourceImport(source, await SOURCES[source].read(files));
+            renderSourcePreview();
+        } catch(err) {
+            box.classList.add('hidden');
+            errorEl.textContent = err.message;
+            errorEl.classList.remove('hidden');
+        }
+    },
+
+    // Adds the previewed items as blocks, creating the channels they name. The whole import is one undo step.
+    applySourceImport: async () => {
+        if(!pendingSourceImport || sourceImporting) return;
+        const { fresh, duplicates } = pendingSourceImport;
+        const connect = !!document.getElementById('source-connect')?.checked;
+        const status = document.getElementById('source-status');
+        sourceImporting = true;
+        document.getElementById('btn-source-import').disabled = true;
+
+        const changes = [];
+        const added = [];
+        const connected = new Set();
+        const channelIds = new Map();
+        let processed = 0;
+
+        // Folders and Are.na channels map onto channels of the same name, made when missing
+        const channelFor = (path) => {
+            if(!path) return INBOX_ID;
+            if(channelIds.has(path)) return channelIds.get(path);
+            let c = findChannelByName(path);
+            if(!c) {
+                const parsed = parseChannelName(path);
+                c = { id: newId('c'), ...parsed, slug: uniqueSlug(parsed.title, state.channels), order: nextOrder(state.channels), createdAt: Date.now() };
+                state.channels.push(c);
+                changes.push({ store: 'channels', id: c.id, before: null, after: copyRecord(c), index: state.channels.length - 1 });
+                persist(putChannels([c]));
+            }
+            channelIds.set(path, c.id);
+            return c.id;
+        };
+
+        const connectTo = (b, channelId) => {
+            if(!connect || channelId === INBOX_ID || b.channelIds.includes(channelId)) return;
+            const before = copyRecord(b);
+            b.channelIds.push(channelId);
+            changes.push({ store: 'blocks', id: b.id, before, after: copyRecord(b), index: state.blocks.indexOf(b) });
+            connected.add(b);
+        };
+
+        // Resolves to the new block, or null for an image that turned out to be stashed already
+        const buildBlock = async (item) => {
+            const channelId = channelFor(item.channel);
+            if(item.file) {
+                const twin = item.type === BlockType.IMAGE && findImage(await hashBlob(item.file));
+                if(twin) { connectTo(twin, channelId); return null; }
+                return Object.assign(await blockFromFile(item.file, channelId), { title: item.title, createdAt: item.createdAt });
+            }
+            const b = {
+                id: newId('b'),
+                createdAt: item.createdAt,
+                type: item.type,
+                content: item.content,
+                channelIds: [channelId],
+                title: item.title,
+                description: item.description,
+                tags: normalizeTags(item.tags)
+            };
+            if(item.language) b.language = item.language;
+            if(item.imageUrl) {
+                try {
+                    const res = await fetch(item.imageUrl);
+                    if(!res.ok) throw new Error(`HTTP ${res.status}`);
+                    const blob = await res.blob();
+                    const twin = findImage(await hashBlob(blob));
+                    if(twin) { connectTo(twin, channelId); return null; }
+                    Object.assign(b, await ingestImage(blob));
+                } catch(e) {
+                    // Kept pointing at the original, which shows for as long as it is online
+                    console.error("Could not download image", item.imageUrl, e);
+                    b.content = item.imageUrl;
+                }
+            }
+            return b;
+        };
+
+        duplicates.forEach(({ item, block }) => connectTo(block, channelFor(item.channel)));
+        const chunks = [];
+        for(let i = 0; i < fresh.length; i += IMPORT_CHUNK) chunks.push(fresh.slice(i, i + IMPORT_CHUNK));
+        const job = createTaskQueue({
+            concurrency: 2,
+            retries: 0,
+            worker: async (items) => {
+                const blocks = [];
+                for(const item of items) {
+                    try {
+                        const b = await buildBlock(item);
+                        if(b) {
+                            state.blocks.unshift(b);
+                            changes.push({ store: 'blocks', id: b.id, before: null, after: copyRecord(b), index: 0 });
+                            blocks.push(b);
+                        }
+                    } catch(e) { console.error("Could not import", item.title, e); }
+                    processed++;
+                }
+                added.push(...blocks);
+                if(blocks.length) persist(putBlocks(blocks));
+                status.textContent = `Importing ${processed} of ${fresh.length}…`;
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        });
+        job.add(chunks);
+        await job.done();
+
+        if(connected.size) persist(putBlocks([...connected]));
+        sourceImporting = false;
+        pendingSourceImport = null;
+        if(changes.length) {
+            const label = added.length ? `Imported ${added.length} block${added.length === 1 ? '' : 's'}` : 'Connected stashed blocks';
+            history.push({ label, changes });
+            showToast(label, 'Undo', app.undo);
+        }
+        app.closeModals();
+        renderChannels();
+        renderBlocks();
+        refreshEmbeddings(added);
     }
 };
 
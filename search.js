@@ -0,0 +1,190 @@
+import { paletteMatches } from "./colors.js";
+
+/* --- QUERY LANGUAGE ---
+ * Free words and "quoted phrases" are matched against title, tags, description, content and text found in images.
+ * Filters: tag:css  type:link  channel:snippets  before:2026-01-01  after:2025-06-01  color:red  color:#1a2b3c
+ * Prefix any term or filter with `-` to exclude it.
+ */
+const FILTER_KEYS = ['tag', 'type', 'channel', 'before', 'after', 'color'];
+const TOKEN_RE = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+// Field weights used for ranking
+const FIELDS = { title: 4, tags: 3, description: 2, content: 1, extractedText: 1 };
+
+export const parseQuery = (input) => {
+    const query = { terms: [], phrases: [], filters: [], exclude: { terms: [], phrases: [], filters: [] } };
+    for (const [, neg, rawKey, phrase, word] of (input || '').matchAll(TOKEN_RE)) {
+        const target = neg ? query.exclude : query;
+        const key = rawKey && rawKey.toLowerCase();
+        const value = (phrase !== undefined ? phrase : word || '').trim().toLowerCase();
+        if (key && FILTER_KEYS.includes(key)) {
+            // A date that doesn't parse is dropped, rather than matching (or, negated, excluding) every block
+            if (value && ((key !== 'before' && key !== 'after') || parseDate(value) !== null)) target.filters.push({ key, value });
+        } else {
+            // Unknown "key:value" pairs are treated as plain text
+            const text = rawKey ? `${rawKey.toLowerCase()}:${value}` : value;
+            if (!text) continue;
+            if (phrase !== undefined || /\s/.test(text)) target.phrases.push(text);
+            else target.terms.push(text);
+        }
+    }
+    return query;
+};
+
+export const isEmptyQuery = (q) =>
+    !q.terms.length && !q.phrases.length && !q.filters.length &&
+    !q.exclude.terms.length && !q.exclude.phrases.length && !q.exclude.filters.length;
+
+/* --- MATCHING --- */
+const tokenize = (text) => (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Levenshtein distance with an early exit once `max` is exceeded
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            rowMin = Math.min(rowMin, cur[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prev = cur;
+    }
+    return prev[b.length];
+};
+
+const typoBudget = (term) => term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+
+// Scores one term against one token: exact beats prefix beats a close typo
+const termScore = (term, token) => {
+    if (token === term) return 1;
+    if (token.startsWith(term)) return 0.7;
+    const budget = typoBudget(term);
+    if (budget && editDistance(term, token, budget) <= budget) return 0.4;
+    return 0;
+};
+
+const blockFields = (b) => ({
+    title: b.title || '',
+    tags: (b.tags || []).join(' '),
+    description: b.description || '',
+    content: b.type === 'image' ? '' : b.type === 'attachment' ? (b.fileName || '') : (b.content || ''),
+    extractedText: b.extractedText || ''
+});
+
+const parseDate = (value) => {
+    const t = Date.parse(value);
+    return Number.isNaN(t) ? null : t;
+};
+
+const matchesFilter = (b, { key, value }, channels) => {
+    switch (key) {
+        case 'tag': return (b.tags || []).some(t => t.toLowerCase() === value);
+        case 'type': return b.type === value;
+        case 'channel': return channels
+            .filter(c => c.slug === value || c.title.toLowerCase() === value || c.id === value ||
+                (c.vertical && `${c.vertical}/${c.title}`.toLowerCase() === value))
+            .some(c => (b.channelIds || []).includes(c.id));
+        case 'before': return b.createdAt < parseDate(value);
+        case 'after': return b.createdAt >= parseDate(value);
+        case 'color': return paletteMatches(b.colors, value);
+        default: return true;
+    }
+};
+
+/**
+ * Scores a block against a parsed query. Returns null when the block does not match,
+ * otherwise `{ score, highlights }` where highlights are the words and phrases that matched.
+ */
+export const matchBlock = (b, q, { channels = [] } = {}) => {
+    if (!q.filters.every(f => matchesFilter(b, f, channels))) return null;
+    if (q.exclude.filters.some(f => matchesFilter(b, f, channels))) return null;
+
+    const fields = blockFields(b);
+    const lower = Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, v.toLowerCase()]));
+    const tokens = Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, tokenize(v)]));
+    const allText = Object.values(lower).join('\n');
+    const allTokens = Object.values(tokens).flat();
+
+    if (q.exclude.phrases.some(p => allText.includes(p))) return null;
+    if (q.exclude.terms.some(t => allTokens.includes(t))) return null;
+
+    let score = 0;
+    const highlights = new Set();
+
+    for (const phrase of q.phrases) {
+        const hit = Object.keys(FIELDS).filter(f => lower[f].includes(phrase));
+        if (!hit.length) return null;
+        hit.forEach(f => { score += FIELDS[f] * 1.5; });
+        highlights.add(phrase);
+    }
+
+    // Every free term has to match somewhere; its best hit per field counts towards the score
+    for (const term of q.terms) {
+        let best = 0;
+        for (const f of Object.keys(FIELDS)) {
+            let fieldBest = 0;
+            for (const token of tokens[f]) {
+                const s = termScore(term, token);
+                if (s > 0) highlights.add(token);
+                if (s > fieldBest) fieldBest = s;
+            }
+            if (!fieldBest && lower[f].includes(term)) fieldBest = 0.5;
+            score += fieldBest * FIELDS[f];
+            best = Math.max(best, fieldBest);
+        }
+        if (!best) return null;
+        if (lower.content.includes(term) || lower.title.includes(term)) highlights.add(term);
+    }
+
+    return { score, highlights: [...highlights] };
+};
+
+// The name a block is sorted by: its title, else the start of its text
+const sortName = (b) => (b.title || (b.type === 'image' ? b.extractedText : b.type === 'attachment' ? b.fileName : b.content) || '').trim().toLowerCase();
+
+const blockOrder = ({ sortBy, manualOrder = [] }) => {
+    const newest = (a, b) => b.createdAt - a.createdAt;
+    switch (sortBy) {
+        case 'updated': return (a, b) => (b.updatedAt || b.createdAt) - (a.updatedAt || a.createdAt);
+        // Untitled blocks without text go last
+        case 'title': return (a, b) => (!sortName(a) - !sortName(b)) || sortName(a).localeCompare(sortName(b)) || newest(a, b);
+        // Blocks that were never placed (new ones) come first
+        case 'manual': {
+            const rank = new Map(manualOrder.map((id, i) => [id, i]));
+            return (a, b) => (rank.get(a.id) ?? -1) - (rank.get(b.id) ?? -1) || newest(a, b);
+        }
+        default: return newest;
+    }
+};
+
+/**
+ * Filters and ranks blocks. Without free text they are ordered by `sortBy`: 'created' (newest
+ * first, the default), 'updated' (last edited first), 'title', or 'manual', following the ids in `manualOrder`.
+ */
+export const searchBlocks = (blocks, q, ctx = {}) => {
+    const results = [];
+    blocks.forEach(block => {
+        const m = matchBlock(block, q, ctx);
+        if (m) results.push({ block, ...m });
+    });
+    const ranked = q.terms.length || q.phrases.length;
+    const order = blockOrder(ctx);
+    return results.sort((a, b) => (ranked ? b.score - a.score : 0) || order(a.block, b.block));
+};
+
+/* --- HIGHLIGHTING --- */
+export const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Escapes `text` for HTML and wraps every highlight in <mark>
+export const highlight = (text, highlights = []) => {
+    if (!highlights.length) return escapeHtml(text);
+    const re = new RegExp(`(${[...highlights].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`, 'gi');
+    return String(text ?? '').split(re).map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)).join('');
+};
@@ -0,0 +1,172 @@
+/* --- REFERENCE SYNC SERVER ---
+ * A small server the app can sync through, with no dependencies beyond Node 18+:
+ *
+ *   SYNC_TOKEN=secret node server/sync-server.js
+ *
+ * Then enter http://localhost:8787 and the token under "Sync" in the app's sidebar. Settings come
+ * from the environment:
+ *   SYNC_TOKEN    required; every request needs "Authorization: Bearer <token>"
+ *   HOST, PORT    where to listen (127.0.0.1:8787); set HOST=0.0.0.0 to reach it from other devices
+ *   SYNC_ORIGINS  comma-separated origins the app is served from, the only pages allowed to call the
+ *                 server (the dev and preview servers, http://localhost:5173 and :4173)
+ *   SYNC_DATA     where records and images are kept (./sync-data)
+ *
+ * Records are merged field by field with the same code the app uses (sync.js). Each stored change
+ * gets a sequence number; clients pull everything after the last number they saw.
+ */
+import { createServer } from 'node:http';
+import { mkdir, readFile, writeFile, rename, stat } from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import { join } from 'node:path';
+import { SYNCED_STORES, mergeChanges, hasValidIds } from '../sync.js';
+import { isValidId } from '../types.js';
+
+const HOST = process.env.HOST || '127.0.0.1';
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = process.env.SYNC_DATA || './sync-data';
+const TOKEN = process.env.SYNC_TOKEN || '';
+const ORIGINS = (process.env.SYNC_ORIGINS || 'http://localhost:5173,http://localhost:4173').split(',').map(o => o.trim()).filter(Boolean);
+const PAGE_SIZE = 500;
+const MAX_JSON = 20 * 1024 * 1024;
+const MAX_IMAGE = 100 * 1024 * 1024;
+const DB_FILE = join(DATA_DIR, 'records.json');
+const IMAGE_DIR = join(DATA_DIR, 'images');
+
+// { seq, records: { "store:id": change with its `seq` }, images: { id: content type } }
+let db = { seq: 0, records: {}, images: {} };
+
+/* --- PERSISTENCE --- */
+let saving = Promise.resolve();
+
+// Written to a temporary file first, so a crash never leaves half a database behind
+const save = () => {
+    saving = saving.then(async () => {
+        await writeFile(`${DB_FILE}.tmp`, JSON.stringify(db));
+        await rename(`${DB_FILE}.tmp`, DB_FILE);
+    });
+    return saving;
+};
+
+const load = async () => {
+    await mkdir(IMAGE_DIR, { recursive: true });
+    try {
+        db = JSON.parse(await readFile(DB_FILE, 'utf8'));
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+};
+
+/* --- HTTP --- */
+// Only the app's own origins may read responses; other pages get no CORS headers at all
+const corsHeaders = (req) => !ORIGINS.includes(req.headers.origin) ? {} : {
+    'Access-Control-Allow-Origin': req.headers.origin,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    Vary: 'Origin'
+};
+
+const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { ...corsHeaders(res.req), 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req, limit) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > limit) { reject(Object.assign(new Error('Request too large'), { status: 413 })); req.destroy(); return; }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Malformed JSON is a SyntaxError, answered with 400 below; valid JSON that isn't an object is one too
+const readJson = async (req) => {
+    const body = JSON.parse((await readBody(req, MAX_JSON)).toString('utf8'));
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw badRequest('Expected a JSON object');
+    return body;
+};
+
+const isChange = (c) => c && SYNCED_STORES.includes(c.store) && typeof c.id === 'string' && c.fields && typeof c.fields === 'object' &&
+    Object.values(c.fields).every(f => Array.isArray(f) && f.length === 2 && typeof f[1] === 'string') &&
+    (c.deleted === null || c.deleted === undefined || typeof c.deleted === 'string') && hasValidIds(c);
+
+/* --- ROUTES --- */
+const pullChanges = (res, since) => {
+    const changes = Object.values(db.records).filter(r => r.seq > since).sort((a, b) => a.seq - b.seq);
+    const page = changes.slice(0, PAGE_SIZE);
+    const more = changes.length > PAGE_SIZE;
+    send(res, 200, { changes: page, seq: more ? page[page.length - 1].seq : db.seq, more });
+};
+
+const pushChanges = async (req, res) => {
+    const { changes } = await readJson(req);
+    if (!Array.isArray(changes) || !changes.every(isChange)) return send(res, 400, { error: 'Expected { changes: [...] }' });
+    let changed = 0;
+    changes.forEach(change => {
+        const key = `${change.store}:${change.id}`;
+        const { seq, ...current } = db.records[key] || {};
+        const merged = mergeChanges(db.records[key] ? current : null, { store: change.store, id: change.id, fields: change.fields, deleted: change.deleted || null });
+        if (JSON.stringify(merged) === JSON.stringify(current)) return;
+        db.records[key] = { ...merged, seq: ++db.seq };
+        changed++;
+    });
+    if (changed) await save();
+    send(res, 200, { seq: db.seq, changed });
+};
+
+const missingImages = async (req, res) => {
+    const { ids } = await readJson(req);
+    if (!Array.isArray(ids)) return send(res, 400, { error: 'Expected { ids: [...] }' });
+    send(res, 200, { missing: ids.filter(id => isValidId(id) && !db.images[id]) });
+};
+
+const putImage = async (req, res, id) => {
+    const body = await readBody(req, MAX_IMAGE);
+    await writeFile(join(IMAGE_DIR, id), body);
+    db.images[id] = req.headers['content-type'] || 'application/octet-stream';
+    await save();
+    send(res, 204);
+};
+
+const getImage = async (res, id) => {
+    if (!db.images[id]) return send(res, 404, { error: 'No such image' });
+    const { size } = await stat(join(IMAGE_DIR, id));
+    res.writeHead(200, { ...corsHeaders(res.req), 'Content-Type': db.images[id], 'Content-Length': size });
+    createReadStream(join(IMAGE_DIR, id)).pipe(res);
+};
+
+const handle = async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: 'Unauthorized' });
+    const url = new URL(req.url, 'http://localhost');
+    const image = url.pathname.match(/^\/images\/([^/]+)$/);
+
+    if (url.pathname === '/changes' && req.method === 'GET') return pullChanges(res, Number(url.searchParams.get('since')) || 0);
+    if (url.pathname === '/changes' && req.method === 'POST') return pushChanges(req, res);
+    if (url.pathname === '/images/missing' && req.method === 'POST') return missingImages(req, res);
+    if (image) {
+        let id;
+        try { id = decodeURIComponent(image[1]); } catch (e) { id = null; }
+        if (!isValidId(id)) return send(res, 400, { error: 'Bad image id' });
+        if (req.method === 'PUT') return putImage(req, res, id);
+        if (req.method === 'GET') return getImage(res, id);
+    }
+    send(res, 404, { error: 'Not found' });
+};
+
+// Without a token any page or device that can reach the server could read and rewrite the stash
+if (!TOKEN) {
+    console.error('Set SYNC_TOKEN to a secret of your choice: SYNC_TOKEN=... npm run sync-server');
+    process.exit(1);
+}
+
+await load();
+createServer((req, res) => handle(req, res).catch((e) => {
+    console.error(e);
+    if (!res.headersSent) send(res, e.status || (e instanceof SyntaxError ? 400 : 500), { error: e.message });
+})).listen(PORT, HOST, () => console.log(`Sync server listening on http://${HOST}:${PORT}, data in ${DATA_DIR}`));
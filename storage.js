@@ -0,0 +1,599 @@
+import { BlockType, withChannelIds } from "./types.js";
+import { SYNCED_STORES, newId, createClock, hasValidIds, changedFields, toChange, fromChange, mergeChanges, isDeleted, hasNewer } from "./sync.js";
+import { createDataKey, wrapDataKey, unwrapDataKey, sealValue, openValue, sealBlob, openBlob } from "./vault.js";
+
+/* --- INDEXEDDB STORAGE --- */
+const DB_NAME = 'my_stash';
+const LEGACY_KEY = 'my_stash_v1';
+export const IMAGE_REF_PREFIX = 'stash-image:';
+
+// Schema migrations, one per version: MIGRATIONS[n] upgrades version n to n + 1.
+// Never edit a migration that has shipped; append a new one instead.
+const MIGRATIONS = [
+    // v1: separate stores for blocks, channels, image binaries and app metadata
+    (db) => {
+        db.createObjectStore('blocks', { keyPath: 'id' });
+        db.createObjectStore('channels', { keyPath: 'id' });
+        db.createObjectStore('images', { keyPath: 'id' });
+        db.createObjectStore('meta', { keyPath: 'key' });
+    },
+    // v2: blocks can be connected to several channels (channelId -> channelIds)
+    (db, tx) => {
+        tx.objectStore('blocks').openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            cursor.update(withChannelIds(cursor.value));
+            cursor.continue();
+        };
+    },
+    // v3: local vector index for semantic search, keyed by block id
+    (db) => {
+        db.createObjectStore('embeddings', { keyPath: 'blockId' });
+    },
+    // v4: saved Connect insights
+    (db) => {
+        db.createObjectStore('insights', { keyPath: 'id' });
+    },
+    // v5: deleted blocks and channels, kept until restored or purged
+    (db) => {
+        db.createObjectStore('trash', { keyPath: 'id' });
+    },
+    // v6: earlier versions of edited blocks, looked up by block
+    (db) => {
+        db.createObjectStore('revisions', { keyPath: 'id' }).createIndex('blockId', 'blockId');
+    },
+    // v7: the sync ledger, one entry per synced record; `dirty` (1 or 0, booleans can't be indexed) marks unpushed changes
+    (db) => {
+        db.createObjectStore('changes', { keyPath: 'key' }).createIndex('dirty', 'dirty');
+    }
+];
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+let db = null;
+const imageUrls = new Map(); // image ref -> object URL
+let clock = null; // stamps local edits for sync, set up once the device id is known
+let onTrackedWrite = () => {};
+let lock = null; // the lock record while a passphrase protects the stash
+let cipher = null; // its data key, once unlocked
+
+/* --- ERRORS --- */
+const ERROR_MESSAGES = {
+    quota: 'Storage is full. Delete some images or export a backup to free up space.',
+    unavailable: 'Storage is unavailable in this browser (private mode?). Changes will not be saved.',
+    blocked: 'Storage is being upgraded in another tab. Close other My Stash tabs and reload.',
+    failed: 'Could not save your changes.',
+    locked: 'The stash is locked. Unlock it to read or save changes.'
+};
+
+const storageError = (kind, cause) => {
+    const err = new Error(ERROR_MESSAGES[kind]);
+    err.kind = kind;
+    err.cause = cause;
+    return err;
+};
+
+const isQuotaError = (e) => !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+
+const toStorageError = (e) => {
+    if (e && e.kind) return e;
+    return storageError(isQuotaError(e) ? 'quota' : 'failed', e);
+};
+
+/* --- HELPERS --- */
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+// Runs `fn` inside one transaction; resolves once the transaction has committed.
+const transaction = (stores, mode, fn) => new Promise((resolve, reject) => {
+    if (!db) return reject(storageError('unavailable'));
+    let tx;
+    try { tx = db.transaction(stores, mode); } catch(e) { return reject(toStorageError(e)); }
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(toStorageError(tx.error));
+    tx.onabort = () => reject(toStorageError(tx.error));
+    new Promise(r => r(fn(tx))).then(r => { result = r; }, (e) => {
+        console.error("Storage transaction failed", e);
+        try { tx.abort(); } catch(_) { /* already finished */ }
+    });
+});
+
+// Writes run one at a time, in the order they were made (see SEALING for why they have to)
+let queue = Promise.resolve();
+const serially = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+};
+
+const newImageId = () => newId('i');
+
+export const isImageRef = (content) => typeof content === 'string' && content.startsWith(IMAGE_REF_PREFIX);
+
+// Fields that may point at a stored binary: a block's content, an attachment's page preview,
+// an image's grid thumbnail and kept original, and a channel's cover
+const BLOB_FIELDS = ['content', 'preview', 'thumbnail', 'original', 'cover'];
+
+// Only image and attachment blocks keep a binary in `content`; a text block's content is text whatever it starts with
+export const blobFields = (b) => b.type === BlockType.IMAGE || b.type === BlockType.ATTACHMENT ? BLOB_FIELDS : BLOB_FIELDS.filter(f => f !== 'content');
+
+export const blockImageRefs = (b) => blobFields(b).map(f => b[f]).filter(isImageRef);
+
+const refToId = (ref) => ref.slice(IMAGE_REF_PREFIX.length);
+
+export const isDataUrl = (value) => typeof value === 'string' && /^data:[\w.+-]+\/[\w.+-]+(;[\w=-]+)*(;base64)?,/.test(value);
+
+const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+const cacheImage = (id, blob) => {
+    const ref = IMAGE_REF_PREFIX + id;
+    if (imageUrls.has(ref)) URL.revokeObjectURL(imageUrls.get(ref));
+    imageUrls.set(ref, URL.createObjectURL(blob));
+    return ref;
+};
+
+// Inline data-URL images become separate image records so blocks only carry a short ref.
+const extractImages = async (blocks) => {
+    const images = [];
+    const out = await Promise.all(blocks.map(async b => {
+        const inline = blobFields(b).filter(f => isDataUrl(b[f]));
+        if (!inline.length) return b;
+        const refs = await Promise.all(inline.map(async f => {
+            const id = newImageId();
+            images.push({ id, blob: await dataUrlToBlob(b[f]) });
+            return [f, IMAGE_REF_PREFIX + id];
+        }));
+        return { ...b, ...Object.fromEntries(refs) };
+    }));
+    return { blocks: out, images };
+};
+
+/* --- SEALING ---
+ * With a passphrase lock on, records are stored as `{ id, sealed }`, keeping in the clear only what
+ * keys and indexes need. WebCrypto can't run inside an IndexedDB transaction (it commits as soon as
+ * no request is pending), so records are sealed before a write transaction starts and opened after
+ * a read one has finished.
+ */
+const PLAIN_FIELDS = {
+    blocks: ['id'], channels: ['id'], insights: ['id'], trash: ['id'],
+    revisions: ['id', 'blockId'], embeddings: ['blockId'], meta: ['key'], images: ['id']
+};
+const LOCK_KEY = 'lock';
+
+const seal = async (store, record) => {
+    if (!lock || (store === 'meta' && record.key === LOCK_KEY)) return record;
+    if (!cipher) throw storageError('locked');
+    const plain = Object.fromEntries(PLAIN_FIELDS[store].map(f => [f, record[f]]));
+    return { ...plain, sealed: store === 'images' ? await sealBlob(cipher, record.blob) : await sealValue(cipher, record) };
+};
+
+// Plain records pass through, so a stash that was only partly sealed or opened still reads
+const unseal = async (store, record) => {
+    if (!record || !record.sealed) return record;
+    if (!cipher) throw storageError('locked');
+    return store === 'images' ? { id: record.id, blob: await openBlob(cipher, record.sealed) } : openValue(cipher, record.sealed);
+};
+
+const unsealAll = (store, records) => Promise.all(records.map(r => unseal(store, r)));
+
+const getAll = async (store) => unsealAll(store, await transaction([store], 'readonly', (tx) => request(tx.objectStore(store).getAll())));
+
+/* --- LIFECYCLE --- */
+export const openStorage = () => new Promise((resolve, reject) => {
+    if (!window.indexedDB) return reject(storageError('unavailable'));
+    let req;
+    try { req = indexedDB.open(DB_NAME, SCHEMA_VERSION); } catch(e) { return reject(storageError('unavailable', e)); }
+
+    req.onupgradeneeded = (e) => {
+        for (let v = e.oldVersion; v < SCHEMA_VERSION; v++) MIGRATIONS[v](req.result, req.transaction);
+    };
+    req.onblocked = () => reject(storageError('blocked'));
+    req.onsuccess = () => {
+        db = req.result;
+        // Another tab wants to upgrade the schema: step aside instead of blocking it
+        db.onversionchange = () => { db.close(); db = null; };
+        resolve();
+    };
+    req.onerror = () => reject(storageError('unavailable', req.error));
+});
+
+// One-off move of the old single-key localStorage stash into IndexedDB.
+const importLegacyStash = async () => {
+    const raw = localStorage.getItem(LEGACY_KEY);
+    if (!raw) return;
+
+    let legacy;
+    try { legacy = JSON.parse(raw); } catch(e) { console.error("Legacy stash is corrupt, leaving it in place", e); return; }
+
+    const { blocks, images } = await extractImages((legacy.blocks || []).map(withChannelIds));
+    await transaction(['blocks', 'channels', 'images', 'meta'], 'readwrite', (tx) => {
+        (legacy.channels || []).forEach(c => tx.objectStore('channels').put(c));
+        blocks.forEach(b => tx.objectStore('blocks').put(b));
+        images.forEach(img => tx.objectStore('images').put(img));
+        if (legacy.activeChannelId !== undefined) tx.objectStore('meta').put({ key: 'activeChannelId', value: legacy.activeChannelId });
+    });
+    localStorage.removeItem(LEGACY_KEY);
+};
+
+export const loadStash = async () => {
+    await importLegacyStash();
+    const stores = ['blocks', 'channels', 'images', 'meta', 'insights', 'trash'];
+    const stored = await transaction(stores, 'readonly', (tx) => Promise.all(stores.map(name => request(tx.objectStore(name).getAll()))));
+    const [blocks, channels, images, meta, insights, trash] = await Promise.all(stored.map((records, i) => unsealAll(stores[i], records)));
+    images.forEach(img => cacheImage(img.id, img.blob));
+    const stash = {
+        blocks: blocks.sort((a, b) => b.createdAt - a.createdAt),
+        channels: channels.sort((a, b) => a.createdAt - b.createdAt),
+        insights: insights.sort((a, b) => b.createdAt - a.createdAt),
+        trash: trash.sort((a, b) => b.deletedAt - a.deletedAt),
+        meta: Object.fromEntries(meta.filter(m => m.key !== LOCK_KEY).map(m => [m.key, m.value]))
+    };
+    if (!stash.meta.deviceId) {
+        stash.meta.deviceId = newId('d');
+        await setMeta('deviceId', stash.meta.deviceId);
+    }
+    clock = createClock(stash.meta.deviceId);
+    await seedChanges(stash);
+    return stash;
+};
+
+// Read-only fallback when IndexedDB cannot be opened, so existing data stays visible.
+export const readLegacyStash = () => {
+    const raw = localStorage.getItem(LEGACY_KEY);
+    if (!raw) return null;
+    try { return JSON.parse(raw); } catch(e) { console.error("State load error", e); return null; }
+};
+
+/* --- PASSPHRASE LOCK --- */
+// Whether a passphrase protects the stash; asked once storage is open, before loading it
+export const loadLock = async () => {
+    const record = await transaction(['meta'], 'readonly', (tx) => request(tx.objectStore('meta').get(LOCK_KEY)));
+    lock = record ? record.value : null;
+    return !!lock;
+};
+
+export const isLockEnabled = () => !!lock;
+
+// Rejects with a "Wrong passphrase" error
+export const unlockStorage = async (passphrase) => { cipher = await unwrapDataKey(lock, passphrase); };
+
+// Forgets the data key once the writes already made are stored
+export const lockStorage = () => serially(() => { cipher = null; });
+
+const writeLock = (value) => transaction(['meta'], 'readwrite', (tx) => {
+    if (value) tx.objectStore('meta').put({ key: LOCK_KEY, value });
+    else tx.objectStore('meta').delete(LOCK_KEY);
+});
+
+// Rewrites every record the way the current lock wants it, a few at a time so all images are
+// never held in memory at once
+const RESEAL_BATCH = 50;
+const resealAll = async () => {
+    for (const store of Object.keys(PLAIN_FIELDS)) {
+        const keys = await transaction([store], 'readonly', (tx) => request(tx.objectStore(store).getAllKeys()));
+        for (let i = 0; i < keys.length; i += RESEAL_BATCH) {
+            const batch = keys.slice(i, i + RESEAL_BATCH);
+            const records = await transaction([store], 'readonly', (tx) => Promise.all(batch.map(k => request(tx.objectStore(store).get(k)))));
+            const resealed = await Promise.all(records.filter(Boolean).map(async r => seal(store, await unseal(store, r))));
+            await transaction([store], 'readwrite', (tx) => { resealed.forEach(r => tx.objectStore(store).put(r)); });
+        }
+    }
+};
+
+// The lock record is stored before anything is sealed and removed after everything is opened, so
+// a switch that is cut short leaves a stash that still reads
+export const enableLock = (passphrase) => serially(async () => {
+    const { key, lock: record } = await createDataKey(passphrase);
+    await writeLock(record);
+    lock = record;
+    cipher = key;
+    await resealAll();
+});
+
+export const disableLock = (passphrase) => serially(async () => {
+    const record = lock;
+    await unwrapDataKey(record, passphrase);
+    lock = null;
+    try {
+        await resealAll();
+        await writeLock(null);
+    } catch(e) {
+        lock = record;
+        throw e;
+    }
+    cipher = null;
+});
+
+// Only the data key is re-wrapped; the records stay as they are
+export const changePassphrase = (current, next) => serially(async () => {
+    const record = await wrapDataKey(await unwrapDataKey(lock, current, true), next);
+    await writeLock(record);
+    lock = record;
+});
+
+/* --- CHANGE TRACKING ---
+ * Writes to synced stores also update the record's ledger entry in the same transaction: the
+ * fields that changed get a new stamp and the entry is marked dirty until it has been pushed.
+ * Dirty entries are the offline queue; they wait in IndexedDB until the server can be reached.
+ */
+const ledgerKey = (store, id) => `${store}:${id}`;
+
+// Reads what a write of `{ id, record }` pairs to `store` needs and seals the records; the function it
+// resolves to puts them, or deletes the ids whose record is null, stamping what changed with `stamp`
+const planTracked = async (store, writes, stamp) => {
+    const [stored, entries] = await transaction([store, 'changes'], 'readonly', (tx) => Promise.all([
+        Promise.all(writes.map(w => request(tx.objectStore(store).get(w.id)))),
+        Promise.all(writes.map(w => request(tx.objectStore('changes').get(ledgerKey(store, w.id)))))
+    ]));
+    const befores = await unsealAll(store, stored);
+    const sealed = await Promise.all(writes.map(w => w.record && seal(store, w.record)));
+    return (tx) => writes.forEach(({ id, record: after }, i) => {
+        const [before, entry] = [befores[i], entries[i]];
+        if (after) tx.objectStore(store).put(sealed[i]);
+        else tx.objectStore(store).delete(id);
+        const changed = after ? changedFields(before, after) : [];
+        if (!changed.length && (after || !before)) return;
+        const stamps = { ...(entry && entry.stamps) };
+        changed.forEach(f => { stamps[f] = stamp; });
+        // A deletion leaves the field stamps alone: it only counts while it is later than all of them
+        tx.objectStore('changes').put({ key: ledgerKey(store, id), store, id, stamps, deleted: after ? (entry && entry.deleted) || null : stamp, dirty: 1, rev: ((entry && entry.rev) || 0) + 1 });
+    });
+};
+
+// Records from before sync, or written around the ledger (the legacy import), get an entry stamped
+// with the time they were last edited, so edits made since on other devices win over them
+const seedChanges = ({ blocks, channels, insights, trash }) => transaction(['changes'], 'readwrite', async (tx) => {
+    const known = new Set(await request(tx.objectStore('changes').getAllKeys()));
+    Object.entries({ blocks, channels, insights, trash }).forEach(([store, records]) => records.forEach(r => {
+        const key = ledgerKey(store, r.id);
+        if (known.has(key)) return;
+        const stamp = clock.at(r.updatedAt || r.createdAt || r.deletedAt || 0);
+        const stamps = Object.fromEntries(changedFields(null, r).map(f => [f, stamp]));
+        tx.objectStore('changes').put({ key, store, id: r.id, stamps, deleted: null, dirty: 1, rev: 1 });
+    }));
+});
+
+// `fn` runs after every committed write that sync has to send
+export const onLocalChange = (fn) => { onTrackedWrite = fn; };
+
+// Everything goes out again, for a server that has never seen this stash
+export const markAllChangesDirty = () => transaction(['changes'], 'readwrite', async (tx) => {
+    (await request(tx.objectStore('changes').getAll())).forEach(e => tx.objectStore('changes').put({ ...e, dirty: 1 }));
+});
+
+export const countPendingChanges = () => transaction(['changes'], 'readonly', (tx) => request(tx.objectStore('changes').index('dirty').count(1)));
+
+// Up to `limit` unpushed changes as `{ change, rev }`
+export const loadPendingChanges = async (limit) => {
+    const [entries, records] = await transaction(['changes', ...SYNCED_STORES], 'readonly', async (tx) => {
+        const dirty = await request(tx.objectStore('changes').index('dirty').getAll(1, limit));
+        return [dirty, await Promise.all(dirty.map(e => request(tx.objectStore(e.store).get(e.id))))];
+    });
+    return Promise.all(entries.map(async (e, i) => ({
+        change: toChange(e.store, e.id, await unseal(e.store, records[i]), e),
+        rev: e.rev
+    })));
+};
+
+// Clears the dirty mark of pushed changes that weren't edited again meanwhile. A pushed deletion's
+// entry is dropped: the server keeps the tombstone.
+export const markChangesPushed = (pushed) => transaction(['changes'], 'readwrite', async (tx) => {
+    await Promise.all(pushed.map(async ({ change, rev }) => {
+        const key = ledgerKey(change.store, change.id);
+        const entry = await request(tx.objectStore('changes').get(key));
+        if (!entry || entry.rev !== rev) return;
+        if (isDeleted(change)) tx.objectStore('changes').delete(key);
+        else tx.objectStore('changes').put({ ...entry, dirty: 0 });
+    }));
+});
+
+/**
+ * Merges changes pulled from the server into the local records, field by field. Entries stay dirty
+ * only while they hold something the server hasn't seen. Resolves to what changed locally:
+ * `{ put: [{ store, record }], deleted: [{ store, id }] }`.
+ */
+export const applyRemoteChanges = (changes) => serially(async () => {
+    const remotes = changes.filter(c => SYNCED_STORES.includes(c.store) && hasValidIds(c));
+    const [stored, entries] = await transaction(['changes', ...SYNCED_STORES], 'readonly', (tx) => Promise.all([
+        Promise.all(remotes.map(c => request(tx.objectStore(c.store).get(c.id)))),
+        Promise.all(remotes.map(c => request(tx.objectStore('changes').get(ledgerKey(c.store, c.id)))))
+    ]));
+    const result = { put: [], deleted: [] };
+    const writes = await Promise.all(remotes.map(async (remote, i) => {
+        const [record, entry] = [await unseal(remote.store, stored[i]), entries[i]];
+        Object.values(remote.fields).forEach(([, stamp]) => clock.observe(stamp));
+        if (remote.deleted) clock.observe(remote.deleted);
+        const local = entry ? toChange(remote.store, remote.id, record, entry) : null;
+        const merged = mergeChanges(local, remote);
+        const after = fromChange(merged);
+        const ledger = {
+            key: ledgerKey(remote.store, remote.id), store: remote.store, id: remote.id,
+            stamps: Object.fromEntries(Object.entries(merged.fields).map(([f, [, stamp]]) => [f, stamp])),
+            deleted: merged.deleted,
+            dirty: local && hasNewer(local, remote) ? 1 : 0,
+            rev: ((entry && entry.rev) || 0) + 1
+        };
+        if (!after) {
+            if (!record) return { ledger };
+            result.deleted.push({ store: remote.store, id: remote.id });
+            return { ledger, remove: true };
+        }
+        if (!changedFields(record, after).length) return { ledger };
+        result.put.push({ store: remote.store, record: after });
+        return { ledger, put: await seal(remote.store, after) };
+    }));
+    await transaction(['changes', ...SYNCED_STORES], 'readwrite', (tx) => writes.forEach(({ ledger, put, remove }) => {
+        tx.objectStore('changes').put(ledger);
+        if (put) tx.objectStore(ledger.store).put(put);
+        if (remove) tx.objectStore(ledger.store).delete(ledger.id);
+    }));
+    return result;
+});
+
+/* --- RECORDS --- */
+const putAll = (store, items, stamp) => serially(async () => {
+    if (!SYNCED_STORES.includes(store)) {
+        const sealed = await Promise.all(items.map(item => seal(store, item)));
+        return transaction([store], 'readwrite', (tx) => { sealed.forEach(r => tx.objectStore(store).put(r)); });
+    }
+    // One write is one edit: everything in it shares a stamp
+    const write = await planTracked(store, items.map(item => ({ id: item.id, record: item })), stamp || clock.now());
+    await transaction([store, 'changes'], 'readwrite', write);
+    onTrackedWrite();
+});
+
+const deleteAll = (store, ids) => serially(async () => {
+    if (!SYNCED_STORES.includes(store)) return transaction([store], 'readwrite', (tx) => {
+        ids.forEach(id => tx.objectStore(store).delete(id));
+    });
+    const write = await planTracked(store, ids.map(id => ({ id, record: null })), clock.now());
+    await transaction([store, 'changes'], 'readwrite', write);
+    onTrackedWrite();
+});
+
+export const putBlocks = (blocks) => putAll('blocks', blocks);
+export const deleteBlocks = (ids) => deleteAll('blocks', ids);
+export const putChannels = (channels) => putAll('channels', channels);
+// The channels a new stash starts with, stamped as older than anything so a device joining sync
+// doesn't overwrite what the others made of them
+export const putDefaultChannels = async (channels) => putAll('channels', channels, clock.at(0));
+export const deleteChannels = (ids) => deleteAll('channels', ids);
+export const putInsights = (insights) => putAll('insights', insights);
+export const deleteInsights = (ids) => deleteAll('insights', ids);
+export const putTrash = (entries) => putAll('trash', entries);
+export const deleteTrash = (ids) => deleteAll('trash', ids);
+
+export const putRevisions = (revisions) => putAll('revisions', revisions);
+
+// Newest first
+export const loadRevisions = async (blockId) => (await unsealAll('revisions',
+    await transaction(['revisions'], 'readonly', (tx) => request(tx.objectStore('revisions').index('blockId').getAll(blockId)))
+)).sort((a, b) => b.savedAt - a.savedAt);
+
+// Drops revisions of blocks that no longer exist anywhere; resolves to the image refs the rest still hold.
+export const pruneRevisions = (blockIds) => serially(async () => {
+    const revisions = await getAll('revisions');
+    const kept = new Set();
+    revisions.filter(r => blockIds.has(r.blockId)).forEach(r => blockImageRefs(r.version).forEach(ref => kept.add(ref)));
+    await transaction(['revisions'], 'readwrite', (tx) => {
+        revisions.filter(r => !blockIds.has(r.blockId)).forEach(r => tx.objectStore('revisions').delete(r.id));
+    });
+    return kept;
+});
+
+export const loadEmbeddings = () => getAll('embeddings');
+export const putEmbeddings = (entries) => putAll('embeddings', entries);
+export const deleteEmbeddings = (blockIds) => deleteAll('embeddings', blockIds);
+
+// Resolves once every write made so far is stored
+export const whenStored = () => serially(() => {});
+
+export const setMeta = (key, value) => serially(async () => {
+    const record = await seal('meta', { key, value });
+    await transaction(['meta'], 'readwrite', (tx) => { tx.objectStore('meta').put(record); });
+});
+
+// Swaps the whole stash in one transaction (used by "Replace All" imports).
+// Images are left alone: the replaced blocks stay restorable by undo until the app releases them.
+export const replaceStash = ({ channels, blocks, insights }) => serially(async () => {
+    const at = clock.now();
+    const stores = Object.entries({ channels, blocks, insights });
+    const old = await transaction(stores.map(([name]) => name), 'readonly', (tx) =>
+        Promise.all(stores.map(([name]) => request(tx.objectStore(name).getAllKeys()))));
+    const writes = await Promise.all(stores.map(([name, records], i) => {
+        const ids = new Set(records.map(r => r.id));
+        return planTracked(name, [
+            ...old[i].filter(id => !ids.has(id)).map(id => ({ id, record: null })),
+            ...records.map(r => ({ id: r.id, record: r }))
+        ], at);
+    }));
+    await transaction(['blocks', 'channels', 'embeddings', 'insights', 'changes'], 'readwrite', (tx) => {
+        tx.objectStore('embeddings').clear();
+        writes.forEach(write => write(tx));
+    });
+    onTrackedWrite();
+});
+
+/* --- IMAGES ---
+ * The images store holds any binary a block points at: pictures, but also attached files.
+ */
+const putImages = (images) => serially(async () => {
+    const sealed = await Promise.all(images.map(img => seal('images', img)));
+    await transaction(['images'], 'readwrite', (tx) => { sealed.forEach(img => tx.objectStore('images').put(img)); });
+});
+
+export const storeImage = async (source) => {
+    const blob = typeof source === 'string' ? await dataUrlToBlob(source) : source;
+    const id = newImageId();
+    await putImages([{ id, blob }]);
+    return cacheImage(id, blob);
+};
+
+// Stores a binary that arrived through sync under the ref the records use
+export const saveImage = async (ref, blob) => {
+    await putImages([{ id: refToId(ref), blob }]);
+    return cacheImage(refToId(ref), blob);
+};
+
+export const hasImage = (ref) => imageUrls.has(ref);
+
+// Converts any inline data-URL blocks to stored image refs.
+export const storeInlineImages = async (blocks) => {
+    const { blocks: out, images } = await extractImages(blocks);
+    if (images.length) {
+        await putImages(images);
+        images.forEach(img => cacheImage(img.id, img.blob));
+    }
+    return out;
+};
+
+const uncacheImage = (ref) => {
+    if (imageUrls.has(ref)) URL.revokeObjectURL(imageUrls.get(ref));
+    imageUrls.delete(ref);
+};
+
+export const deleteImages = (refs) => {
+    refs.forEach(uncacheImage);
+    return deleteAll('images', refs.map(refToId));
+};
+
+// Deletes every stored image whose ref is not in `inUse`. Only safe while nothing else (such as
+// undo history) can still point at an image, i.e. right after loading.
+export const pruneImages = (inUse) => serially(() => transaction(['images'], 'readwrite', async (tx) => {
+    const ids = await request(tx.objectStore('images').getAllKeys());
+    ids.filter(id => !inUse.has(IMAGE_REF_PREFIX + id)).forEach(id => {
+        tx.objectStore('images').delete(id);
+        uncacheImage(IMAGE_REF_PREFIX + id);
+    });
+}));
+
+// Synchronous lookup for rendering; non-ref content (legacy data URLs, links) passes through.
+export const imageUrl = (content) => isImageRef(content) ? (imageUrls.get(content) || '') : content;
+
+export const imageBlob = async (content) => {
+    if (!isImageRef(content)) return dataUrlToBlob(content);
+    const record = await unseal('images', await transaction(['images'], 'readonly', (tx) => request(tx.objectStore('images').get(refToId(content)))));
+    return record ? record.blob : null;
+};
+
+export const imageDataUrl = async (content) => {
+    if (!isImageRef(content)) return content;
+    const blob = await imageBlob(content);
+    return blob ? blobToDataUrl(blob) : '';
+};
+
+// A copy of the block (or channel) with every stored binary inlined as a data URL, for backups
+export const inlineBlockImages = async (b) => {
+    const fields = blobFields(b).filter(f => isImageRef(b[f]));
+    if (!fields.length) return b;
+    return { ...b, ...Object.fromEntries(await Promise.all(fields.map(async f => [f, await imageDataUrl(b[f])]))) };
+};
@@ -0,0 +1,42 @@
+/* --- SERVICE WORKER ---
+ * Keeps every file of the app cached so the stash opens without a network, and takes in what other
+ * apps share to it (the manifest's share_target). The build fills in PRECACHE and VERSION
+ * (vite.config.js); a new build gets a new cache and the old one is dropped once it takes over.
+ */
+const PRECACHE = [];
+const VERSION = 'dev';
+const CACHE = `my-stash-${VERSION}`;
+const SHARE_CACHE = 'my-stash-share';
+
+self.addEventListener('install', (e) => {
+    e.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (e) => {
+    e.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(k => k.startsWith('my-stash-') && k !== CACHE && k !== SHARE_CACHE).map(k => caches.delete(k))))
+        .then(() => self.clients.claim()));
+});
+
+// A share is parked in a cache until the app, opened with ?share=1, picks it up. The passphrase lock's
+// key only exists in an unlocked page, so it is parked unencrypted; the app drops any it wasn't opened for.
+const receiveShare = async (request) => {
+    const form = await request.formData();
+    const images = form.getAll('image').filter(f => f instanceof File && f.size);
+    const cache = await caches.open(SHARE_CACHE);
+    await Promise.all(images.map((file, i) => cache.put(`shared-image-${i}`, new Response(file, { headers: { 'Content-Type': file.type } }))));
+    const shared = { title: form.get('title') || '', text: form.get('text') || '', url: form.get('url') || '', images: images.length };
+    await cache.put('shared', new Response(JSON.stringify(shared), { headers: { 'Content-Type': 'application/json' } }));
+    return Response.redirect('./?share=1', 303);
+};
+
+self.addEventListener('fetch', (e) => {
+    const url = new URL(e.request.url);
+    // AI providers and the sync server are left to the network
+    if (url.origin !== location.origin) return;
+    if (e.request.method === 'POST' && url.pathname.endsWith('/share')) return e.respondWith(receiveShare(e.request));
+    if (e.request.method !== 'GET') return;
+    // Every page is the app, whatever its query says
+    if (e.request.mode === 'navigate') return e.respondWith(caches.match('./').then(r => r || fetch(e.request)));
+    e.respondWith(caches.match(e.request).then(r => r || fetch(e.request)));
+});
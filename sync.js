@@ -0,0 +1,131 @@
+/* --- SYNC PROTOCOL ---
+ * Shared by the app and the reference server (server/sync-server.js), so it must not touch the DOM.
+ *
+ * A change is `{ store, id, fields: { name: [value, stamp] }, deleted }`: every field of a record
+ * carries the stamp of its last edit, and `deleted` the stamp of its deletion, if any. Two versions
+ * of a record merge field by field, the later stamp winning, so edits to different fields on two
+ * devices both survive. A record is deleted while its deletion is later than all its fields.
+ */
+import { isValidId } from "./types.js";
+
+export const SYNCED_STORES = ['blocks', 'channels', 'insights', 'trash'];
+
+// The time part keeps ids in creation order; the random part keeps two devices from ever picking the same one
+export const newId = (prefix) => {
+    const random = [...crypto.getRandomValues(new Uint32Array(2))].map(n => n.toString(36).padStart(7, '0')).join('');
+    return `${prefix}_${Date.now()}_${random}`;
+};
+
+/* --- CLOCK ---
+ * Stamps are "time.counter.device" with fixed-width parts, so comparing the strings compares them in
+ * time. The counter orders stamps made in the same millisecond, the device id breaks exact ties.
+ */
+const stampOf = (ms, counter, deviceId) => `${ms.toString(36).padStart(9, '0')}.${counter.toString(36).padStart(4, '0')}.${deviceId}`;
+
+export const createClock = (deviceId) => {
+    let last = 0;
+    let counter = 0;
+    return {
+        now: () => {
+            const t = Date.now();
+            if (t > last) { last = t; counter = 0; } else counter++;
+            return stampOf(last, counter, deviceId);
+        },
+        // A stamp for something that happened at `ms`, such as a record from before sync existed
+        at: (ms) => stampOf(ms, 0, deviceId),
+        // After seeing another device's stamp, never stamp below it: a clock running behind
+        // would otherwise lose every edit made on this device
+        observe: (stamp) => {
+            const [t, c] = stamp.split('.').map(p => parseInt(p, 36));
+            if (t > last || (t === last && c > counter)) { last = t; counter = c; }
+        }
+    };
+};
+
+const later = (a, b) => !a ? b : !b ? a : a > b ? a : b;
+
+/* --- CHANGES --- */
+// Fields whose value differs between two versions of a record, including ones added or removed
+export const changedFields = (before, after) => {
+    const names = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    names.delete('id');
+    return [...names].filter(f => JSON.stringify(before?.[f]) !== JSON.stringify(after?.[f]));
+};
+
+// A removed field travels as null
+export const toChange = (store, id, record, { stamps, deleted }) => ({
+    store,
+    id,
+    fields: Object.fromEntries(Object.entries(stamps).map(([f, stamp]) => [f, [record && record[f] !== undefined ? record[f] : null, stamp]])),
+    deleted: deleted || null
+});
+
+export const isDeleted = (change) => !!change.deleted && Object.values(change.fields).every(([, stamp]) => stamp < change.deleted);
+
+// The record a change describes, or null when it is deleted
+export const fromChange = (change) => {
+    if (isDeleted(change)) return null;
+    const record = { id: change.id };
+    Object.entries(change.fields).forEach(([f, [value]]) => { if (value !== null) record[f] = value; });
+    return record;
+};
+
+export const mergeChanges = (a, b) => {
+    if (!a || !b) return a || b;
+    const fields = { ...a.fields };
+    Object.entries(b.fields).forEach(([f, field]) => {
+        if (!fields[f] || field[1] > fields[f][1]) fields[f] = field;
+    });
+    return { store: a.store, id: a.id, fields, deleted: later(a.deleted, b.deleted) };
+};
+
+// Ids end up in markup on every device, so a change naming one that isn't plain is refused. A
+// trash entry holds the whole trashed record, whose ids are checked the same way.
+const ID_LISTS = ['channelIds', 'blockIds', 'blockOrder', 'memberIds'];
+const hasPlainIds = (record) => (record.channelId == null || isValidId(record.channelId)) &&
+    ID_LISTS.every(f => record[f] == null || (Array.isArray(record[f]) && record[f].every(isValidId)));
+
+export const hasValidIds = (change) => {
+    if (!isValidId(change.id)) return false;
+    const values = Object.fromEntries(Object.entries(change.fields).map(([f, [value]]) => [f, value]));
+    const held = values.record;
+    return hasPlainIds(values) && (held == null || (typeof held === 'object' && isValidId(held.id) && hasPlainIds(held)));
+};
+
+// Whether `a` holds an edit or deletion that `b` hasn't seen
+export const hasNewer = (a, b) => (!!a.deleted && a.deleted > (b.deleted || '')) ||
+    Object.entries(a.fields).some(([f, [, stamp]]) => !b.fields[f] || stamp > b.fields[f][1]);
+
+/* --- CLIENT ---
+ * The server API: GET /changes?since=<seq> pages through everything changed after a cursor,
+ * POST /changes merges a batch, and images are plain blobs under /images/<id>.
+ */
+export const createSyncClient = ({ url, token }) => {
+    const base = url.replace(/\/+$/, '');
+    const call = async (path, { method = 'GET', body, type = 'application/json' } = {}) => {
+        let res;
+        try {
+            res = await fetch(`${base}${path}`, {
+                method,
+                headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...(body !== undefined ? { 'Content-Type': type } : {}) },
+                body: body === undefined || type !== 'application/json' ? body : JSON.stringify(body)
+            });
+        } catch(e) {
+            throw Object.assign(new Error("The sync server can't be reached"), { offline: true, cause: e });
+        }
+        if (!res.ok) {
+            const err = new Error(res.status === 401 ? 'The sync server rejected the token' : `Sync server error ${res.status}`);
+            err.status = res.status;
+            throw err;
+        }
+        return res;
+    };
+    return {
+        pull: async (since) => (await call(`/changes?since=${encodeURIComponent(since)}`)).json(),
+        push: async (changes) => (await call('/changes', { method: 'POST', body: { changes } })).json(),
+        // The ids among `ids` the server has no image for
+        missingImages: async (ids) => (await (await call('/images/missing', { method: 'POST', body: { ids } })).json()).missing,
+        uploadImage: (id, blob) => call(`/images/${encodeURIComponent(id)}`, { method: 'PUT', body: blob, type: blob.type || 'application/octet-stream' }),
+        downloadImage: async (id) => (await call(`/images/${encodeURIComponent(id)}`)).blob()
+    };
+};
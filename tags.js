@@ -0,0 +1,58 @@
+/* --- TAGS ---
+ * Tags are saved normalized: lowercase, without a leading "#", words joined by "-".
+ * "CSS", "#css" and " css " are all "css"; "Web Design" is "web-design".
+ */
+export const normalizeTag = (tag) => String(tag ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^\p{L}\p{N}+.#-]/gu, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-|-$/g, '');
+
+export const normalizeTags = (tags) => [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+
+// The comma-separated text of #edit-tags
+export const parseTagInput = (text) => normalizeTags((text || '').split(','));
+
+// Every tag in use with the number of blocks carrying it, most used first
+export const tagCounts = (blocks) => {
+    const counts = new Map();
+    blocks.forEach(b => new Set(b.tags || []).forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+    return [...counts]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+// Crude English stemming, only good for telling plural and singular apart
+const stem = (tag) => tag
+    .replace(/ies$/, 'y')
+    .replace(/(s|x|ch|sh)es$/, '$1')
+    .replace(/([^s])s$/, '$1');
+
+/**
+ * Normalizes suggested tags and swaps each one that is a variant of a tag already in use
+ * ("CSS" -> "css", "stylesheets" -> "stylesheet") for that tag. `known` is ordered most used
+ * first, so when several known tags match, the common one wins.
+ */
+export const preferKnownTags = (suggested, known) => {
+    const byStem = new Map();
+    known.forEach(t => {
+        const key = stem(normalizeTag(t));
+        if (!byStem.has(key)) byStem.set(key, t);
+    });
+    return [...new Set(normalizeTags(suggested).map(t => byStem.get(stem(t)) || t))];
+};
+
+// Known tags that complete `text`: ones starting with it first, then ones containing it
+export const completeTag = (text, known, { exclude = [], limit = 8 } = {}) => {
+    const q = normalizeTag(text);
+    if (!q) return [];
+    const skip = new Set([...exclude, q]);
+    const candidates = known.filter(t => !skip.has(t));
+    return [
+        ...candidates.filter(t => t.startsWith(q)),
+        ...candidates.filter(t => !t.startsWith(q) && t.includes(q))
+    ].slice(0, limit);
+};
@@ -0,0 +1,16 @@
+/** @type {import('tailwindcss').Config} */
+export default {
+    // Most class names live in the HTML strings the scripts build
+    content: ['./index.html', './*.js'],
+    theme: {
+        extend: {
+            fontFamily: {
+                sans: ['Inter', 'sans-serif'],
+                mono: ['Space Mono', 'monospace'],
+            },
+            colors: {
+                neutral: { 800: '#262626', 900: '#171717', 950: '#0a0a0a' }
+            }
+        },
+    },
+};
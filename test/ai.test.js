@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeContent, findConnections, nameClusters } from '../ai.js';
+import { createMockProvider } from '../providers.js';
+import { createLocalEmbedder, blockText, cosine } from '../embeddings.js';
+import { clusterVectors, fallbackClusterName } from '../organize.js';
+import { BlockType } from '../types.js';
+
+/* --- AI FEATURES AGAINST THE MOCK PROVIDER --- */
+const block = (id, content, extra = {}) => ({ id, type: BlockType.TEXT, title: '', description: '', content, tags: [], channelIds: ['c_inbox'], ...extra });
+
+// A mock that records every request and answers through `answer`
+const recording = (answer) => {
+    const calls = [];
+    return { calls, provider: createMockProvider({ respond: (req) => { calls.push(req); return answer(req, calls.length); } }) };
+};
+
+// The ids a prompt shows the model, as "[id] title: snippet" lines
+const shownIds = (prompt) => [...prompt.matchAll(/^\[([\w-]+)\]/gm)].map(m => m[1]);
+
+test('analyzeContent fills title, summary and tags from the mock', async () => {
+    const result = await analyzeContent(createMockProvider(), 'Kerning and tracking in display typography', BlockType.TEXT);
+    assert.equal(typeof result.title, 'string');
+    assert.ok(result.summary.startsWith('Mock summary'));
+    assert.ok(result.tags.length > 0 && result.tags.every(t => t === t.toLowerCase()));
+});
+
+test('analyzeContent leans towards known tags', async () => {
+    const { provider } = recording(() => ({ title: 'Type', summary: '', tags: ['Fonts', 'layouts'] }));
+    const result = await analyzeContent(provider, 'Some text', BlockType.TEXT, { knownTags: ['font', 'layout'] });
+    assert.deepEqual(result.tags, ['font', 'layout']);
+});
+
+test('analyzeContent sends images apart and keeps only hex colours', async () => {
+    const { calls, provider } = recording(() => ({ title: 'Sky', summary: '', tags: [], text: '', colors: ['#AABBCC', 'blue', '#123'] }));
+    const result = await analyzeContent(provider, 'data:image/png;base64,AAAA', BlockType.IMAGE);
+    assert.deepEqual(calls[0].image, { mimeType: 'image/png', data: 'AAAA' });
+    assert.deepEqual(result.colors, ['#aabbcc']);
+    assert.equal((await analyzeContent(provider, 'img:missing', BlockType.IMAGE)).summary, 'Image could not be read.');
+});
+
+test('analyzeContent reports a failing provider instead of throwing', async () => {
+    const provider = createMockProvider({ respond: () => { throw new Error('rate limited'); } });
+    const result = await analyzeContent(provider, 'text', BlockType.TEXT);
+    assert.deepEqual(result.tags, ['error']);
+    assert.equal(result.error.message, 'rate limited');
+});
+
+test('findConnections only cites blocks it was shown', async () => {
+    const blocks = [block('b_1', 'grids'), block('b_2', 'baselines')];
+    const { provider } = recording(() => ({ insight: ' Both are about rhythm. ', blockIds: ['b_2', 'b_9', 'b_2'] }));
+    assert.deepEqual(await findConnections(provider, blocks), { text: 'Both are about rhythm.', blockIds: ['b_2'] });
+    assert.ok((await findConnections(null, blocks)).error);
+});
+
+test('findConnections describes images and attachments by their text, not their stored ref', async () => {
+    const blocks = [
+        block('b_1', 'stash-image:i_1', { type: BlockType.IMAGE, description: 'A poster', extractedText: 'SWISS STYLE' }),
+        block('b_2', 'stash-image:i_2', { type: BlockType.ATTACHMENT, fileName: 'grids.pdf', extractedText: 'Grid systems in graphic design' })
+    ];
+    const { calls, provider } = recording(() => ({ insight: 'x', blockIds: [] }));
+    await findConnections(provider, blocks);
+    assert.ok(!calls[0].prompt.includes('stash-image:'));
+    assert.ok(calls[0].prompt.includes('A poster SWISS STYLE'));
+    assert.ok(calls[0].prompt.includes('grids.pdf Grid systems in graphic design'));
+});
+
+test('findConnections splits large sets into chunks and combines their insights', async () => {
+    const blocks = Array.from({ length: 45 }, (_, i) => block(`b_${i}`, `note ${i}`));
+    const { calls, provider } = recording((req) => {
+        const ids = shownIds(req.prompt);
+        return ids.length ? { insight: `chunk of ${ids.length}`, blockIds: [ids[0]] } : { insight: 'combined', blockIds: ['b_0', 'b_20', 'b_44'] };
+    });
+    const result = await findConnections(provider, blocks);
+    assert.deepEqual(calls.slice(0, 3).map(c => shownIds(c.prompt).length), [20, 20, 5]);
+    assert.equal(calls.length, 4);
+    // The combined insight may only cite what the chunk insights cited
+    assert.deepEqual(result, { text: 'combined', blockIds: ['b_0', 'b_20'] });
+});
+
+test('findConnections samples very large sets down to six chunks', async () => {
+    const blocks = Array.from({ length: 500 }, (_, i) => block(`b_${i}`, `note ${i}`));
+    const { calls, provider } = recording((req) => ({ insight: 'x', blockIds: shownIds(req.prompt).slice(0, 1) }));
+    await findConnections(provider, blocks);
+    assert.equal(calls.length, 7);
+    assert.ok(shownIds(calls[0].prompt).includes('b_0') && shownIds(calls[5].prompt).some(id => Number(id.slice(2)) > 400));
+});
+
+/* --- ORGANIZING WITH THE LOCAL EMBEDDER --- */
+test('the local embedder groups related blocks and nameClusters names them', async () => {
+    const embedder = createLocalEmbedder();
+    const blocks = [
+        block('b_1', 'css grid layout columns', { tags: ['css'] }),
+        block('b_2', 'css grid layout rows', { tags: ['css'] }),
+        block('b_3', 'sourdough bread starter recipe', { tags: ['baking'] }),
+        block('b_4', 'sourdough bread starter hydration', { tags: ['baking'] })
+    ];
+    const vectors = await embedder.embed(blocks.map(blockText));
+    assert.deepEqual(vectors, await embedder.embed(blocks.map(blockText)));
+    assert.ok(cosine(vectors[0], vectors[1]) > cosine(vectors[0], vectors[2]));
+
+    const clusters = clusterVectors(blocks.map((b, i) => ({ block: b, vector: vectors[i] }))).map(c => c.items.map(i => i.block));
+    assert.deepEqual(clusters.map(c => c.map(b => b.id).sort()).sort(), [['b_1', 'b_2'], ['b_3', 'b_4']]);
+
+    const fallbacks = clusters.map(c => fallbackClusterName(c));
+    const { calls, provider } = recording(() => ({ names: ['Code/CSS', 'no group'] }));
+    assert.deepEqual(await nameClusters(provider, clusters, ['Code'], fallbacks), ['Code/CSS', fallbacks[1]]);
+    assert.ok(calls[0].prompt.includes('Existing channel groups: Code.'));
+    // The mock's own answer has no "Group/Name" strings, so every cluster keeps its fallback
+    assert.deepEqual(await nameClusters(createMockProvider(), clusters, [], fallbacks), fallbacks);
+});
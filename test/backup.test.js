@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKUP_VERSION, serializeBackup, parseBackup, diffBackup, mergeBackup, fixMemberships } from '../backup.js';
+import { INBOX_ID } from '../types.js';
+
+/* --- BACKUP FILES --- */
+const channel = (id, extra = {}) => ({ id, title: id, slug: id, createdAt: 1, ...extra });
+const block = (id, extra = {}) => ({ id, type: 'text', content: id, title: '', description: '', tags: [], channelIds: [INBOX_ID], createdAt: 1, ...extra });
+const backup = (extra = {}) => ({ version: BACKUP_VERSION, channels: [channel(INBOX_ID)], blocks: [block('b_1')], insights: [], ...extra });
+const parse = (data) => parseBackup(JSON.stringify(data));
+
+test('a serialized stash parses back to the same records', () => {
+    const state = { channels: [channel(INBOX_ID), channel('c_2')], blocks: [block('b_1', { channelIds: ['c_2'] })], insights: [{ id: 'in_1', text: 't', channelId: null, blockIds: ['b_1'], createdAt: 1 }], ai: { apiKey: 'secret' } };
+    const data = serializeBackup(state);
+    assert.equal(data.version, BACKUP_VERSION);
+    assert.ok(!JSON.stringify(data).includes('secret'));
+    const parsed = parse(data);
+    assert.deepEqual([parsed.channels, parsed.blocks, parsed.insights], [state.channels, state.blocks, state.insights]);
+});
+
+test('legacy backups without a version load, single channels becoming lists', () => {
+    const parsed = parse({ channels: [{ id: INBOX_ID, title: 'Inbox' }], blocks: [{ id: 'b_1', type: 'text', content: 'x', channelId: 'c_old' }, { id: 'b_2', type: 'text', content: 'y' }] });
+    assert.equal(parsed.version, 0);
+    assert.deepEqual(parsed.blocks.map(b => b.channelIds), [['c_old'], [INBOX_ID]]);
+    assert.equal(parsed.channels[0].slug, 'inbox');
+    assert.deepEqual(parsed.insights, []);
+});
+
+test('backups from a newer version or of the wrong shape are refused', () => {
+    for (const [data, message] of [
+        [backup({ version: BACKUP_VERSION + 1 }), /unsupported version/],
+        [backup({ version: '2' }), /unsupported version/],
+        [[], /expected an object/],
+        [backup({ blocks: undefined }), /missing "blocks"/],
+        [backup({ channels: {} }), /missing "channels"/],
+        [backup({ insights: 'x' }), /malformed "insights"/],
+        [backup({ blocks: [block('b_1', { type: 'video' })] }), /unknown type/],
+        [backup({ blocks: [block('b_1', { tags: 'a,b' })] }), /malformed tags/]
+    ]) assert.throws(() => parse(data), message);
+    assert.throws(() => parseBackup('{not json'), /not valid JSON/);
+});
+
+test('ids that could break out of markup are refused wherever they appear', () => {
+    const evil = ["x');alert(1);('", '"><img src=x onerror=alert(1)>', '', 'a b', 'a'.repeat(101)];
+    evil.forEach(id => {
+        assert.throws(() => parse(backup({ blocks: [block(id)] })), /block #1 has no valid id/, id);
+        assert.throws(() => parse(backup({ channels: [channel(id)] })), /channel #1 has no valid id/, id);
+        assert.throws(() => parse(backup({ blocks: [block('b_1', { channelIds: [INBOX_ID, id] })] })), /malformed channels/, id);
+        assert.throws(() => parse(backup({ insights: [{ id: 'in_1', text: 't', blockIds: [id] }] })), /malformed blocks/, id);
+        assert.throws(() => parse(backup({ channels: [channel('c_1', { blockOrder: ['b_1', id] })] })), /malformed block order/, id);
+    });
+    assert.throws(() => parse(backup({ blocks: [{ id: 'b_1', type: 'text', content: 'x', channelId: '<c>' }] })), /malformed channel/);
+    assert.throws(() => parse(backup({ insights: [{ id: 'in_1', text: 't', channelId: "'" }] })), /malformed channel/);
+});
+
+/* --- MERGING --- */
+test('diffBackup sorts records into added, identical and conflicting', () => {
+    const current = { channels: [channel(INBOX_ID), channel('c_2')], blocks: [block('b_1'), block('b_2')] };
+    const incoming = { channels: [channel(INBOX_ID), channel('c_2', { blockOrder: ['b_2', 'b_1'] })], blocks: [block('b_1'), block('b_2', { title: 'New' }), block('b_3')] };
+    const diff = diffBackup(current, incoming);
+    assert.deepEqual(diff.added.map(a => a.item.id), ['b_3']);
+    assert.deepEqual(diff.identical.map(a => a.item.id), [INBOX_ID, 'b_1']);
+    assert.deepEqual(diff.conflicts.map(c => `${c.kind}:${c.id}`), ['channel:c_2', 'block:b_2']);
+});
+
+test('mergeBackup keeps the local copy unless a conflict is resolved to theirs', () => {
+    const current = { channels: [channel(INBOX_ID)], blocks: [block('b_1', { title: 'Mine', createdAt: 2 }), block('b_2', { title: 'Mine' })], insights: [] };
+    const incoming = { channels: [channel(INBOX_ID)], blocks: [block('b_1', { title: 'Theirs', createdAt: 2 }), block('b_2', { title: 'Theirs' }), block('b_3', { createdAt: 3 })], insights: [] };
+
+    const kept = mergeBackup(current, incoming);
+    assert.deepEqual(kept.blocks.map(b => [b.id, b.title]), [['b_3', ''], ['b_1', 'Mine'], ['b_2', 'Mine']]);
+    assert.deepEqual(kept.stats, { added: 1, updated: 0, skipped: 3 });
+
+    const resolved = mergeBackup(current, incoming, { 'block:b_1': 'theirs', 'block:b_2': 'mine' });
+    assert.deepEqual(resolved.blocks.map(b => [b.id, b.title]), [['b_3', ''], ['b_1', 'Theirs'], ['b_2', 'Mine']]);
+    assert.deepEqual(resolved.stats, { added: 1, updated: 1, skipped: 2 });
+});
+
+test('mergeBackup unions insights and moves blocks of vanished channels to the Inbox', () => {
+    const current = { channels: [channel(INBOX_ID)], blocks: [], insights: [{ id: 'in_1', text: 'a', createdAt: 1 }] };
+    const incoming = { channels: [], blocks: [block('b_1', { channelIds: ['c_gone'] })], insights: [{ id: 'in_1', text: 'a', createdAt: 1 }, { id: 'in_2', text: 'b', createdAt: 2 }] };
+    const merged = mergeBackup(current, incoming);
+    assert.deepEqual(merged.blocks[0].channelIds, [INBOX_ID]);
+    assert.deepEqual(merged.insights.map(i => i.id), ['in_2', 'in_1']);
+});
+
+test('fixMemberships keeps the channels that exist and falls back to the Inbox', () => {
+    const channels = [channel(INBOX_ID), channel('c_2')];
+    const blocks = [block('b_1', { channelIds: ['c_2', 'c_gone'] }), block('b_2', { channelIds: ['c_gone'] }), block('b_3', { channelIds: ['c_2'] })];
+    const fixed = fixMemberships(blocks, channels);
+    assert.deepEqual(fixed.map(b => b.channelIds), [['c_2'], [INBOX_ID], ['c_2']]);
+    assert.equal(fixed[2], blocks[2]);
+});
@@ -0,0 +1,124 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { sanitizeHtml, safeUrl } from '../sanitize.js';
+import { renderMarkdown, highlightCode } from '../markdown.js';
+
+/* --- RENDERED BLOCK CONTENT ---
+ * sanitize.js works on a live DOM, so the tests run it against jsdom's. Whatever the input, what
+ * comes out must hold nothing a browser would run: no script-bearing elements, no on* handlers and
+ * no link or image pointing at a javascript:, vbscript: or data: document.
+ */
+before(() => {
+    const { window } = new JSDOM('');
+    Object.assign(globalThis, { document: window.document, Node: window.Node, NodeFilter: window.NodeFilter });
+});
+
+const assertInert = (html) => {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const elements = [...template.content.querySelectorAll('*')];
+    assert.deepEqual(elements.filter(el => /^(script|iframe|object|embed|svg|math|style|link|meta|base|form|img)$/i.test(el.tagName)).map(el => el.tagName), []);
+    elements.forEach(el => [...el.attributes].forEach(attr => {
+        assert.ok(!/^on/i.test(attr.name), `${el.tagName} keeps ${attr.name}`);
+        if (/^(href|src|action|formaction|xlink:href)$/i.test(attr.name)) {
+            assert.ok(!/^(javascript|vbscript|data):/i.test(attr.value.replace(/[\u0000- ]/g, '')), `${el.tagName} ${attr.name}="${attr.value}"`);
+        }
+    }));
+};
+
+// Markdown as the app shows it: rendered, then sanitized
+const show = (markdown) => sanitizeHtml(renderMarkdown(markdown));
+
+test('safeUrl turns away script and data URLs however they are spelled', () => {
+    for (const url of ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', ' javascript:alert(1)', 'java\nscript:alert(1)', 'java\tscript:alert(1)',
+        '\u0000javascript:alert(1)', 'vbscript:msgbox(1)', 'data:text/html,<script>alert(1)</script>', 'data:image/svg+xml,<svg onload=alert(1)>']) {
+        assert.equal(safeUrl(url), '', JSON.stringify(url));
+        assert.equal(safeUrl(url, { image: true }), '', JSON.stringify(url));
+    }
+});
+
+test('safeUrl keeps web, mail and relative links, and raster data images as sources only', () => {
+    for (const url of ['https://example.com/a?b=1', 'http://example.com', 'mailto:me@example.com', '/path', '#top', '?q=1', 'notes/page.html']) {
+        assert.equal(safeUrl(url), url);
+    }
+    assert.equal(safeUrl('data:image/png;base64,AAAA', { image: true }), 'data:image/png;base64,AAAA');
+    assert.equal(safeUrl('data:image/png;base64,AAAA'), '');
+    assert.equal(safeUrl('mailto:me@example.com', { image: true }), '');
+});
+
+test('sanitizeHtml drops script-bearing elements with their contents', () => {
+    const html = sanitizeHtml('<p>ok</p><script>alert(1)</script><iframe src="https://x"></iframe><svg><script>alert(1)</script></svg><style>*{}</style>');
+    assert.equal(html, '<p>ok</p>');
+});
+
+test('sanitizeHtml unwraps unknown elements and strips unknown attributes', () => {
+    const html = sanitizeHtml('<div onclick="alert(1)"><img src=x onerror="alert(1)"><p style="color:red" id="x" data-action="deleteBlock" title="t">text</p></div>');
+    assert.equal(html, '<p>text</p>');
+    assert.equal(sanitizeHtml('<span class="tok-kw" onmouseover="alert(1)">a</span><span class="evil">b</span>'), '<span class="tok-kw">a</span><span>b</span>');
+    assert.equal(sanitizeHtml('<input type="text" value="x"><input type="checkbox" checked onclick="x()">'), '<input type="checkbox" checked="" disabled="">');
+});
+
+test('sanitizeHtml removes link targets with unsafe schemes, entity-encoded ones included', () => {
+    for (const href of ['javascript:alert(1)', '&#106;avascript:alert(1)', 'javascript&#58;alert(1)', 'jav&#x09;ascript:alert(1)', '&#x6A;&#x61;vascript:alert(1)', 'data:text/html;base64,PHNjcmlwdD4=']) {
+        const html = sanitizeHtml(`<a href="${href}">x</a>`);
+        assert.equal(html, '<a rel="noopener noreferrer">x</a>', href);
+    }
+    assert.equal(sanitizeHtml('<a href="https://example.com" target="_blank">x</a>'), '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>');
+});
+
+test('sanitizeHtml marks highlights in text only, never in markup', () => {
+    assert.equal(sanitizeHtml('<a href="https://grid.example">the grid</a>', { highlights: ['grid'] }), '<a href="https://grid.example" rel="noopener noreferrer">the <mark>grid</mark></a>');
+    assert.equal(sanitizeHtml('a &lt;b&gt;', { highlights: ['<b>'] }), 'a <mark>&lt;b&gt;</mark>');
+});
+
+test('Markdown shows raw HTML as text', () => {
+    const source = '<script>alert(1)</script>\n\n<img src=x onerror=alert(1)>\n\n# <b onmouseover=alert(1)>hi</b>\n\n- <iframe src=javascript:alert(1)>';
+    const html = show(source);
+    assertInert(html);
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+});
+
+test('Markdown links only become links for safe schemes', () => {
+    for (const url of ['javascript:alert(1)', 'JAVASCRIPT:alert(1)', '&#106;avascript:alert(1)', 'javascript&#58;alert(1)', 'data:text/html,x', 'vbscript:x']) {
+        const html = show(`[click](${url}) ![img](${url})`);
+        assertInert(html);
+        assert.ok(!html.includes('<a'), url);
+    }
+    assert.equal(show('[site](https://example.com)'), '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">site</a></p>');
+});
+
+test('Markdown links cannot break out of their attribute', () => {
+    const html = show('[x](https://e.com/"onmouseover="alert(1)) https://e.com/\'><img/src=x/onerror=alert(1)>');
+    assertInert(html);
+    assert.ok(html.includes('href="https://e.com/&quot;onmouseover=&quot;alert(1"'));
+});
+
+test('NUL bytes cannot pose as held Markdown fragments', () => {
+    for (const source of ['a \u00009\u0000 b', '\u00000\u0000 \u00001\u0000 [x](https://e.com)', '`code`\u00000\u0000', '\u0000\u0000\u0000']) {
+        const html = show(source);
+        assertInert(html);
+        assert.ok(!html.includes('\u0000'));
+        assert.ok(!/<a[^>]*>[^<]*$/.test(html) && !html.startsWith('</a>'), JSON.stringify(source));
+    }
+    assert.equal(renderMarkdown('a \u00009\u0000 b'), '<p>a 9 b</p>');
+});
+
+test('Markdown renders its supported subset', () => {
+    assert.equal(renderMarkdown('## Title\n\n**bold** _em_ ~~del~~ `a<b`'), '<h2>Title</h2>\n<p><strong>bold</strong> <em>em</em> <del>del</del> <code>a&lt;b</code></p>');
+    assert.equal(renderMarkdown('- [x] done\n- [ ] todo'), '<ul><li><input type="checkbox" disabled checked> done</li><li><input type="checkbox" disabled > todo</li></ul>');
+    assert.equal(renderMarkdown('> quoted'), '<blockquote><p>quoted</p></blockquote>');
+});
+
+test('highlightCode escapes everything it does not wrap in a token span', () => {
+    for (const [code, language] of [['const x = "</span><script>alert(1)</script>";', 'js'], ['<img src=x onerror=alert(1)>', 'html'], ['# <script>', 'python'], ['<b>', 'unknown']]) {
+        const html = sanitizeHtml(highlightCode(code, language));
+        assertInert(html);
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        assert.equal(template.content.textContent, code);
+        assert.ok([...template.content.querySelectorAll('*')].every(el => el.tagName === 'SPAN' && /^tok-/.test(el.className)));
+    }
+    assert.equal(show('```js\nalert("<x>")\n```'), '<pre><code>alert(<span class="tok-string">"&lt;x&gt;"</span>)</code></pre>');
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, matchBlock, searchBlocks, highlight } from '../search.js';
+import { BlockType, INBOX_ID } from '../types.js';
+
+/* --- QUERY LANGUAGE --- */
+const block = (id, extra = {}) => ({ id, type: BlockType.TEXT, title: '', description: '', content: '', tags: [], channelIds: [INBOX_ID], createdAt: 1, ...extra });
+const ids = (blocks, input, ctx) => searchBlocks(blocks, parseQuery(input), ctx).map(r => r.block.id);
+
+const day = (date) => Date.parse(date);
+
+test('parseQuery splits terms, phrases, filters and their negations', () => {
+    assert.deepEqual(parseQuery('Grid "Swiss Style" tag:CSS -type:link -draft -"old notes" note:x'), {
+        terms: ['grid', 'note:x'],
+        phrases: ['swiss style'],
+        filters: [{ key: 'tag', value: 'css' }],
+        exclude: { terms: ['draft'], phrases: ['old notes'], filters: [{ key: 'type', value: 'link' }] }
+    });
+    assert.deepEqual(parseQuery('tag:"" -type:""'), parseQuery(''));
+});
+
+test('field filters match tags, types, channels, dates and colours', () => {
+    const channels = [{ id: 'c_code', title: 'Snippets', slug: 'snippets', vertical: 'Code' }];
+    const blocks = [
+        block('b_1', { tags: ['CSS'], channelIds: ['c_code'], createdAt: day('2025-03-01') }),
+        block('b_2', { type: BlockType.LINK, createdAt: day('2026-02-01') }),
+        block('b_3', { type: BlockType.IMAGE, colors: ['#e01010'], createdAt: day('2025-09-01') })
+    ];
+    assert.deepEqual(ids(blocks, 'tag:css'), ['b_1']);
+    assert.deepEqual(ids(blocks, 'type:link'), ['b_2']);
+    for (const name of ['snippets', 'c_code', '"code/snippets"']) assert.deepEqual(ids(blocks, `channel:${name}`, { channels }), ['b_1'], name);
+    assert.deepEqual(ids(blocks, 'before:2026-01-01'), ['b_3', 'b_1']);
+    assert.deepEqual(ids(blocks, 'after:2025-06-01 before:2026-01-01'), ['b_3']);
+    assert.deepEqual(ids(blocks, 'color:red'), ['b_3']);
+    assert.deepEqual(ids(blocks, 'color:#ff0000'), ['b_3']);
+});
+
+test('negated terms, phrases and filters exclude blocks', () => {
+    const blocks = [
+        block('b_1', { content: 'grid draft', tags: ['css'] }),
+        block('b_2', { content: 'grid final notes' }),
+        block('b_3', { content: 'grid old notes', type: BlockType.LINK })
+    ];
+    assert.deepEqual(ids(blocks, 'grid -draft'), ['b_2', 'b_3']);
+    assert.deepEqual(ids(blocks, 'grid -"old notes"'), ['b_1', 'b_2']);
+    assert.deepEqual(ids(blocks, '-tag:css -type:link'), ['b_2']);
+});
+
+test('quoted phrases must appear as written', () => {
+    const blocks = [block('b_1', { content: 'the swiss style of layout' }), block('b_2', { content: 'style from the swiss' })];
+    assert.deepEqual(ids(blocks, '"swiss style"'), ['b_1']);
+    assert.deepEqual(ids(blocks, 'swiss style').sort(), ['b_1', 'b_2']);
+    assert.deepEqual(matchBlock(blocks[0], parseQuery('"swiss style"')).highlights, ['swiss style']);
+});
+
+test('dates that do not parse are ignored, negated or not', () => {
+    const blocks = [block('b_1', { createdAt: day('2025-01-01') }), block('b_2', { createdAt: day('2026-01-01') })];
+    for (const input of ['before:garbage', '-before:garbage', 'after:"next week"', '-after:2026-13-45x']) {
+        assert.deepEqual(parseQuery(input).filters.concat(parseQuery(input).exclude.filters), [], input);
+        assert.deepEqual(ids(blocks, input), ['b_2', 'b_1'], input);
+    }
+    assert.deepEqual(ids(blocks, '-before:2025-06-01 -after:garbage'), ['b_2']);
+});
+
+test('terms tolerate typos in proportion to their length, and rank exact hits first', () => {
+    const blocks = [
+        block('b_1', { content: 'typography basics' }),
+        block('b_2', { content: 'typograhpy basics' }),
+        block('b_3', { title: 'Kerning' }),
+        block('b_4', { content: 'cat' })
+    ];
+    assert.deepEqual(ids(blocks, 'typography'), ['b_1', 'b_2']);
+    assert.deepEqual(ids(blocks, 'kernig'), ['b_3']);
+    assert.deepEqual(ids(blocks, 'typo'), ['b_1', 'b_2']);
+    // Short terms have no typo budget
+    assert.deepEqual(ids(blocks, 'car'), []);
+});
+
+test('matches in heavier fields rank higher', () => {
+    const blocks = [block('b_1', { content: 'grid' }), block('b_2', { title: 'Grid' }), block('b_3', { tags: ['grid'] })];
+    assert.deepEqual(ids(blocks, 'grid'), ['b_2', 'b_3', 'b_1']);
+});
+
+test('without free text, blocks follow each sortBy mode', () => {
+    const blocks = [
+        block('b_1', { title: 'Beta', createdAt: 1, updatedAt: 5 }),
+        block('b_2', { title: '', content: 'alpha text', createdAt: 3 }),
+        block('b_3', { title: '', content: '', createdAt: 2, updatedAt: 9 }),
+        block('b_4', { title: 'Gamma', createdAt: 4 })
+    ];
+    assert.deepEqual(ids(blocks, ''), ['b_4', 'b_2', 'b_3', 'b_1']);
+    assert.deepEqual(ids(blocks, '', { sortBy: 'created' }), ['b_4', 'b_2', 'b_3', 'b_1']);
+    assert.deepEqual(ids(blocks, '', { sortBy: 'updated' }), ['b_3', 'b_1', 'b_4', 'b_2']);
+    assert.deepEqual(ids(blocks, '', { sortBy: 'title' }), ['b_2', 'b_1', 'b_4', 'b_3']);
+    assert.deepEqual(ids(blocks, '', { sortBy: 'manual', manualOrder: ['b_1', 'b_3', 'b_2'] }), ['b_4', 'b_1', 'b_3', 'b_2']);
+    // Filters keep the order; free text ranks by score instead
+    assert.deepEqual(ids(blocks, '-type:link', { sortBy: 'title' }), ['b_2', 'b_1', 'b_4', 'b_3']);
+    assert.deepEqual(ids([block('b_5', { content: 'gamma', createdAt: 9 }), ...blocks], 'gamma', { sortBy: 'manual', manualOrder: ['b_5'] }), ['b_4', 'b_5']);
+});
+
+/* --- HIGHLIGHTING --- */
+test('highlight escapes the text and marks every match, longest first', () => {
+    assert.equal(highlight('<b>Grid</b> grids', ['grid', 'grids']), '&lt;b&gt;<mark>Grid</mark>&lt;/b&gt; <mark>grids</mark>');
+    assert.equal(highlight('a.b axb', ['a.b']), '<mark>a.b</mark> axb');
+});
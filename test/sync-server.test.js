@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/* --- REFERENCE SYNC SERVER ---
+ * Runs server/sync-server.js as the README starts it, on a spare port with its data in a
+ * temporary directory, and talks to it over HTTP.
+ */
+const SERVER = fileURLToPath(new URL('../server/sync-server.js', import.meta.url));
+const TOKEN = 'test-token';
+const APP_ORIGIN = 'http://localhost:5173';
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+const BASE = `http://127.0.0.1:${PORT}`;
+
+let server;
+let dataDir;
+
+// Resolves with the exit code, or with null once it is listening
+const start = (env) => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER], { env: { ...process.env, PORT: String(PORT), ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+    child.stdout.on('data', (chunk) => { if (String(chunk).includes('listening')) resolve({ child, code: null }); });
+    child.on('exit', (code) => resolve({ child, code }));
+    child.on('error', reject);
+});
+
+before(async () => {
+    dataDir = await mkdtemp(join(tmpdir(), 'my-stash-sync-'));
+    ({ child: server } = await start({ SYNC_TOKEN: TOKEN, SYNC_DATA: dataDir, HOST: '' }));
+});
+
+after(async () => {
+    server.kill();
+    await rm(dataDir, { recursive: true, force: true });
+});
+
+const call = (path, { token = TOKEN, headers = {}, ...init } = {}) =>
+    fetch(`${BASE}${path}`, { ...init, headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers } });
+
+const post = (path, body) => call(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: typeof body === 'string' ? body : JSON.stringify(body) });
+
+const change = (id, fields) => ({ store: 'blocks', id, fields, deleted: null });
+
+test('the server will not start without a token', async () => {
+    const { code } = await start({ SYNC_TOKEN: '', SYNC_DATA: dataDir, PORT: String(PORT + 1) });
+    assert.equal(code, 1);
+});
+
+test('every request needs the token', async () => {
+    assert.equal((await call('/changes?since=0', { token: '' })).status, 401);
+    assert.equal((await call('/changes?since=0', { token: 'wrong' })).status, 401);
+    assert.equal((await call('/changes?since=0')).status, 200);
+});
+
+test('only the app\'s origins get CORS headers', async () => {
+    const preflight = (origin) => call('/changes', { method: 'OPTIONS', token: '', headers: { Origin: origin } });
+    assert.equal((await preflight(APP_ORIGIN)).headers.get('access-control-allow-origin'), APP_ORIGIN);
+    assert.equal((await preflight('https://evil.example')).headers.get('access-control-allow-origin'), null);
+    assert.equal((await call('/changes?since=0', { headers: { Origin: 'https://evil.example' } })).headers.get('access-control-allow-origin'), null);
+});
+
+test('pushed changes merge field by field and come back on pull', async () => {
+    await post('/changes', { changes: [change('b_srv', { title: ['A', '000000001.0000.d_a'], content: ['x', '000000001.0000.d_a'] })] });
+    await post('/changes', { changes: [change('b_srv', { title: ['B', '000000002.0000.d_b'], content: ['old', '000000000.0000.d_b'] })] });
+    const { changes } = await (await call('/changes?since=0')).json();
+    const merged = changes.find(c => c.id === 'b_srv');
+    assert.deepEqual(merged.fields, { title: ['B', '000000002.0000.d_b'], content: ['x', '000000001.0000.d_a'] });
+});
+
+test('changes with unsafe ids are refused', async () => {
+    for (const bad of [
+        change("x');alert(1);('", { title: ['A', '000000001.0000.d_a'] }),
+        change('b_1', { channelIds: [['"><img src=x onerror=alert(1)>'], '000000001.0000.d_a'] }),
+        { store: 'trash', id: 't_1', fields: { record: [{ id: 'a b' }, '000000001.0000.d_a'] }, deleted: null }
+    ]) assert.equal((await post('/changes', { changes: [bad] })).status, 400, JSON.stringify(bad));
+    const { changes } = await (await call('/changes?since=0')).json();
+    assert.ok(changes.every(c => /^[\w-]+$/.test(c.id)));
+});
+
+test('bodies that are not a JSON object are bad requests, not server errors', async () => {
+    for (const body of ['null', '42', '[]', '"changes"', '{"changes":', '']) {
+        assert.equal((await post('/changes', body)).status, 400, body);
+        assert.equal((await post('/images/missing', body)).status, 400, body);
+    }
+});
+
+test('image ids are checked, malformed escapes included', async () => {
+    assert.equal((await call('/images/%E0%A4%A')).status, 400);
+    assert.equal((await call('/images/a%20b')).status, 400);
+    assert.equal((await call('/images/i_missing')).status, 404);
+    assert.equal((await call('/images/i_1', { method: 'PUT', headers: { 'Content-Type': 'image/png' }, body: new Uint8Array([1, 2, 3]) })).status, 204);
+    const res = await call('/images/i_1');
+    assert.equal(res.headers.get('content-type'), 'image/png');
+    assert.deepEqual([...new Uint8Array(await res.arrayBuffer())], [1, 2, 3]);
+    assert.deepEqual((await (await post('/images/missing', { ids: ['i_1', 'i_2', 'bad id'] })).json()).missing, ['i_2']);
+});
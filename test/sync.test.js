@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClock, mergeChanges, isDeleted, fromChange, toChange, changedFields, hasNewer, hasValidIds } from '../sync.js';
+
+/* --- FIELD-LEVEL MERGES --- */
+const change = (fields, deleted = null) => ({ store: 'blocks', id: 'b_1', fields, deleted });
+
+// Stamps as createClock makes them: "time.counter.device", zero-padded so strings compare in time order
+const stamp = (ms, counter = 0, device = 'd_a') => `${ms.toString(36).padStart(9, '0')}.${counter.toString(36).padStart(4, '0')}.${device}`;
+
+test('the later stamp wins each field on its own', () => {
+    const mine = change({ title: ['Mine', stamp(2)], content: ['old', stamp(1)] });
+    const theirs = change({ title: ['Theirs', stamp(1)], content: ['new', stamp(3)] });
+    const merged = mergeChanges(mine, theirs);
+    assert.deepEqual(merged.fields, { title: ['Mine', stamp(2)], content: ['new', stamp(3)] });
+    assert.deepEqual(mergeChanges(theirs, mine), merged);
+});
+
+test('fields only one side has survive the merge', () => {
+    const merged = mergeChanges(change({ title: ['A', stamp(1)] }), change({ tags: [['x'], stamp(1)] }));
+    assert.deepEqual(fromChange(merged), { id: 'b_1', title: 'A', tags: ['x'] });
+    assert.equal(mergeChanges(null, merged), merged);
+});
+
+test('stamps from the same millisecond are ordered by counter, then by device', () => {
+    const byCounter = mergeChanges(change({ title: ['first', stamp(5, 0, 'd_z')] }), change({ title: ['second', stamp(5, 1, 'd_a')] }));
+    assert.equal(byCounter.fields.title[0], 'second');
+    const byDevice = mergeChanges(change({ title: ['a', stamp(5, 0, 'd_a')] }), change({ title: ['b', stamp(5, 0, 'd_b')] }));
+    assert.equal(byDevice.fields.title[0], 'b');
+    assert.deepEqual(mergeChanges(change({ title: ['b', stamp(5, 0, 'd_b')] }), change({ title: ['a', stamp(5, 0, 'd_a')] })), byDevice);
+});
+
+test('a deletion beats older edits and loses to newer ones', () => {
+    const edited = change({ title: ['A', stamp(1)], content: ['x', stamp(2)] });
+    const deleted = mergeChanges(edited, change({}, stamp(3)));
+    assert.ok(isDeleted(deleted));
+    assert.equal(fromChange(deleted), null);
+
+    const revived = mergeChanges(deleted, change({ content: ['y', stamp(4)] }));
+    assert.ok(!isDeleted(revived));
+    assert.deepEqual(fromChange(revived), { id: 'b_1', title: 'A', content: 'y' });
+    // The later of two deletions is kept
+    assert.equal(mergeChanges(change({}, stamp(6)), change({}, stamp(5))).deleted, stamp(6));
+});
+
+test('toChange and changedFields describe what an edit touched, removed fields as null', () => {
+    assert.deepEqual(changedFields({ id: 'b_1', title: 'A', tags: ['x'] }, { id: 'b_1', title: 'B', tags: ['x'], content: 'c' }).sort(), ['content', 'title']);
+    assert.deepEqual(changedFields({ title: 'A', description: 'd' }, { title: 'A' }), ['description']);
+    const c = toChange('blocks', 'b_1', { id: 'b_1', title: 'A' }, { stamps: { title: stamp(1), description: stamp(1) } });
+    assert.deepEqual(c.fields, { title: ['A', stamp(1)], description: [null, stamp(1)] });
+    assert.deepEqual(fromChange(c), { id: 'b_1', title: 'A' });
+});
+
+test('hasNewer tells whether one side holds an edit or deletion the other has not seen', () => {
+    const older = change({ title: ['A', stamp(1)] });
+    const newer = change({ title: ['B', stamp(2)] });
+    assert.ok(hasNewer(newer, older));
+    assert.ok(!hasNewer(older, newer));
+    assert.ok(hasNewer(change({ title: ['A', stamp(1)] }, stamp(3)), older));
+    assert.ok(hasNewer(change({ tags: [[], stamp(1)] }), older));
+});
+
+/* --- CLOCK --- */
+test('a clock never goes backwards, within a millisecond or after seeing a stamp from ahead', () => {
+    const clock = createClock('d_a');
+    const stamps = Array.from({ length: 50 }, () => clock.now());
+    assert.deepEqual([...stamps].sort(), stamps);
+    assert.equal(new Set(stamps).size, stamps.length);
+
+    const ahead = stamp(Date.now() + 60 * 60 * 1000, 7, 'd_b');
+    clock.observe(ahead);
+    const next = clock.now();
+    assert.ok(next > ahead);
+    assert.ok(next.endsWith('.d_a'));
+    assert.equal(clock.at(0), stamp(0));
+});
+
+/* --- IDS --- */
+test('hasValidIds refuses ids that could break out of markup, wherever they sit', () => {
+    const ok = { store: 'blocks', id: 'b_1', fields: { channelIds: [['c_inbox', 'c_2'], stamp(1)] }, deleted: null };
+    assert.ok(hasValidIds(ok));
+    assert.ok(hasValidIds({ ...ok, fields: { channelIds: [null, stamp(1)] } }));
+    assert.ok(hasValidIds({ store: 'trash', id: 't_b_1', fields: { record: [{ id: 'b_1', channelIds: ['c_inbox'] }, stamp(1)], memberIds: [['b_1'], stamp(1)] }, deleted: null }));
+
+    for (const bad of [
+        { ...ok, id: "x');alert(1);('" },
+        { ...ok, id: '"><img src=x onerror=alert(1)>' },
+        { ...ok, id: '' },
+        { ...ok, id: 'a'.repeat(101) },
+        { ...ok, fields: { channelIds: [['c_inbox', 'c"><b'], stamp(1)] } },
+        { ...ok, fields: { channelIds: ['c_inbox', stamp(1)] } },
+        { ...ok, store: 'insights', fields: { blockIds: [['b 1'], stamp(1)] } },
+        { ...ok, store: 'insights', fields: { channelId: ['<c>', stamp(1)] } },
+        { ...ok, store: 'channels', fields: { blockOrder: [['b_1', 7], stamp(1)] } },
+        { ...ok, store: 'trash', fields: { record: [{ id: 'b<1>' }, stamp(1)] } },
+        { ...ok, store: 'trash', fields: { record: [{ id: 'b_1', channelIds: ["'"] }, stamp(1)] } },
+        { ...ok, store: 'trash', fields: { record: ['b_1', stamp(1)] } }
+    ]) assert.ok(!hasValidIds(bad), JSON.stringify(bad));
+});
@@ -1,5 +1,21 @@
 export const BlockType = {
     TEXT: 'text',
     LINK: 'link',
-    IMAGE: 'image'
+    IMAGE: 'image',
+    MARKDOWN: 'markdown',
+    CODE: 'code', // carries a `language`
+    ATTACHMENT: 'attachment' // a stored file: `fileName`, `mimeType`, `size`, and for PDFs a `preview` and `pageCount`
+};
+
+// Fallback channel for blocks that are no longer connected anywhere
+export const INBOX_ID = 'c_inbox';
+
+// Ids end up in markup and element ids, so ones from outside the app (backups, sync) must look like ours
+export const isValidId = (id) => typeof id === 'string' && /^[\w-]{1,100}$/.test(id);
+
+// Blocks used to carry a single `channelId`; they now hold a list of channel memberships.
+export const withChannelIds = (block) => {
+    if (Array.isArray(block.channelIds)) return block;
+    const { channelId, ...rest } = block;
+    return { ...rest, channelIds: [channelId || INBOX_ID] };
 };
@@ -0,0 +1,101 @@
+/* --- VAULT ---
+ * Passphrase encryption with WebCrypto, for the stored stash and backup files. The passphrase never
+ * encrypts records itself: it wraps a random data key (PBKDF2, then AES-GCM), so changing the
+ * passphrase only re-wraps that key. Every value is sealed with AES-GCM under a fresh IV.
+ */
+const ITERATIONS = 310000;
+const BACKUP_FORMAT = 'my-stash-encrypted';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const randomBytes = (n) => crypto.getRandomValues(new Uint8Array(n));
+
+const passphraseKey = async (passphrase, salt, iterations, usages) => {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, { name: 'AES-GCM', length: 256 }, false, usages);
+};
+
+// AES-GCM can't tell a wrong key from tampered data; with a passphrase the first is far likelier
+const wrongPassphrase = () => Object.assign(new Error('Wrong passphrase'), { wrongPassphrase: true });
+
+/* --- DATA KEY --- */
+// The lock record keeps the data key wrapped with a passphrase; it is safe to store in the clear
+export const wrapDataKey = async (key, passphrase) => {
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const kek = await passphraseKey(passphrase, salt, ITERATIONS, ['wrapKey']);
+    return { salt, iterations: ITERATIONS, iv, wrapped: await crypto.subtle.wrapKey('raw', key, kek, { name: 'AES-GCM', iv }) };
+};
+
+// `extractable` only for re-wrapping the key under a new passphrase
+export const unwrapDataKey = async ({ salt, iterations, iv, wrapped }, passphrase, extractable = false) => {
+    const kek = await passphraseKey(passphrase, salt, iterations, ['unwrapKey']);
+    try {
+        return await crypto.subtle.unwrapKey('raw', wrapped, kek, { name: 'AES-GCM', iv }, { name: 'AES-GCM' }, extractable, ['encrypt', 'decrypt']);
+    } catch(e) {
+        throw wrongPassphrase();
+    }
+};
+
+// A new data key with its lock record
+export const createDataKey = async (passphrase) => {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    return { key, lock: await wrapDataKey(key, passphrase) };
+};
+
+/* --- SEALING --- */
+const encrypt = async (key, bytes) => {
+    const iv = randomBytes(12);
+    return { iv, data: await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes) };
+};
+
+const decrypt = (key, { iv, data }) => crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+
+// Sealed values are `{ iv, data }` with binary parts, which IndexedDB stores as they are
+export const sealValue = (key, value) => encrypt(key, encoder.encode(JSON.stringify(value)));
+export const openValue = async (key, sealed) => JSON.parse(decoder.decode(await decrypt(key, sealed)));
+
+export const sealBlob = async (key, blob) => ({ ...(await encrypt(key, await blob.arrayBuffer())), type: blob.type });
+export const openBlob = async (key, sealed) => new Blob([await decrypt(key, sealed)], { type: sealed.type });
+
+/* --- ENCRYPTED BACKUPS ---
+ * A backup file sealed with its own passphrase: JSON naming the format and key derivation, with
+ * the encrypted backup text in base64. It opens on any device that knows the passphrase.
+ */
+const toBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let text = '';
+    // In slices: spreading a large array into fromCharCode overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(text);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+// Only looks at the start, so a large plain backup isn't parsed twice
+export const isEncryptedBackup = (text) => new RegExp(`^\\s*\\{\\s*"format"\\s*:\\s*"${BACKUP_FORMAT}"`).test(text.slice(0, 100));
+
+export const encryptBackup = async (text, passphrase) => {
+    const salt = randomBytes(16);
+    const { iv, data } = await encrypt(await passphraseKey(passphrase, salt, ITERATIONS, ['encrypt']), encoder.encode(text));
+    return JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+        data: toBase64(data)
+    });
+};
+
+export const decryptBackup = async (text, passphrase) => {
+    let file;
+    try { file = JSON.parse(text); } catch(e) { throw new Error('Invalid backup: file is not valid JSON'); }
+    if (file.format !== BACKUP_FORMAT || file.version !== 1) throw new Error('Invalid backup: unsupported encryption');
+    const key = await passphraseKey(passphrase, fromBase64(file.kdf.salt), file.kdf.iterations, ['decrypt']);
+    try {
+        return decoder.decode(await decrypt(key, { iv: fromBase64(file.cipher.iv), data: fromBase64(file.data) }));
+    } catch(e) {
+        throw wrongPassphrase();
+    }
+};
@@ -0,0 +1,28 @@
+import { defineConfig } from 'vite';
+import { readFileSync, readdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+
+/* --- SERVICE WORKER ---
+ * sw.js goes into the build with the list of files it caches for offline use: everything the build
+ * wrote plus the public folder. Built file names carry a content hash, so the list's own hash makes
+ * a cache version that changes whenever any file does.
+ */
+// Browsers that run service workers all read woff2, so the woff fallbacks aren't worth caching ahead
+const SKIPPED = /\.(map|woff)$/;
+
+const serviceWorker = () => ({
+    name: 'service-worker',
+    apply: 'build',
+    generateBundle(options, bundle) {
+        const files = [...Object.keys(bundle), ...readdirSync('public')].filter(f => !SKIPPED.test(f)).sort();
+        const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12);
+        const source = readFileSync('sw.js', 'utf8')
+            .replace('const PRECACHE = [];', `const PRECACHE = ${JSON.stringify(['./', ...files.filter(f => f !== 'index.html')])};`)
+            .replace("const VERSION = 'dev';", `const VERSION = '${version}';`);
+        this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    }
+});
+
+export default defineConfig({
+    plugins: [serviceWorker()]
+});
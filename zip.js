@@ -0,0 +1,80 @@
+/* --- ZIP ---
+ * Writes a zip archive without compression ("stored" entries). Exports are mostly images that are
+ * compressed already, and every unzip tool and OS can open stored archives.
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date, in local time, as zip entries store them
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const toBytes = async (data) => {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (data instanceof Uint8Array) return data;
+    return new Uint8Array(await data.arrayBuffer());
+};
+
+const header = (size, fill) => {
+    const bytes = new Uint8Array(size);
+    fill(new DataView(bytes.buffer));
+    return bytes;
+};
+
+/**
+ * `files` are `{ path, data }` with `data` a string, Uint8Array or Blob; paths use "/" and are
+ * stored as UTF-8. Resolves to a Blob of the archive.
+ */
+export const createZip = async (files, { date = new Date() } = {}) => {
+    const { time, date: day } = dosDateTime(date);
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = new TextEncoder().encode(file.path);
+        const data = await toBytes(file.data);
+        const crc = crc32(data);
+        // Version 2.0, flag bit 11: the name is UTF-8
+        const common = (v, at) => {
+            v.setUint16(at, 20, true);
+            v.setUint16(at + 2, 0x0800, true);
+            v.setUint16(at + 4, 0, true);
+            v.setUint16(at + 6, time, true);
+            v.setUint16(at + 8, day, true);
+            v.setUint32(at + 10, crc, true);
+            v.setUint32(at + 14, data.length, true);
+            v.setUint32(at + 18, data.length, true);
+            v.setUint16(at + 22, name.length, true);
+        };
+        parts.push(header(30, v => { v.setUint32(0, 0x04034b50, true); common(v, 4); }), name, data);
+        central.push(header(46, v => {
+            v.setUint32(0, 0x02014b50, true);
+            v.setUint16(4, 20, true);
+            common(v, 6);
+            v.setUint32(42, offset, true);
+        }), name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((n, part) => n + part.length, 0);
+    const end = header(22, v => {
+        v.setUint32(0, 0x06054b50, true);
+        v.setUint16(8, files.length, true);
+        v.setUint16(10, files.length, true);
+        v.setUint32(12, centralSize, true);
+        v.setUint32(16, offset, true);
+    });
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+};